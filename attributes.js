@@ -0,0 +1,8 @@
+// Listing attribute helpers shared by the content script, the popup, the options page and
+// the background worker, so a rule saved in one place matches the same cards everywhere.
+
+// Categories, formats and tags are compared ignoring case, spacing and punctuation, so a
+// "3D Models" rule also matches the 3d-models page
+function normalizeAttribute(value) {
+  return value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
@@ -1,7 +1,52 @@
+importScripts('storage.js', 'attributes.js', 'validation.js');
+
+// Seller lists, kept for the active profile and inside each saved profile
+const SELLER_LIST_KEYS = ['filteredUsernames', 'allowedSellers'];
+const PROFILE_INDEX_KEY = 'filterProfiles';
+const PROFILE_DATA_PREFIX = 'filterProfile_';
+
+// Set in local storage while filtering is paused; the content script reveals everything until then
+const PAUSE_STORAGE_KEY = 'pausedUntil';
+
+// Alarms for the next temporary entry to run out and for the end of a pause
+const EXPIRY_ALARM = 'expireSellerEntries';
+const RESUME_ALARM = 'resumeFiltering';
+
+// Shared block lists. Which lists to follow ({ id, url, addedAt }, or { id, file, addedAt } for one
+// loaded from disk) syncs with the other settings; the entries are kept in local storage on each
+// device as { [id]: { name, entries, updatedAt, error, checkedAt } }.
+const SUBSCRIPTIONS_KEY = 'listSubscriptions';
+const SUBSCRIPTION_DATA_KEY = 'subscriptionData';
+const SUBSCRIPTION_ALARM = 'refreshSubscriptions';
+const SUBSCRIPTION_REFRESH_MINUTES = 360;
+
+// Blocklist and hidden listings changed from the right-click menu
+const USERNAMES_KEY = 'filteredUsernames';
+const BLOCKED_LISTINGS_KEY = 'blockedListings';
+
+// Right-click entries, each shown only on the links it applies to
+const FAB_TAB_PATTERN = 'https://*.fab.com/*';
+const SELLER_LINK_PATTERNS = ['https://*.fab.com/sellers/*'];
+const LISTING_LINK_PATTERNS = ['https://*.fab.com/listings/*'];
+// Only offer the menu on fab.com pages, not on links to fab.com from other sites
+const FAB_PAGE_PATTERNS = ['https://www.fab.com/*', 'https://fab.com/*'];
+const CONTEXT_MENU_ITEMS = [
+  { id: 'blockSeller', title: 'Block seller', targetUrlPatterns: SELLER_LINK_PATTERNS },
+  { id: 'unblockSeller', title: 'Unblock seller', targetUrlPatterns: SELLER_LINK_PATTERNS },
+  { id: 'blockListing', title: 'Block this listing', targetUrlPatterns: LISTING_LINK_PATTERNS }
+];
+
+// Keyboard commands from the manifest, each passed on to the current tab's content script
+const COMMAND_ACTIONS = {
+  'toggle-filtering': 'toggleFiltering',
+  'block-hovered-seller': 'blockHoveredSeller',
+  'cycle-display-mode': 'cycleDisplayMode'
+};
+
 // Message validator for secure communication
 class MessageValidator {
   static validate(message) {
-    const allowedActions = ['updateBadge'];
+    const allowedActions = ['updateBadge', 'refreshSubscriptions'];
     
     if (!message || typeof message !== 'object') {
       throw new Error('Invalid message format');
@@ -19,6 +64,16 @@ class MessageValidator {
         if (message.color && typeof message.color !== 'string') {
           throw new Error('Invalid badge color');
         }
+        if (message.title !== undefined && typeof message.title !== 'string') {
+          throw new Error('Invalid badge title');
+        }
+        break;
+      
+      case 'refreshSubscriptions':
+        // Only extension pages (the popup) may ask for a refresh, never a web page's content script
+        if (message.id !== undefined && typeof message.id !== 'string') {
+          throw new Error('Invalid subscription id');
+        }
         break;
     }
     
@@ -36,7 +91,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     MessageValidator.validate(message);
     
     if (message.action === 'updateBadge' && sender.tab) {
-      updateBadgeForTab(sender.tab.id, message.text, message.color);
+      updateBadgeForTab(sender.tab.id, message.text, message.color, message.title);
+    } else if (message.action === 'refreshSubscriptions' && !sender.tab) {
+      refreshSubscriptions({ id: message.id }).catch(error => {
+        console.error('Failed to refresh shared lists:', error);
+      });
     }
   } catch (error) {
     console.error('Invalid message received:', error);
@@ -44,10 +103,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 // Update badge for specific tab
-function updateBadgeForTab(tabId, text, color) {
+function updateBadgeForTab(tabId, text, color, title) {
   try {
     // Store state for this tab
-    tabBadgeStates.set(tabId, { text, color });
+    tabBadgeStates.set(tabId, { text, color, title });
     
     // Update badge
     chrome.action.setBadgeText({
@@ -59,6 +118,16 @@ function updateBadgeForTab(tabId, text, color) {
       tabBadgeStates.delete(tabId);
     });
     
+    if (title !== undefined) {
+      // Empty string restores the default extension name tooltip
+      chrome.action.setTitle({
+        title: title,
+        tabId: tabId
+      }).catch(error => {
+        console.debug('Could not update badge title:', error);
+      });
+    }
+    
     if (color) {
       chrome.action.setBadgeBackgroundColor({
         color: color,
@@ -95,4 +164,389 @@ chrome.runtime.onInstalled.addListener(() => {
   chrome.action.setBadgeBackgroundColor({
     color: '#f44336'
   });
-});
\ No newline at end of file
+  
+  // Shard any values saved before the storage layer could split them, then bring old entries up to date
+  FilterStorage.migrate()
+    .then(upgradeStoredSellerLists)
+    .then(expireSellerEntries)
+    .catch(error => {
+      console.error('Storage migration failed:', error);
+    });
+  
+  scheduleSubscriptionRefresh();
+  createContextMenus();
+});
+
+// Alarms survive restarts, but entries may have run out while the browser was closed
+chrome.runtime.onStartup.addListener(() => {
+  expireSellerEntries().catch(error => {
+    console.error('Failed to expire seller entries:', error);
+  });
+  
+  scheduleSubscriptionRefresh();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === EXPIRY_ALARM) {
+    expireSellerEntries().catch(error => {
+      console.error('Failed to expire seller entries:', error);
+    });
+  } else if (alarm.name === RESUME_ALARM) {
+    chrome.storage.local.remove(PAUSE_STORAGE_KEY).catch(error => {
+      console.error('Failed to resume filtering:', error);
+    });
+  } else if (alarm.name === SUBSCRIPTION_ALARM) {
+    refreshSubscriptions().catch(error => {
+      console.error('Failed to refresh shared lists:', error);
+    });
+  }
+});
+
+chrome.contextMenus.onClicked.addListener((info) => {
+  handleContextMenuClick(info).catch(error => {
+    console.error('Failed to update filters from the context menu:', error);
+  });
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  sendCommandToTab(command, tab).catch(error => {
+    console.error('Failed to run keyboard command:', error);
+  });
+});
+
+// Reschedule whenever a list or the pause changes, wherever the change came from
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  const changedLists = [...new Set(Object.keys(changes).map(key => FilterStorage.getBaseKey(key)))]
+    .filter(key => SELLER_LIST_KEYS.includes(key) || key.startsWith(PROFILE_DATA_PREFIX));
+  
+  if (changedLists.length > 0) {
+    scheduleNextExpiry(changes, changedLists).catch(error => {
+      console.error('Failed to schedule seller entry expiry:', error);
+    });
+  }
+  
+  if (areaName === 'local' && PAUSE_STORAGE_KEY in changes) {
+    scheduleResume(changes[PAUSE_STORAGE_KEY].newValue);
+  }
+  
+  // Fetch lists as soon as they're subscribed to, and forget the entries of removed ones
+  const subscriptionsChanged = Object.keys(changes).some(key => FilterStorage.getBaseKey(key) === SUBSCRIPTIONS_KEY);
+  if (subscriptionsChanged) {
+    refreshSubscriptions({ onlyNew: true }).catch(error => {
+      console.error('Failed to refresh shared lists:', error);
+    });
+  }
+});
+
+// Run update over every stored seller list: the active ones and those in saved profiles.
+// update returns the list unchanged, or a new array to save in its place.
+async function updateStoredSellerLists(update) {
+  const index = await FilterStorage.get(PROFILE_INDEX_KEY);
+  const profileKeys = (index[PROFILE_INDEX_KEY] || []).map(profile => PROFILE_DATA_PREFIX + profile.id);
+  const data = await FilterStorage.get([...SELLER_LIST_KEYS, ...profileKeys]);
+  const updates = {};
+  
+  // Returns whether any list in the settings object changed
+  const updateLists = (settings) => {
+    let changed = false;
+    
+    for (const key of SELLER_LIST_KEYS) {
+      const list = settings[key];
+      if (!Array.isArray(list)) continue;
+      
+      const updated = update(list);
+      if (updated !== list) {
+        settings[key] = updated;
+        changed = true;
+      }
+    }
+    
+    return changed;
+  };
+  
+  // The active lists sit at the top level, next to the saved profiles
+  if (updateLists(data)) {
+    SELLER_LIST_KEYS.forEach(key => {
+      if (key in data) updates[key] = data[key];
+    });
+  }
+  
+  profileKeys.forEach(key => {
+    if (data[key] && updateLists(data[key])) {
+      updates[key] = data[key];
+    }
+  });
+  
+  if (Object.keys(updates).length > 0) {
+    await FilterStorage.set(updates);
+  }
+}
+
+// Rewrite plain-string seller entries saved by earlier versions as objects
+function upgradeStoredSellerLists() {
+  return updateStoredSellerLists(list =>
+    (list.some(entry => typeof entry === 'string') ? upgradeSellerEntries(list) : list));
+}
+
+// Drop temporary entries that have run out and set an alarm for the next one
+async function expireSellerEntries() {
+  const now = Date.now();
+  let nextExpiry = null;
+  
+  await updateStoredSellerLists(list => {
+    const remaining = list.filter(entry => !isExpiredEntry(entry, now));
+    
+    nextExpiry = getNextExpiry(remaining, nextExpiry);
+    return remaining.length === list.length ? list : remaining;
+  });
+  
+  if (nextExpiry === null) {
+    await chrome.alarms.clear(EXPIRY_ALARM);
+  } else {
+    await chrome.alarms.create(EXPIRY_ALARM, { when: nextExpiry });
+  }
+}
+
+// Bring the expiry alarm forward for entries that were just added or changed.
+// Removing entries is left to the alarm itself and the startup and install paths.
+async function scheduleNextExpiry(changes, baseKeys) {
+  const values = {};
+  const sharded = [];
+  
+  // A sharded list only carries its marker in the change, so read it back whole
+  baseKeys.forEach(key => {
+    if (key in changes && !FilterStorage.isShardMarker(changes[key].newValue)) {
+      values[key] = changes[key].newValue;
+    } else {
+      sharded.push(key);
+    }
+  });
+  if (sharded.length > 0) {
+    Object.assign(values, await FilterStorage.get(sharded));
+  }
+  
+  let nextExpiry = null;
+  Object.values(values).forEach(value => {
+    // Saved profiles hold both seller lists in one object
+    const lists = Array.isArray(value) ? [value] : SELLER_LIST_KEYS.map(key => value && value[key]);
+    lists.filter(Array.isArray).forEach(list => {
+      nextExpiry = getNextExpiry(list, nextExpiry);
+    });
+  });
+  if (nextExpiry === null) return;
+  
+  const alarm = await chrome.alarms.get(EXPIRY_ALARM);
+  if (!alarm || nextExpiry < alarm.scheduledTime) {
+    await chrome.alarms.create(EXPIRY_ALARM, { when: nextExpiry });
+  }
+}
+
+// Earliest expiresAt in the list, or current if that is sooner
+function getNextExpiry(list, current) {
+  return list.reduce((next, entry) => {
+    if (entry && typeof entry === 'object' && entry.expiresAt && (next === null || entry.expiresAt < next)) {
+      return entry.expiresAt;
+    }
+    return next;
+  }, current);
+}
+
+// Clear the pause when it ends, even if no fab.com tab is open to notice
+function scheduleResume(pausedUntil) {
+  const schedule = typeof pausedUntil === 'number'
+    ? chrome.alarms.create(RESUME_ALARM, { when: pausedUntil })
+    : chrome.alarms.clear(RESUME_ALARM);
+  
+  schedule.catch(error => {
+    console.error('Failed to schedule the end of the pause:', error);
+  });
+}
+
+// Menus are kept across restarts, so they're rebuilt only on install and update
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    CONTEXT_MENU_ITEMS.forEach(item => {
+      chrome.contextMenus.create({ ...item, contexts: ['link'], documentUrlPatterns: FAB_PAGE_PATTERNS });
+    });
+  });
+}
+
+async function handleContextMenuClick(info) {
+  const link = parseFabLink(info.linkUrl);
+  if (!link) return;
+  
+  if (info.menuItemId === 'blockSeller' && link.slug) {
+    await blockSellerBySlug(link.slug, info.linkText || info.selectionText);
+  } else if (info.menuItemId === 'unblockSeller' && link.slug) {
+    await unblockSellerBySlug(link.slug);
+  } else if (info.menuItemId === 'blockListing' && link.listingId) {
+    await blockListingById(link.listingId);
+  }
+}
+
+// The seller slug or listing id a fab.com link points to, or null for any other link
+function parseFabLink(linkUrl) {
+  if (!isFabUrl(linkUrl)) return null;
+  
+  const url = new URL(linkUrl);
+  const match = url.pathname.match(/^\/(sellers|listings)\/([^/]+)/);
+  if (!match) return null;
+  
+  try {
+    const value = decodeURIComponent(match[2]);
+    return match[1] === 'sellers'
+      ? { slug: InputValidator.sanitizeSlug(value) }
+      : { listingId: InputValidator.sanitizeListingEntry({ id: value }).id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// A link only gives the slug, so it stands in for the name until a page shows the seller's
+// display name and the content script updates the entry
+async function blockSellerBySlug(slug, linkText) {
+  const data = await FilterStorage.get(USERNAMES_KEY);
+  const usernames = data[USERNAMES_KEY] || [];
+  if (usernames.some(entry => isSameSellerSlug(entry, slug))) return;
+  
+  // Name the entry as the link shows the seller; the slug is all there is without link text
+  const name = getLinkDisplayName(linkText) || InputValidator.sanitizeDisplayName(slug);
+  usernames.push({ name, slug, match: 'exact', addedAt: Date.now() });
+  await FilterStorage.set({ [USERNAMES_KEY]: usernames });
+  await notifyFabTabs({ action: 'updateFilters', usernames });
+}
+
+// The link text cleaned up as a seller name, or null if there is none to use
+function getLinkDisplayName(text) {
+  if (typeof text !== 'string') return null;
+  
+  try {
+    return InputValidator.sanitizeDisplayName(text.replace(/\s+/g, ' '));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Only removes exact entries for that seller, never a pattern that happens to match it
+async function unblockSellerBySlug(slug) {
+  const data = await FilterStorage.get(USERNAMES_KEY);
+  const current = data[USERNAMES_KEY] || [];
+  const usernames = current.filter(entry => !isSameSellerSlug(entry, slug));
+  if (usernames.length === current.length) return;
+  
+  await FilterStorage.set({ [USERNAMES_KEY]: usernames });
+  await notifyFabTabs({ action: 'updateFilters', usernames });
+}
+
+async function blockListingById(listingId) {
+  const data = await FilterStorage.get(BLOCKED_LISTINGS_KEY);
+  const blockedListings = data[BLOCKED_LISTINGS_KEY] || [];
+  if (blockedListings.some(entry => entry.id === listingId)) return;
+  
+  blockedListings.push({ id: listingId, addedAt: Date.now() });
+  await FilterStorage.set({ [BLOCKED_LISTINGS_KEY]: blockedListings });
+  await notifyFabTabs({ action: 'updateBlockedListings', blockedListings });
+}
+
+function isFabUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && (url.hostname === 'fab.com' || url.hostname.endsWith('.fab.com'));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Like isSameSeller in content.js, with only the slug to go on: exact entries added by name
+// have no slug until a page shows the seller, so their name is compared with the slug too
+function isSameSellerSlug(entry, slug) {
+  const matches = value => typeof value === 'string' && value.toLowerCase() === slug.toLowerCase();
+  if (typeof entry === 'string') return matches(entry);
+  return Boolean(entry) && entry.match === 'exact' && (matches(entry.slug) || matches(entry.name));
+}
+
+async function sendCommandToTab(command, tab) {
+  const action = COMMAND_ACTIONS[command];
+  if (!action) return;
+  
+  // Commands without a tab come from Chrome versions that don't pass one
+  const [target] = tab ? [tab] : await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!target || !isFabUrl(target.url)) return;
+  
+  try {
+    await chrome.tabs.sendMessage(target.id, { action });
+  } catch (error) {
+    console.debug('Could not send command to tab:', error);
+  }
+}
+
+// Tabs pick up storage changes on their own after a short delay; a message re-filters them right away
+async function notifyFabTabs(message) {
+  const tabs = await chrome.tabs.query({ url: FAB_TAB_PATTERN });
+  
+  await Promise.all(tabs.map(tab => chrome.tabs.sendMessage(tab.id, message).catch(error => {
+    // The page may have been opened before the extension was installed or reloaded
+    console.debug('Could not notify tab:', error);
+  })));
+}
+
+function scheduleSubscriptionRefresh() {
+  chrome.alarms.create(SUBSCRIPTION_ALARM, { periodInMinutes: SUBSCRIPTION_REFRESH_MINUTES }).catch(error => {
+    console.error('Failed to schedule shared list refresh:', error);
+  });
+}
+
+// Fetch subscribed lists into local storage. A failed fetch keeps the entries from the
+// last successful one, so a list going briefly offline doesn't unblock everyone.
+// Lists loaded from a file keep what the popup stored.
+async function refreshSubscriptions({ id, onlyNew = false } = {}) {
+  const stored = await FilterStorage.get(SUBSCRIPTIONS_KEY);
+  const subscriptions = stored[SUBSCRIPTIONS_KEY] || [];
+  const localData = await chrome.storage.local.get(SUBSCRIPTION_DATA_KEY);
+  const previous = localData[SUBSCRIPTION_DATA_KEY] || {};
+  
+  const results = {};
+  for (const subscription of subscriptions) {
+    const existing = previous[subscription.id];
+    const isWanted = subscription.url && (id ? subscription.id === id : !(onlyNew && existing));
+    
+    if (isWanted) {
+      results[subscription.id] = await fetchSubscription(subscription, existing);
+    }
+  }
+  
+  // Re-read so a subscription removed while fetching doesn't come back, and a list
+  // loaded from a file in the meantime isn't lost
+  const latest = await FilterStorage.get(SUBSCRIPTIONS_KEY);
+  const latestData = await chrome.storage.local.get(SUBSCRIPTION_DATA_KEY);
+  const current = latestData[SUBSCRIPTION_DATA_KEY] || {};
+  const data = {};
+  (latest[SUBSCRIPTIONS_KEY] || []).forEach(subscription => {
+    const result = results[subscription.id] || current[subscription.id];
+    if (result) data[subscription.id] = result;
+  });
+  
+  await chrome.storage.local.set({ [SUBSCRIPTION_DATA_KEY]: data });
+}
+
+async function fetchSubscription(subscription, existing) {
+  const checkedAt = Date.now();
+  
+  try {
+    const response = await fetch(subscription.url, { cache: 'no-cache', credentials: 'omit' });
+    if (!response.ok) {
+      throw new Error(`Server responded with ${response.status}`);
+    }
+    
+    const { name, entries } = parseSharedList(await response.text());
+    return { name, entries, updatedAt: checkedAt, checkedAt, error: null };
+  } catch (error) {
+    return {
+      name: existing?.name || null,
+      entries: existing?.entries || [],
+      updatedAt: existing?.updatedAt || null,
+      checkedAt,
+      error: error.message || 'Failed to fetch list'
+    };
+  }
+}
\ No newline at end of file
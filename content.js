@@ -2,14 +2,130 @@
 const STORAGE_KEYS = {
   usernames: 'filteredUsernames',
   showCount: 'showBlockedCount',
-  hideLibrary: 'hideLibraryItems'
+  hideLibrary: 'hideLibraryItems',
+  titleRules: 'titleRules',
+  priceFilter: 'priceFilter',
+  displayMode: 'displayMode',
+  filterMode: 'filterMode',
+  allowedSellers: 'allowedSellers',
+  attributeFilters: 'attributeFilters',
+  statusFilters: 'listingStatusFilters',
+  blockedListings: 'blockedListings',
+  selectorOverrides: 'selectorOverrides'
 };
 
+// Blocklist hides listed sellers; allowlist hides everyone else
+const FILTER_MODES = ['blocklist', 'allowlist'];
+
+// How filtered cards are shown: removed, faded out, or folded into a bar
+const DISPLAY_MODES = ['hide', 'dim', 'collapse'];
+
+// Labels of the buttons on the seller page banner
+const SELLER_BANNER_ACTIONS = {
+  block: 'Block seller',
+  unblock: 'Unblock',
+  reveal: 'Show their listings on this page',
+  hideAgain: 'Hide them again',
+  dismiss: 'Dismiss'
+};
+
+// Toast wording when a keyboard command switches display mode
+const DISPLAY_MODE_LABELS = { hide: 'hidden', dim: 'dimmed', collapse: 'collapsed' };
+
+// Seller entries are { name, match } for these modes, optionally with addedAt, note, tag and expiresAt, or plain
+// strings (exact match) from earlier versions. Exact entries seen on a page become
+// { name, slug, match: 'exact' } and match by profile slug.
+const MATCH_MODES = ['exact', 'ignoreCase', 'prefix', 'wildcard'];
+
+// Delay before writing slug migrations and renamed sellers back to storage
+const SELLER_UPDATE_DELAY = 1000;
+
+// Per-entry hit counts, kept in local storage since they change on every page view.
+// Shape: { [list storage key]: { [entry key]: { hits, lastMatched } } }
+const STATS_STORAGE_KEY = 'sellerStats';
+
+// Set in local storage while filtering is paused; every card is shown until then
+const PAUSE_STORAGE_KEY = 'pausedUntil';
+
+// Entries of subscribed shared lists, fetched by the background worker into local storage.
+// Shape: { [subscription id]: { name, entries, updatedAt, error, checkedAt } }
+const SUBSCRIPTION_DATA_KEY = 'subscriptionData';
+
+// Delay before writing hit counts, so a page full of cards is one write
+const STATS_UPDATE_DELAY = 2000;
+
+// Categories, formats and tags seen on cards, offered as suggestions in the popup.
+// Shape: { categories: { [value]: lastSeen }, formats: {...}, tags: {...} }
+const SEEN_ATTRIBUTES_STORAGE_KEY = 'seenListingAttributes';
+
+// Suggestions kept per kind, most recently seen first
+const MAX_SEEN_ATTRIBUTES = 50;
+
+// Categories, formats and tags to hide; nothing is hidden until the user picks something
+const ATTRIBUTE_KINDS = ['categories', 'formats', 'tags'];
+const DEFAULT_ATTRIBUTE_FILTERS = { categories: [], formats: [], tags: [] };
+
+// What to do with listings the user has viewed, has in the cart or on the wishlist:
+// leave them, filter them like any other rule, or always dim them whatever the display mode
+const LISTING_STATUSES = ['viewed', 'cart', 'wishlist'];
+const STATUS_FILTER_MODES = ['show', 'hide', 'dim'];
+const DEFAULT_STATUS_FILTERS = { viewed: 'show', cart: 'show', wishlist: 'show' };
+
+// Listings opened on this device, recorded in local storage.
+// Shape: { [listing id]: viewedAt }
+const VIEWED_STORAGE_KEY = 'viewedListings';
+
+// Days a view is remembered for, set from the popup (local to each device)
+const VIEWED_RETENTION_KEY = 'viewedRetentionDays';
+const DEFAULT_VIEWED_RETENTION_DAYS = 30;
+
+// Oldest views are dropped past this many, whatever the retention
+const MAX_VIEWED_LISTINGS = 5000;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Delay before reloading settings after a storage change, so multi-key writes apply once
+const SETTINGS_RELOAD_DELAY = 100;
+
+// Short names for each rule type, used in the badge tooltip
+const REASON_NAMES = {
+  username: 'seller',
+  allowlist: 'not allowed',
+  listing: 'hidden listing',
+  library: 'library',
+  title: 'title keyword',
+  price: 'price',
+  subscription: 'shared list',
+  category: 'category',
+  format: 'format',
+  tag: 'tag',
+  viewed: 'viewed',
+  cart: 'in cart',
+  wishlist: 'wishlist'
+};
+
+// Price filter used when nothing has been saved yet
+const DEFAULT_PRICE_FILTER = { mode: 'all', min: null, max: null };
+
+// Matches a price with its currency either before ($19.99, US$ 5) or after (19,99 €)
+const PRICE_PATTERN = /(?:[A-Z]{1,3}\$|[$€£¥₹])\s*(\d[\d.,]*)|(\d[\d.,]*)\s*(?:€|£|zł|kr|[A-Z]{3}\b)/;
+
+// How long the undo toast stays on screen after an in-page block
+const TOAST_DURATION = 6000;
+
+// Let the page settle before deciding the layout can't be read
+const HEALTH_CHECK_DELAY = 2000;
+
+// Seller pages and listing pages link the seller outside any card, so a few stray links are normal
+const HEALTH_MIN_SELLER_LINKS = 3;
+
 // DOM Query Cache using WeakMap for memory efficiency
 class ElementCache {
-  constructor() {
+  constructor(selectors = SELECTOR_DEFINITIONS.selectors) {
     this.processedElements = new WeakSet();
-    this.sellerLinkSelector = 'a[href^="/sellers/"]';
+    // Each card found, mapped to its seller link
+    this.containers = new WeakMap();
+    this.selectors = selectors;
   }
   
   isProcessed(element) {
@@ -25,7 +141,7 @@ class ElementCache {
     
     // Handle single element or document fragment
     const searchRoot = node.nodeType === Node.ELEMENT_NODE ? node : document;
-    const links = searchRoot.querySelectorAll(this.sellerLinkSelector);
+    const links = searchRoot.querySelectorAll(this.selectors.sellerLink);
     
     for (const link of links) {
       if (this.isProcessed(link)) continue;
@@ -35,6 +151,7 @@ class ElementCache {
       if (parent && !parent.hasAttribute('data-filtered-processed')) {
         elements.push({ link, parent });
         this.markProcessed(link);
+        this.containers.set(parent, link);
         parent.setAttribute('data-filtered-processed', 'true');
       }
     }
@@ -42,6 +159,17 @@ class ElementCache {
     return elements;
   }
   
+  // The card an element sits in, as { link, parent }, or null outside every card found so far
+  findCardFor(element) {
+    for (let current = element; current; current = current.parentElement) {
+      if (this.containers.has(current)) {
+        return { link: this.containers.get(current), parent: current };
+      }
+    }
+    
+    return null;
+  }
+  
   findItemContainer(sellerLink) {
     // Strategy 1: Look for a parent that contains both the seller link and a product title link
     let current = sellerLink.parentElement;
@@ -52,14 +180,14 @@ class ElementCache {
       // - Contains our seller link
       // - Contains a product link (to /listings/)
       // - Contains an image
-      const hasProductLink = current.querySelector('a[href^="/listings/"]');
-      const hasImage = current.querySelector('img');
-      const hasFabkitClasses = current.className && current.className.includes('fabkit-');
+      const hasProductLink = current.querySelector(this.selectors.listingLink);
+      const hasImage = current.querySelector(this.selectors.cardImage);
+      const hasFabkitClasses = current.matches(this.selectors.fabkitElement);
       
       if (hasProductLink && hasImage) {
         // Additional validation: ensure this is a product card structure
         // Check for fabkit classes which seem to be more stable
-        if (hasFabkitClasses || current.querySelector('[class*="fabkit-Surface-root"]')) {
+        if (hasFabkitClasses || current.querySelector(this.selectors.cardSurface)) {
           return current;
         }
       }
@@ -70,21 +198,21 @@ class ElementCache {
     
     // Strategy 2: Fallback to finding the nearest container with specific structural patterns
     // Look for a container that has fabkit-Stack classes and contains our specific structure
-    const stackContainer = sellerLink.closest('div[class*="fabkit-Stack"]');
+    const stackContainer = sellerLink.closest(this.selectors.cardStack);
     if (stackContainer) {
       // Traverse up to find the outermost product container
       let productContainer = stackContainer;
       let parent = stackContainer.parentElement;
       
-      while (parent && parent.classList.contains('fabkit-Stack-root')) {
+      while (parent && parent.matches(this.selectors.cardStackRoot)) {
         // Keep going up if we're still in Stack containers
         productContainer = parent;
         parent = parent.parentElement;
       }
       
       // Validate this is a product card
-      const hasProductLink = productContainer.querySelector('a[href^="/listings/"]');
-      const hasImage = productContainer.querySelector('img');
+      const hasProductLink = productContainer.querySelector(this.selectors.listingLink);
+      const hasImage = productContainer.querySelector(this.selectors.cardImage);
       
       if (hasProductLink && hasImage) {
         return productContainer;
@@ -95,6 +223,75 @@ class ElementCache {
   }
 }
 
+// Matches usernames against the stored seller entries
+class SellerMatcher {
+  constructor(entries = []) {
+    this.slugs = new Map();
+    this.exact = new Map();
+    this.ignoreCase = new Map();
+    this.prefixes = [];
+    this.wildcards = [];
+    
+    for (const entry of entries) {
+      if (typeof entry === 'string') {
+        this.exact.set(entry, entry);
+        continue;
+      }
+      
+      // Temporary entries that have run out only wait for the background worker to remove them
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) continue;
+      
+      switch (entry.match) {
+        case 'ignoreCase':
+          this.ignoreCase.set(entry.name.toLowerCase(), entry);
+          break;
+          
+        case 'prefix':
+          this.prefixes.push({ prefix: entry.name.toLowerCase(), entry });
+          break;
+          
+        case 'wildcard':
+          this.wildcards.push({ regex: wildcardToRegExp(entry.name), entry });
+          break;
+          
+        default:
+          if (entry.slug) {
+            this.slugs.set(entry.slug.toLowerCase(), entry);
+          } else {
+            this.exact.set(entry.name, entry);
+          }
+      }
+    }
+    
+    // Last-seen names of slug entries, for cards whose link has no usable slug
+    this.slugNames = new Map();
+    this.slugs.forEach(entry => this.slugNames.set(entry.name, entry));
+  }
+  
+  // Returns the stored entry that matched, or null
+  match(username, slug) {
+    if (slug) {
+      const bySlug = this.slugs.get(slug.toLowerCase());
+      if (bySlug) return bySlug;
+    } else if (this.slugNames.has(username)) {
+      return this.slugNames.get(username);
+    }
+    
+    if (this.exact.has(username)) return this.exact.get(username);
+    
+    const lower = username.toLowerCase();
+    if (this.ignoreCase.has(lower)) return this.ignoreCase.get(lower);
+    
+    const prefix = this.prefixes.find(({ prefix }) => lower.startsWith(prefix));
+    if (prefix) return prefix.entry;
+    
+    const wildcard = this.wildcards.find(({ regex }) => regex.test(username));
+    if (wildcard) return wildcard.entry;
+    
+    return null;
+  }
+}
+
 // Resource manager for cleanup
 class ContentResourceManager {
   constructor() {
@@ -151,7 +348,12 @@ class ContentResourceManager {
 // Message validator for secure communication
 class MessageValidator {
   static validate(message) {
-    const allowedActions = ['updateFilters', 'updateShowCount', 'updateHideLibrary'];
+    const allowedActions = [
+      'updateFilters', 'updateShowCount', 'updateHideLibrary', 'updateTitleRules', 'updatePriceFilter',
+      'updateDisplayMode', 'getFilteredItems', 'showFilteredItem', 'updateFilterMode', 'updateAllowedSellers',
+      'updateAttributeFilters', 'updateStatusFilters', 'updateBlockedListings', 'applyProfile',
+      'toggleFiltering', 'blockHoveredSeller', 'cycleDisplayMode'
+    ];
     
     if (!message || typeof message !== 'object') {
       throw new Error('Invalid message format');
@@ -163,14 +365,17 @@ class MessageValidator {
     
     switch (message.action) {
       case 'updateFilters':
-        if (!Array.isArray(message.usernames)) {
-          throw new Error('Invalid usernames format');
+        MessageValidator.validateSellerEntries(message.usernames, 'usernames');
+        break;
+        
+      case 'updateAllowedSellers':
+        MessageValidator.validateSellerEntries(message.allowedSellers, 'allowedSellers');
+        break;
+        
+      case 'updateFilterMode':
+        if (!FILTER_MODES.includes(message.filterMode)) {
+          throw new Error('Invalid filterMode');
         }
-        message.usernames.forEach(username => {
-          if (typeof username !== 'string') {
-            throw new Error('Invalid username type');
-          }
-        });
         break;
         
       case 'updateShowCount':
@@ -184,23 +389,190 @@ class MessageValidator {
           throw new Error('Invalid hideLibrary format');
         }
         break;
+        
+      case 'updateTitleRules':
+        if (!Array.isArray(message.titleRules)) {
+          throw new Error('Invalid titleRules format');
+        }
+        message.titleRules.forEach(rule => {
+          if (!rule || typeof rule !== 'object' || typeof rule.pattern !== 'string') {
+            throw new Error('Invalid title rule');
+          }
+        });
+        break;
+        
+      case 'updatePriceFilter': {
+        const priceFilter = message.priceFilter;
+        if (!priceFilter || typeof priceFilter !== 'object') {
+          throw new Error('Invalid priceFilter format');
+        }
+        if (!['all', 'free', 'paid'].includes(priceFilter.mode)) {
+          throw new Error('Invalid price mode');
+        }
+        [priceFilter.min, priceFilter.max].forEach(bound => {
+          if (bound !== null && (typeof bound !== 'number' || !Number.isFinite(bound))) {
+            throw new Error('Invalid price bound');
+          }
+        });
+        break;
+      }
+      
+      case 'updateDisplayMode':
+        if (!DISPLAY_MODES.includes(message.displayMode)) {
+          throw new Error('Invalid displayMode');
+        }
+        break;
+        
+      case 'updateAttributeFilters': {
+        const filters = message.attributeFilters;
+        if (!filters || typeof filters !== 'object') {
+          throw new Error('Invalid attributeFilters format');
+        }
+        ATTRIBUTE_KINDS.forEach(kind => {
+          if (!Array.isArray(filters[kind]) || filters[kind].some(value => typeof value !== 'string')) {
+            throw new Error(`Invalid ${kind} filter`);
+          }
+        });
+        break;
+      }
+      
+      case 'updateStatusFilters': {
+        const filters = message.statusFilters;
+        if (!filters || typeof filters !== 'object') {
+          throw new Error('Invalid statusFilters format');
+        }
+        LISTING_STATUSES.forEach(status => {
+          if (!STATUS_FILTER_MODES.includes(filters[status])) {
+            throw new Error(`Invalid ${status} filter`);
+          }
+        });
+        break;
+      }
+      
+      case 'updateBlockedListings':
+        if (!Array.isArray(message.blockedListings)) {
+          throw new Error('Invalid blockedListings format');
+        }
+        message.blockedListings.forEach(entry => {
+          if (!entry || typeof entry !== 'object' || typeof entry.id !== 'string') {
+            throw new Error('Invalid blocked listing');
+          }
+        });
+        break;
+      
+      case 'applyProfile': {
+        const settings = message.settings;
+        if (!settings || typeof settings !== 'object') {
+          throw new Error('Invalid profile settings');
+        }
+        
+        // Every setting in a profile must pass the same checks as its own update message
+        MessageValidator.validate({ action: 'updateFilters', usernames: settings.usernames });
+        MessageValidator.validate({ action: 'updateAllowedSellers', allowedSellers: settings.allowedSellers });
+        MessageValidator.validate({ action: 'updateFilterMode', filterMode: settings.filterMode });
+        MessageValidator.validate({ action: 'updateShowCount', showCount: settings.showCount });
+        MessageValidator.validate({ action: 'updateHideLibrary', hideLibrary: settings.hideLibrary });
+        MessageValidator.validate({ action: 'updateTitleRules', titleRules: settings.titleRules });
+        MessageValidator.validate({ action: 'updatePriceFilter', priceFilter: settings.priceFilter });
+        MessageValidator.validate({ action: 'updateDisplayMode', displayMode: settings.displayMode });
+        MessageValidator.validate({ action: 'updateAttributeFilters', attributeFilters: settings.attributeFilters });
+        MessageValidator.validate({ action: 'updateStatusFilters', statusFilters: settings.statusFilters });
+        MessageValidator.validate({ action: 'updateBlockedListings', blockedListings: settings.blockedListings });
+        break;
+      }
+        
+      case 'showFilteredItem':
+        if (typeof message.listing !== 'string' || !message.listing.startsWith('/listings/')) {
+          throw new Error('Invalid listing');
+        }
+        break;
     }
     
     return true;
   }
+  
+  static validateSellerEntries(entries, field) {
+    if (!Array.isArray(entries)) {
+      throw new Error(`Invalid ${field} format`);
+    }
+    
+    entries.forEach(entry => {
+      if (typeof entry === 'string') return;
+      if (!entry || typeof entry !== 'object' || typeof entry.name !== 'string') {
+        throw new Error('Invalid username type');
+      }
+      if (!MATCH_MODES.includes(entry.match)) {
+        throw new Error('Invalid username match mode');
+      }
+      if (entry.slug !== undefined && typeof entry.slug !== 'string') {
+        throw new Error('Invalid username slug');
+      }
+      if (entry.addedAt !== undefined && typeof entry.addedAt !== 'number') {
+        throw new Error('Invalid username date added');
+      }
+      if (entry.note !== undefined && typeof entry.note !== 'string') {
+        throw new Error('Invalid username note');
+      }
+      if (entry.tag !== undefined && typeof entry.tag !== 'string') {
+        throw new Error('Invalid username tag');
+      }
+      if (entry.expiresAt !== undefined && typeof entry.expiresAt !== 'number') {
+        throw new Error('Invalid username expiry');
+      }
+    });
+  }
 }
 
 // Main filter manager
 class FabFilter {
   constructor() {
-    this.filteredUsernames = new Set();
+    this.filteredUsernames = new SellerMatcher();
+    this.allowedSellers = new SellerMatcher();
+    this.subscribedSellers = new SellerMatcher();
+    this.blockedListings = new Map();
+    this.filterMode = 'blocklist';
     this.showBlockedCount = false;
     this.hideLibraryItems = false;
+    this.titleMatchers = [];
+    this.priceFilter = { ...DEFAULT_PRICE_FILTER };
+    this.attributeFilters = createAttributeSets(DEFAULT_ATTRIBUTE_FILTERS);
+    this.seenAttributes = new Set();
+    this.pendingSeenAttributes = new Map();
+    this.seenUpdateTimeout = null;
+    this.statusFilters = { ...DEFAULT_STATUS_FILTERS };
+    this.viewedListings = {};
+    this.viewedRetentionDays = DEFAULT_VIEWED_RETENTION_DAYS;
+    this.lastPath = null;
+    this.displayMode = 'hide';
+    this.revealedListings = new Set();
+    this.pendingSellerUpdates = new Map();
+    this.sellerUpdateTimeout = null;
+    this.countedCards = new WeakSet();
+    this.pendingHits = new Map();
+    this.statsUpdateTimeout = null;
+    this.settingsReloadTimeout = null;
     this.blockedCount = 0;
-    this.elementCache = new ElementCache();
+    this.selectors = { ...SELECTOR_DEFINITIONS.selectors };
+    this.elementCache = new ElementCache(this.selectors);
+    this.layoutWarning = null;
+    this.healthCheckTimeout = null;
+    this.pausedUntil = null;
+    this.pauseTimeout = null;
+    this.filteringOff = false;
+    this.hoveredElement = null;
+    this.revealedSeller = null;
+    this.sellerBanner = null;
+    this.sellerBannerKey = null;
+    this.dismissedBannerPath = null;
+    this.bannerSeller = null;
     this.resourceManager = new ContentResourceManager();
     this.pendingMutations = new Set();
     this.mutationTimeout = null;
+    this.toast = null;
+    this.toastTimeout = null;
+    this.handleDocumentClick = this.handleDocumentClick.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handleStorageChanged = this.handleStorageChanged.bind(this);
   }
   
   async initialize() {
@@ -212,17 +584,22 @@ class FabFilter {
       }
       
       // Load saved settings
-      const data = await chrome.storage.sync.get([
-        STORAGE_KEYS.usernames, 
-        STORAGE_KEYS.showCount,
-        STORAGE_KEYS.hideLibrary
+      const data = await FilterStorage.get(Object.values(STORAGE_KEYS));
+      const localData = await chrome.storage.local.get([
+        PAUSE_STORAGE_KEY, SUBSCRIPTION_DATA_KEY, VIEWED_STORAGE_KEY, VIEWED_RETENTION_KEY
       ]);
-      this.filteredUsernames = new Set(data[STORAGE_KEYS.usernames] || []);
-      this.showBlockedCount = data[STORAGE_KEYS.showCount] || false;
-      this.hideLibraryItems = data[STORAGE_KEYS.hideLibrary] || false;
       
       // Inject styles
       this.injectStyles();
+      this.applySelectors(data[STORAGE_KEYS.selectorOverrides]);
+      this.applySettings(settingsFromStorage(data));
+      this.applyPause(localData[PAUSE_STORAGE_KEY]);
+      this.applySubscriptions(localData[SUBSCRIPTION_DATA_KEY]);
+      this.viewedListings = localData[VIEWED_STORAGE_KEY] || {};
+      this.viewedRetentionDays = localData[VIEWED_RETENTION_KEY] || DEFAULT_VIEWED_RETENTION_DAYS;
+      
+      // Remember this listing if the page is one
+      this.recordViewedListing();
       
       // Apply initial filtering
       this.filterExistingContent();
@@ -230,9 +607,19 @@ class FabFilter {
       // Set up observer for dynamic content
       this.setupMutationObserver();
       
+      // Handle clicks on injected card controls and the undo toast
+      this.resourceManager.addEventListener(document, 'click', this.handleDocumentClick, true);
+      
+      // Follow the card under the pointer for the keyboard commands
+      this.resourceManager.addEventListener(document, 'mouseover', this.handlePointerMove, true);
+      this.resourceManager.addEventListener(document, 'mouseout', this.handlePointerMove, true);
+      
       // Listen for messages from popup
       chrome.runtime.onMessage.addListener(this.handleMessage.bind(this));
       
+      // Pick up changes from other tabs, other devices and imports
+      chrome.storage.onChanged.addListener(this.handleStorageChanged);
+      
       // Listen for extension updates/reloads
       if (chrome.runtime.onSuspend) {
         chrome.runtime.onSuspend.addListener(() => this.cleanup());
@@ -256,9 +643,189 @@ class FabFilter {
   injectStyles() {
     const style = document.createElement('style');
     style.textContent = `
-      [data-filtered="true"] {
+      html[data-fab-filter-mode="hide"] [data-filtered="true"]:not([data-filter-style="dim"]) {
+        display: none !important;
+      }
+      
+      .fab-filter-reason {
+        display: none;
+      }
+      
+      html[data-fab-filter-mode="dim"] [data-filtered="true"] > :not(.fab-filter-reason),
+      [data-filtered="true"][data-filter-style="dim"] > :not(.fab-filter-reason) {
+        opacity: 0.35;
+        filter: grayscale(1);
+      }
+      
+      html[data-fab-filter-mode="dim"] [data-filtered="true"] > .fab-filter-reason,
+      [data-filtered="true"][data-filter-style="dim"] > .fab-filter-reason {
+        display: block;
+        position: absolute;
+        top: 8px;
+        left: 8px;
+        z-index: 10;
+        max-width: calc(100% - 16px);
+        padding: 2px 6px;
+        border-radius: 3px;
+        background: rgba(50, 50, 50, 0.85);
+        color: white;
+        font: 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+        pointer-events: none;
+      }
+      
+      html[data-fab-filter-mode="dim"] .fab-filter-reason::before,
+      [data-filter-style="dim"] > .fab-filter-reason::before {
+        content: 'Filtered: ';
+      }
+      
+      html[data-fab-filter-mode="collapse"] [data-filtered="true"]:not([data-filter-expanded="true"]):not([data-filter-style="dim"]) > :not(.fab-filter-reason) {
         display: none !important;
       }
+      
+      html[data-fab-filter-mode="collapse"] [data-filtered="true"]:not([data-filter-style="dim"]) > .fab-filter-reason {
+        display: block;
+        width: 100%;
+        box-sizing: border-box;
+        padding: 4px 8px;
+        border: 1px dashed #999;
+        border-radius: 3px;
+        background: #f5f5f5;
+        color: #555;
+        font: 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        text-align: left;
+        cursor: pointer;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+      
+      html[data-fab-filter-mode="collapse"] :not([data-filter-style="dim"]) > .fab-filter-reason::before {
+        content: 'Hidden: ';
+      }
+      
+      html[data-fab-filter-mode="collapse"] [data-filter-expanded="true"] > .fab-filter-reason::after {
+        content: ' (click to collapse)';
+      }
+      
+      [data-filtered-processed="true"] {
+        position: relative;
+      }
+      
+      .fab-filter-card-actions {
+        display: flex;
+        gap: 4px;
+        position: absolute;
+        top: 8px;
+        right: 8px;
+        z-index: 10;
+        opacity: 0;
+        transition: opacity 0.15s;
+        pointer-events: none;
+      }
+      
+      [data-filtered-processed="true"]:hover .fab-filter-card-actions,
+      .fab-filter-card-actions:focus-within {
+        opacity: 1;
+        pointer-events: auto;
+      }
+      
+      .fab-filter-card-actions button,
+      .fab-filter-toast button,
+      .fab-filter-seller-banner button {
+        padding: 4px 8px;
+        border: none;
+        border-radius: 3px;
+        cursor: pointer;
+        font: 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        color: white;
+      }
+      
+      .fab-filter-block-btn {
+        background: rgba(244, 67, 54, 0.9);
+      }
+      
+      html[data-fab-filter-list="allowlist"] .fab-filter-block-btn {
+        display: none;
+      }
+      
+      .fab-filter-block-btn:hover {
+        background: #d32f2f;
+      }
+      
+      .fab-filter-hide-listing-btn {
+        background: rgba(50, 50, 50, 0.85);
+      }
+      
+      .fab-filter-hide-listing-btn:hover {
+        background: #323232;
+      }
+      
+      .fab-filter-toast {
+        position: fixed;
+        bottom: 24px;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 2147483647;
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        padding: 10px 16px;
+        background: #323232;
+        color: white;
+        border-radius: 4px;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+        font: 14px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      }
+      
+      .fab-filter-undo-btn {
+        background: #4CAF50;
+      }
+      
+      .fab-filter-seller-banner {
+        position: fixed;
+        top: 80px;
+        right: 16px;
+        z-index: 2147483646;
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 8px;
+        max-width: 360px;
+        padding: 10px 12px;
+        background: #323232;
+        color: white;
+        border-radius: 4px;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+        font: 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      }
+      
+      .fab-filter-seller-banner span {
+        flex-basis: 100%;
+      }
+      
+      .fab-filter-seller-banner button {
+        background: rgba(255, 255, 255, 0.15);
+      }
+      
+      .fab-filter-seller-banner button[data-banner-action="block"] {
+        background: rgba(244, 67, 54, 0.9);
+      }
+      
+      .fab-filter-seller-banner button[data-banner-action="unblock"] {
+        background: #4CAF50;
+      }
+      
+      .fab-filter-seller-banner button[data-banner-action="dismiss"] {
+        margin-left: auto;
+        background: transparent;
+      }
+      
+      .fab-filter-undo-btn:hover {
+        background: #45a049;
+      }
     `;
     document.head.appendChild(style);
     this.resourceManager.addStyle(style);
@@ -271,7 +838,23 @@ class FabFilter {
       
       switch (message.action) {
         case 'updateFilters':
-          this.filteredUsernames = new Set(message.usernames);
+          this.filteredUsernames = new SellerMatcher(message.usernames);
+          this.resetAndRefilter();
+          break;
+          
+        case 'updateAllowedSellers':
+          this.allowedSellers = new SellerMatcher(message.allowedSellers);
+          this.resetAndRefilter();
+          break;
+          
+        case 'updateFilterMode':
+          this.applyFilterMode(message.filterMode);
+          this.resetAndRefilter();
+          break;
+          
+        case 'applyProfile':
+          // A whole profile at once, so everything is re-evaluated a single time
+          this.applySettings(message.settings);
           this.resetAndRefilter();
           break;
           
@@ -284,79 +867,1228 @@ class FabFilter {
           this.hideLibraryItems = message.hideLibrary;
           this.resetAndRefilter();
           break;
+          
+        case 'updateTitleRules':
+          this.setTitleRules(message.titleRules);
+          this.resetAndRefilter();
+          break;
+          
+        case 'updatePriceFilter':
+          this.priceFilter = { ...DEFAULT_PRICE_FILTER, ...message.priceFilter };
+          this.resetAndRefilter();
+          break;
+          
+        case 'updateAttributeFilters':
+          this.attributeFilters = createAttributeSets(message.attributeFilters);
+          this.resetAndRefilter();
+          break;
+        
+        case 'updateStatusFilters':
+          this.statusFilters = { ...DEFAULT_STATUS_FILTERS, ...message.statusFilters };
+          this.resetAndRefilter();
+          break;
+        
+        case 'updateBlockedListings':
+          this.setBlockedListings(message.blockedListings);
+          this.resetAndRefilter();
+          break;
+        
+        case 'updateDisplayMode':
+          // Purely presentational, so no need to re-evaluate any cards
+          this.applyDisplayMode(message.displayMode);
+          break;
+        
+        case 'toggleFiltering':
+          this.toggleFiltering();
+          break;
+        
+        case 'blockHoveredSeller':
+          this.blockHoveredSeller();
+          break;
+        
+        case 'cycleDisplayMode':
+          this.cycleDisplayMode();
+          break;
+          
+        case 'getFilteredItems':
+          sendResponse({ items: this.getFilteredItems(), layoutWarning: this.layoutWarning });
+          break;
+          
+        case 'showFilteredItem':
+          this.revealedListings.add(message.listing);
+          this.resetAndRefilter();
+          sendResponse({ items: this.getFilteredItems(), layoutWarning: this.layoutWarning });
+          break;
       }
     } catch (error) {
       console.error('Invalid message received:', error);
     }
   }
   
-  filterExistingContent() {
-    const elements = this.elementCache.findElementsInNode(document);
-    elements.forEach(element => this.filterElement(element));
-    this.updateBadge();
-  }
-  
-  filterElement({ link, parent }) {
-    // Find username element
-    const usernameWrapper = link.querySelector('.fabkit-Typography-ellipsisWrapper');
-    if (!usernameWrapper) return;
-    
-    // Extract and validate username
-    const username = usernameWrapper.textContent.trim();
-    if (!username) return;
-    
-    // Check if this item is in the library
-    const isLibraryItem = this.isItemInLibrary(parent);
-    
-    // Determine if item should be filtered
-    let shouldFilter = false;
+  handleStorageChanged(changes, areaName) {
+    // Pausing is per device, so it lives outside the synced settings
+    if (areaName === 'local' && PAUSE_STORAGE_KEY in changes) {
+      this.applyPause(changes[PAUSE_STORAGE_KEY].newValue);
+      this.resetAndRefilter();
+    }
     
-    // Check username filter
-    if (this.filteredUsernames.has(username)) {
-      shouldFilter = true;
+    // Shared lists are fetched per device too
+    if (areaName === 'local' && SUBSCRIPTION_DATA_KEY in changes) {
+      this.applySubscriptions(changes[SUBSCRIPTION_DATA_KEY].newValue);
+      this.resetAndRefilter();
     }
     
-    // Check library filter
-    if (this.hideLibraryItems && isLibraryItem) {
-      shouldFilter = true;
+    // Views are recorded by every tab, and cleared or trimmed from the popup
+    if (areaName === 'local' && (VIEWED_STORAGE_KEY in changes || VIEWED_RETENTION_KEY in changes)) {
+      if (VIEWED_STORAGE_KEY in changes) {
+        this.viewedListings = changes[VIEWED_STORAGE_KEY].newValue || {};
+      }
+      if (VIEWED_RETENTION_KEY in changes) {
+        this.viewedRetentionDays = changes[VIEWED_RETENTION_KEY].newValue || DEFAULT_VIEWED_RETENTION_DAYS;
+      }
+      if (this.statusFilters.viewed !== 'show') {
+        this.resetAndRefilter();
+      }
     }
     
-    const isCurrentlyFiltered = parent.hasAttribute('data-filtered');
+    // Shard keys stand in for the setting they belong to; an area switch changes everything
+    const settingsChanged = Object.keys(changes).some(key =>
+      Object.values(STORAGE_KEYS).includes(FilterStorage.getBaseKey(key)) || key === STORAGE_META_KEYS.area);
+    if (!settingsChanged) return;
     
-    if (shouldFilter && !isCurrentlyFiltered) {
-      // Filter the element
-      parent.setAttribute('data-filtered', 'true');
-      this.blockedCount++;
-    } else if (!shouldFilter && isCurrentlyFiltered) {
-      // Unfilter the element
-      parent.removeAttribute('data-filtered');
-      this.blockedCount--;
+    if (this.settingsReloadTimeout) {
+      clearTimeout(this.settingsReloadTimeout);
     }
+    
+    this.settingsReloadTimeout = this.resourceManager.setTimeout(() => {
+      this.settingsReloadTimeout = null;
+      this.reloadSettings();
+    }, SETTINGS_RELOAD_DELAY);
   }
   
-  isItemInLibrary(element) {
-    // Look for the "Saved in My Library" text with the success intent styling
-    // Check for elements with success intent that contain the library text
-    const successElements = element.querySelectorAll('.fabkit-Typography--intent-success');
-    
-    for (const el of successElements) {
-      const text = el.textContent.trim();
-      if (text.includes('Saved in My Library')) {
-        // Additional validation: check for the check icon
-        const hasCheckIcon = el.querySelector('.edsicon-check-circle-filled');
-        if (hasCheckIcon) {
-          return true;
-        }
-      }
+  applyPause(pausedUntil) {
+    if (this.pauseTimeout) {
+      clearTimeout(this.pauseTimeout);
+      this.pauseTimeout = null;
     }
     
-    return false;
+    this.pausedUntil = typeof pausedUntil === 'number' && pausedUntil > Date.now() ? pausedUntil : null;
+    if (!this.pausedUntil) return;
+    
+    // The background worker clears the pause when it ends; this covers an alarm that fires late
+    this.pauseTimeout = this.resourceManager.setTimeout(() => {
+      this.pauseTimeout = null;
+      this.pausedUntil = null;
+      this.resetAndRefilter();
+    }, this.pausedUntil - Date.now());
   }
   
-  setupMutationObserver() {
-    const observer = new MutationObserver((mutations) => {
-      // Batch mutations
-      for (const mutation of mutations) {
+  isPaused() {
+    return this.pausedUntil !== null && this.pausedUntil > Date.now();
+  }
+  
+  applySubscriptions(subscriptionData) {
+    // Remember which list each entry came from for the reason label; they're never written back
+    const entries = [];
+    Object.values(subscriptionData || {}).forEach(subscription => {
+      if (!subscription || !Array.isArray(subscription.entries)) return;
+      
+      subscription.entries.forEach(entry => {
+        const sellerEntry = typeof entry === 'string' ? { name: entry, match: 'exact' } : entry;
+        entries.push({ ...sellerEntry, listName: subscription.name || null });
+      });
+    });
+    
+    this.subscribedSellers = new SellerMatcher(entries);
+  }
+  
+  async reloadSettings() {
+    try {
+      const data = await FilterStorage.get(Object.values(STORAGE_KEYS));
+      this.applySelectors(data[STORAGE_KEYS.selectorOverrides]);
+      this.applySettings(settingsFromStorage(data));
+      this.resetAndRefilter();
+    } catch (error) {
+      if (!error.message?.includes('Extension context invalidated')) {
+        console.error('Failed to reload settings:', error);
+      }
+    }
+  }
+  
+  applySettings(settings) {
+    this.filteredUsernames = new SellerMatcher(settings.usernames);
+    this.allowedSellers = new SellerMatcher(settings.allowedSellers);
+    this.showBlockedCount = settings.showCount;
+    this.hideLibraryItems = settings.hideLibrary;
+    this.setTitleRules(settings.titleRules);
+    this.priceFilter = { ...DEFAULT_PRICE_FILTER, ...settings.priceFilter };
+    this.attributeFilters = createAttributeSets(settings.attributeFilters);
+    this.statusFilters = { ...DEFAULT_STATUS_FILTERS, ...settings.statusFilters };
+    this.setBlockedListings(settings.blockedListings);
+    this.applyDisplayMode(settings.displayMode);
+    this.applyFilterMode(settings.filterMode);
+  }
+  
+  applySelectors(overrides) {
+    // Not part of profiles: they describe Fab's markup, not what to filter
+    this.selectors = resolveSelectors(overrides);
+    this.elementCache = new ElementCache(this.selectors);
+  }
+  
+  applyDisplayMode(displayMode) {
+    this.displayMode = DISPLAY_MODES.includes(displayMode) ? displayMode : 'hide';
+    document.documentElement.setAttribute('data-fab-filter-mode', this.displayMode);
+  }
+  
+  applyFilterMode(filterMode) {
+    this.filterMode = FILTER_MODES.includes(filterMode) ? filterMode : 'blocklist';
+    
+    // Lets the styles drop the block button, which has no effect in allowlist mode
+    document.documentElement.setAttribute('data-fab-filter-list', this.filterMode);
+  }
+  
+  // Entries are { id, title, seller, addedAt }, keyed by the part of the listing URL after
+  // /listings/. Title and seller are only kept so the popup can show what was hidden.
+  setBlockedListings(entries) {
+    this.blockedListings = new Map(entries.map(entry => [entry.id, entry]));
+  }
+  
+  setTitleRules(rules) {
+    // Compile once so filtering a card is just a regex test per rule
+    this.titleMatchers = [];
+    
+    for (const rule of rules) {
+      try {
+        const source = rule.isRegex ? rule.pattern : escapeRegExp(rule.pattern);
+        const wrapped = rule.wholeWord ? `\\b(?:${source})\\b` : source;
+        this.titleMatchers.push({
+          pattern: rule.pattern,
+          regex: new RegExp(wrapped, rule.caseInsensitive ? 'i' : '')
+        });
+      } catch (error) {
+        console.warn('Skipping invalid title rule:', rule.pattern, error);
+      }
+    }
+  }
+  
+  filterExistingContent() {
+    const elements = this.elementCache.findElementsInNode(document);
+    elements.forEach(element => this.filterElement(element));
+    this.updateBadge();
+    this.updateSellerBanner();
+    this.scheduleHealthCheck();
+  }
+  
+  scheduleHealthCheck() {
+    if (this.healthCheckTimeout) {
+      clearTimeout(this.healthCheckTimeout);
+    }
+    
+    this.healthCheckTimeout = this.resourceManager.setTimeout(() => {
+      this.healthCheckTimeout = null;
+      this.checkHealth();
+    }, HEALTH_CHECK_DELAY);
+  }
+  
+  // Notice when Fab's markup no longer matches the selectors, instead of silently filtering nothing
+  checkHealth() {
+    const warning = this.getLayoutWarning();
+    if (warning === this.layoutWarning) return;
+    
+    this.layoutWarning = warning;
+    if (warning) {
+      console.warn('Fab filter:', warning);
+    }
+    this.updateBadge();
+  }
+  
+  getLayoutWarning() {
+    const sellerLinks = document.querySelectorAll(this.selectors.sellerLink).length;
+    if (sellerLinks < HEALTH_MIN_SELLER_LINKS) return null;
+    
+    const cards = document.querySelectorAll('[data-filtered-processed="true"]');
+    if (cards.length === 0) {
+      return `Found ${sellerLinks} seller links but no product cards`;
+    }
+    
+    const resolved = Array.from(cards).filter(card => {
+      const link = card.querySelector(this.selectors.sellerLink);
+      return link && this.getUsername(link);
+    });
+    if (resolved.length === 0) {
+      return `Found ${cards.length} product cards but no seller names`;
+    }
+    
+    return null;
+  }
+  
+  getUsername(link) {
+    // Find username element
+    const usernameWrapper = link.querySelector(this.selectors.username);
+    if (!usernameWrapper) return null;
+    
+    return usernameWrapper.textContent.trim() || null;
+  }
+  
+  getSellerSlug(link) {
+    return getSellerSlug(link.getAttribute('href'));
+  }
+  
+  filterElement({ link, parent }) {
+    // Extract and validate username
+    const username = this.getUsername(link);
+    if (!username) return;
+    const slug = this.getSellerSlug(link);
+    
+    // Add the in-page block control
+    this.decorateCard(parent, username, slug);
+    
+    // Remember what the card shows, for the popup's category and format pickers
+    const attributes = this.getListingAttributes(parent);
+    this.recordSeenAttributes(attributes);
+    
+    // Determine if item should be filtered, and why
+    const reason = this.getFilterReason(username, slug, link, parent, attributes);
+    
+    const isCurrentlyFiltered = parent.hasAttribute('data-filtered');
+    
+    if (reason && !isCurrentlyFiltered) {
+      // Filter the element
+      parent.setAttribute('data-filtered', 'true');
+      this.blockedCount++;
+    } else if (!reason && isCurrentlyFiltered) {
+      // Unfilter the element
+      parent.removeAttribute('data-filtered');
+      parent.removeAttribute('data-filter-expanded');
+      this.blockedCount--;
+    }
+    
+    this.updateReasonAttributes(parent, reason);
+    this.updateReasonLabel(parent, reason);
+  }
+  
+  // Returns { type, match, label } for the first rule that hides the card, or null
+  getFilterReason(username, slug, link, parent, attributes = this.getListingAttributes(parent)) {
+    // Everything is shown while filtering is paused, or turned off for this tab
+    if (this.isPaused() || this.filteringOff) {
+      return null;
+    }
+    
+    // Cards the user chose to see anyway from the popup
+    const listing = this.getListingPath(parent);
+    if (listing && this.revealedListings.has(listing)) {
+      return null;
+    }
+    
+    // The seller shown from the seller page banner, until the page changes
+    if (this.isRevealedSeller(username, slug)) {
+      return null;
+    }
+    
+    // Listings hidden one by one, in either mode
+    const listingId = getListingId(listing);
+    if (listingId && this.blockedListings.has(listingId)) {
+      return { type: 'listing', match: listingId, label: 'hidden listing' };
+    }
+    
+    if (this.filterMode === 'allowlist') {
+      // Check allowed sellers - anyone not on the list is hidden
+      const allowedEntry = this.allowedSellers.match(username, slug);
+      if (!allowedEntry) {
+        return { type: 'allowlist', match: slug || username, label: `seller ${username} not allowed` };
+      }
+      this.trackSellerEntry(allowedEntry, username, slug, STORAGE_KEYS.allowedSellers);
+      this.recordHit(allowedEntry, slug, parent, STORAGE_KEYS.allowedSellers);
+    } else {
+      // Check username filter
+      const sellerEntry = this.filteredUsernames.match(username, slug);
+      if (sellerEntry) {
+        this.trackSellerEntry(sellerEntry, username, slug, STORAGE_KEYS.usernames);
+        this.recordHit(sellerEntry, slug, parent, STORAGE_KEYS.usernames);
+        return this.getSellerReason(sellerEntry, username);
+      }
+      
+      // Shared lists only add to the user's own blocklist
+      const subscribedEntry = this.subscribedSellers.match(username, slug);
+      if (subscribedEntry) {
+        const listName = subscribedEntry.listName ? ` "${subscribedEntry.listName}"` : '';
+        return {
+          type: 'subscription',
+          match: subscribedEntry.slug || subscribedEntry.name,
+          label: `seller ${username} (shared list${listName})`
+        };
+      }
+    }
+    
+    // Check library filter
+    if (this.hideLibraryItems && this.isItemInLibrary(parent)) {
+      return { type: 'library', match: '', label: 'in My Library' };
+    }
+    
+    // Check viewed, cart and wishlist filters
+    const statusReason = this.getStatusReason(parent, listing);
+    if (statusReason) {
+      return statusReason;
+    }
+    
+    // Check title keyword filter
+    if (this.titleMatchers.length > 0) {
+      const title = this.getListingTitle(parent);
+      const matcher = title && this.titleMatchers.find(({ regex }) => regex.test(title));
+      if (matcher) {
+        return { type: 'title', match: matcher.pattern, label: `title matches "${matcher.pattern}"` };
+      }
+    }
+    
+    // Check category, format and tag rules
+    const attributeReason = this.getAttributeReason(attributes);
+    if (attributeReason) {
+      return attributeReason;
+    }
+    
+    // Check price filter
+    if (this.isPriceFilterActive()) {
+      const price = this.getListingPrice(parent, link);
+      if (price && !this.isPriceAllowed(price)) {
+        return {
+          type: 'price',
+          match: String(price.amount),
+          label: price.isFree ? 'free item' : 'price filter'
+        };
+      }
+    }
+    
+    return null;
+  }
+  
+  getStatusReason(parent, listing) {
+    const statusLabels = { viewed: 'viewed before', cart: 'in cart', wishlist: 'on wishlist' };
+    const status = LISTING_STATUSES.find(name => this.statusFilters[name] !== 'show' && this.hasListingStatus(name, parent, listing));
+    if (!status) return null;
+    
+    // Dimmed cards stay in view even when other filtered cards are hidden or collapsed
+    const style = this.statusFilters[status] === 'dim' ? 'dim' : null;
+    return { type: status, match: getListingId(listing) || '', label: statusLabels[status], style };
+  }
+  
+  hasListingStatus(status, parent, listing) {
+    switch (status) {
+      case 'viewed':
+        return this.isListingViewed(getListingId(listing));
+      case 'cart':
+        return parent.querySelector(this.selectors.cartIndicator) !== null;
+      case 'wishlist':
+        return parent.querySelector(this.selectors.wishlistIndicator) !== null;
+    }
+    return false;
+  }
+  
+  isListingViewed(listingId) {
+    const viewedAt = listingId && this.viewedListings[listingId];
+    return Boolean(viewedAt) && viewedAt > Date.now() - this.viewedRetentionDays * DAY_IN_MS;
+  }
+  
+  // Fab navigates between pages without reloading, so this also runs as the page changes
+  async recordViewedListing() {
+    const path = window.location.pathname;
+    if (path === this.lastPath) return;
+    this.lastPath = path;
+    
+    const listingId = getListingId(path);
+    if (!listingId) return;
+    
+    try {
+      const data = await chrome.storage.local.get([VIEWED_STORAGE_KEY, VIEWED_RETENTION_KEY]);
+      const retentionDays = data[VIEWED_RETENTION_KEY] || DEFAULT_VIEWED_RETENTION_DAYS;
+      const viewed = { ...data[VIEWED_STORAGE_KEY], [listingId]: Date.now() };
+      
+      // Drop views past the retention window, and the oldest ones past the cap
+      const cutoff = Date.now() - retentionDays * DAY_IN_MS;
+      const kept = Object.entries(viewed)
+        .filter(([, viewedAt]) => viewedAt > cutoff)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_VIEWED_LISTINGS);
+      
+      await chrome.storage.local.set({ [VIEWED_STORAGE_KEY]: Object.fromEntries(kept) });
+    } catch (error) {
+      if (!error.message?.includes('Extension context invalidated')) {
+        console.error('Failed to record viewed listing:', error);
+      }
+    }
+  }
+  
+  getAttributeReason({ categories, formats, tags }) {
+    const category = categories.find(value => this.attributeFilters.categories.has(normalizeAttribute(value)));
+    if (category) {
+      return { type: 'category', match: category, label: `category "${category}"` };
+    }
+    
+    // A listing is only hidden for its formats when it supports none the user can use
+    if (formats.length > 0 && formats.every(value => this.attributeFilters.formats.has(normalizeAttribute(value)))) {
+      return { type: 'format', match: formats.join(', '), label: `${formats.join(', ')} only` };
+    }
+    
+    const tag = tags.find(value => this.attributeFilters.tags.has(normalizeAttribute(value)));
+    if (tag) {
+      return { type: 'tag', match: tag, label: `tag "${tag}"` };
+    }
+    
+    return null;
+  }
+  
+  // Categories, formats and tags shown on a card. Cards on a /category/<slug> page are
+  // also in that category, whether or not they show a badge.
+  getListingAttributes(parent) {
+    const valuesOf = selector => {
+      const values = [];
+      parent.querySelectorAll(selector).forEach(element => {
+        const value = (element.getAttribute('aria-label') || element.getAttribute('title') || element.textContent).trim();
+        if (value && !values.includes(value)) values.push(value);
+      });
+      return values;
+    };
+    
+    const categories = valuesOf(this.selectors.cardCategory);
+    const pageCategory = window.location.pathname.match(/^\/category\/([^/]+)/);
+    if (pageCategory) {
+      const category = decodeURIComponent(pageCategory[1]).replace(/-/g, ' ');
+      if (!categories.some(value => normalizeAttribute(value) === normalizeAttribute(category))) {
+        categories.push(category);
+      }
+    }
+    
+    return { categories, formats: valuesOf(this.selectors.cardFormat), tags: valuesOf(this.selectors.cardTag) };
+  }
+  
+  recordSeenAttributes(attributes) {
+    ATTRIBUTE_KINDS.forEach(kind => {
+      attributes[kind].forEach(value => {
+        const key = `${kind}\n${value}`;
+        if (this.seenAttributes.has(key)) return;
+        
+        this.seenAttributes.add(key);
+        this.pendingSeenAttributes.set(key, Date.now());
+      });
+    });
+    
+    if (this.pendingSeenAttributes.size > 0 && !this.seenUpdateTimeout) {
+      this.seenUpdateTimeout = this.resourceManager.setTimeout(() => this.flushSeenAttributes(), STATS_UPDATE_DELAY);
+    }
+  }
+  
+  async flushSeenAttributes() {
+    this.seenUpdateTimeout = null;
+    const seen = Array.from(this.pendingSeenAttributes.entries());
+    this.pendingSeenAttributes.clear();
+    if (seen.length === 0) return;
+    
+    try {
+      const data = await chrome.storage.local.get(SEEN_ATTRIBUTES_STORAGE_KEY);
+      const stored = data[SEEN_ATTRIBUTES_STORAGE_KEY] || {};
+      
+      for (const [key, seenAt] of seen) {
+        const [kind, value] = key.split('\n');
+        stored[kind] = { ...stored[kind], [value]: seenAt };
+      }
+      
+      // Keep only the most recently seen values of each kind
+      ATTRIBUTE_KINDS.forEach(kind => {
+        const entries = Object.entries(stored[kind] || {}).sort((a, b) => b[1] - a[1]);
+        stored[kind] = Object.fromEntries(entries.slice(0, MAX_SEEN_ATTRIBUTES));
+      });
+      
+      await chrome.storage.local.set({ [SEEN_ATTRIBUTES_STORAGE_KEY]: stored });
+    } catch (error) {
+      if (!error.message?.includes('Extension context invalidated')) {
+        console.error('Failed to save seen categories:', error);
+      }
+    }
+  }
+  
+  getSellerReason(entry, username) {
+    if (typeof entry === 'string') {
+      return { type: 'username', match: entry, label: `seller ${username}` };
+    }
+    
+    if (entry.slug) {
+      return { type: 'username', match: entry.slug, label: `seller ${username}` };
+    }
+    
+    const label = entry.name === username
+      ? `seller ${username}`
+      : `seller ${username} (matches "${entry.name}")`;
+    return { type: 'username', match: entry.name, label };
+  }
+  
+  trackSellerEntry(entry, username, slug, storageKey) {
+    if (!slug) return;
+    
+    // Name-only entries are upgraded to slug entries the first time they're seen,
+    // and slug entries keep the seller's latest display name
+    const isNameOnly = typeof entry === 'string' || (entry.match === 'exact' && !entry.slug);
+    const isRenamed = typeof entry === 'object' && entry.slug && entry.name !== username;
+    if (!isNameOnly && !isRenamed) return;
+    
+    this.pendingSellerUpdates.set(`${storageKey}:${slug.toLowerCase()}`, {
+      storageKey,
+      previous: entry,
+      name: username,
+      slug
+    });
+    
+    if (!this.sellerUpdateTimeout) {
+      this.sellerUpdateTimeout = this.resourceManager.setTimeout(
+        () => this.flushSellerUpdates(),
+        SELLER_UPDATE_DELAY
+      );
+    }
+  }
+  
+  async flushSellerUpdates() {
+    this.sellerUpdateTimeout = null;
+    const updates = Array.from(this.pendingSellerUpdates.values());
+    this.pendingSellerUpdates.clear();
+    if (updates.length === 0) return;
+    
+    try {
+      const storageKeys = [...new Set(updates.map(update => update.storageKey))];
+      const data = await FilterStorage.get(storageKeys);
+      
+      for (const { storageKey, previous, name, slug } of updates) {
+        let usernames = data[storageKey] || [];
+        const isReplaced = entry => {
+          if (typeof entry === 'string') return entry === previous;
+          if (entry.match !== 'exact') return false;
+          if (entry.slug) return entry.slug.toLowerCase() === slug.toLowerCase();
+          return typeof previous === 'object' && !previous.slug && entry.name === previous.name;
+        };
+        
+        const index = usernames.findIndex(isReplaced);
+        if (index === -1) continue;
+        
+        // Replace in place so the list keeps its order, dropping any other copies.
+        // Date added and notes carry over to the upgraded entry.
+        const current = usernames[index];
+        const updated = typeof current === 'string'
+          ? { name, slug, match: 'exact' }
+          : { ...current, name, slug, match: 'exact' };
+        data[storageKey] = usernames.flatMap((entry, i) => {
+          if (i === index) return [updated];
+          return isReplaced(entry) ? [] : [entry];
+        });
+      }
+      
+      await FilterStorage.set(data);
+      
+      // Same sellers, just stored differently - no need to refilter
+      if (data[STORAGE_KEYS.usernames]) {
+        this.filteredUsernames = new SellerMatcher(data[STORAGE_KEYS.usernames]);
+      }
+      if (data[STORAGE_KEYS.allowedSellers]) {
+        this.allowedSellers = new SellerMatcher(data[STORAGE_KEYS.allowedSellers]);
+      }
+    } catch (error) {
+      console.error('Failed to update seller entries:', error);
+    }
+  }
+  
+  // Same keys the options page uses to look entries up (see getEntryKey in validation.js).
+  // Name-only entries are about to become slug entries, so count them under the slug.
+  getStatsKey(entry, slug) {
+    const isNameOnly = typeof entry === 'string' || (entry.match === 'exact' && !entry.slug);
+    if (isNameOnly && slug) return `slug:${slug.toLowerCase()}`;
+    
+    if (typeof entry === 'string') return `exact:${entry}`;
+    if (entry.slug) return `slug:${entry.slug.toLowerCase()}`;
+    return `${entry.match}:${entry.name}`;
+  }
+  
+  recordHit(entry, slug, parent, storageKey) {
+    // Each card counts once, however often the page is refiltered
+    if (this.countedCards.has(parent)) return;
+    this.countedCards.add(parent);
+    
+    const key = `${storageKey}\n${this.getStatsKey(entry, slug)}`;
+    this.pendingHits.set(key, (this.pendingHits.get(key) || 0) + 1);
+    
+    if (!this.statsUpdateTimeout) {
+      this.statsUpdateTimeout = this.resourceManager.setTimeout(
+        () => this.flushHits(),
+        STATS_UPDATE_DELAY
+      );
+    }
+  }
+  
+  async flushHits() {
+    this.statsUpdateTimeout = null;
+    const hits = Array.from(this.pendingHits.entries());
+    this.pendingHits.clear();
+    if (hits.length === 0) return;
+    
+    try {
+      const data = await chrome.storage.local.get(STATS_STORAGE_KEY);
+      const stats = data[STATS_STORAGE_KEY] || {};
+      const now = Date.now();
+      
+      for (const [key, count] of hits) {
+        const [storageKey, entryKey] = key.split('\n');
+        const listStats = stats[storageKey] || (stats[storageKey] = {});
+        const entryStats = listStats[entryKey] || { hits: 0 };
+        listStats[entryKey] = { hits: entryStats.hits + count, lastMatched: now };
+      }
+      
+      await chrome.storage.local.set({ [STATS_STORAGE_KEY]: stats });
+    } catch (error) {
+      if (!error.message?.includes('Extension context invalidated')) {
+        console.error('Failed to save hit counts:', error);
+      }
+    }
+  }
+  
+  updateReasonAttributes(parent, reason) {
+    if (!reason) {
+      parent.removeAttribute('data-filter-reason');
+      parent.removeAttribute('data-filter-match');
+      parent.removeAttribute('data-filter-style');
+      return;
+    }
+    
+    parent.setAttribute('data-filter-reason', reason.type);
+    parent.setAttribute('data-filter-match', reason.match);
+    
+    if (reason.style) {
+      parent.setAttribute('data-filter-style', reason.style);
+    } else {
+      parent.removeAttribute('data-filter-style');
+    }
+  }
+  
+  updateReasonLabel(parent, reason) {
+    let label = parent.querySelector(':scope > .fab-filter-reason');
+    
+    if (!reason) {
+      if (label) label.remove();
+      return;
+    }
+    
+    if (!label) {
+      // A button so the collapsed bar can be expanded with the keyboard too
+      label = document.createElement('button');
+      label.type = 'button';
+      label.className = 'fab-filter-reason';
+      parent.insertBefore(label, parent.firstChild);
+    }
+    
+    label.textContent = reason.label; // Safe: textContent prevents XSS
+  }
+  
+  getListingPath(parent) {
+    const listingLink = parent.querySelector(this.selectors.listingLink);
+    if (!listingLink) return null;
+    
+    // Ignore query strings and fragments so the same listing always matches
+    return listingLink.getAttribute('href').split(/[?#]/)[0];
+  }
+  
+  getFilteredItems() {
+    const items = [];
+    
+    document.querySelectorAll('[data-filtered="true"]').forEach(parent => {
+      const link = parent.querySelector(this.selectors.sellerLink);
+      const label = parent.querySelector(':scope > .fab-filter-reason');
+      
+      items.push({
+        listing: this.getListingPath(parent),
+        title: this.getListingTitle(parent) || '',
+        seller: (link && this.getUsername(link)) || '',
+        reason: parent.getAttribute('data-filter-reason') || '',
+        label: label ? label.textContent : ''
+      });
+    });
+    
+    return items;
+  }
+  
+  getListingTitle(parent) {
+    const titleLink = this.getListingTitleLink(parent);
+    return titleLink ? titleLink.textContent.trim() : null;
+  }
+  
+  getListingTitleLink(parent) {
+    // The image link has no text, so use the first listing link that does
+    const listingLinks = parent.querySelectorAll(this.selectors.listingLink);
+    
+    for (const listingLink of listingLinks) {
+      if (listingLink.textContent.trim()) return listingLink;
+    }
+    
+    return null;
+  }
+  
+  isPriceFilterActive() {
+    const { mode, min, max } = this.priceFilter;
+    return mode !== 'all' || min !== null || max !== null;
+  }
+  
+  isPriceAllowed({ isFree, amount }) {
+    const { mode, min, max } = this.priceFilter;
+    
+    if (mode === 'free' && !isFree) return false;
+    if (mode === 'paid' && isFree) return false;
+    if (min !== null && amount < min) return false;
+    if (max !== null && amount > max) return false;
+    
+    return true;
+  }
+  
+  getListingPrice(parent, sellerLink) {
+    // Text that can mention prices without being the price itself
+    const titleLink = this.getListingTitleLink(parent);
+    const ignored = [
+      sellerLink,
+      titleLink,
+      parent.querySelector(':scope > .fab-filter-card-actions'),
+      parent.querySelector(':scope > .fab-filter-reason')
+    ];
+    
+    const walker = document.createTreeWalker(parent, NodeFilter.SHOW_TEXT);
+    let node;
+    
+    while ((node = walker.nextNode())) {
+      const text = node.textContent.trim();
+      if (!text) continue;
+      
+      const element = node.parentElement;
+      if (!element || ignored.some(ignore => ignore && ignore.contains(element))) continue;
+      
+      // Skip the original price of discounted items
+      if (this.isStruckThrough(element, parent)) continue;
+      
+      if (/^free$/i.test(text)) {
+        return { isFree: true, amount: 0 };
+      }
+      
+      const match = text.match(PRICE_PATTERN);
+      if (match) {
+        const amount = parsePriceAmount(match[1] || match[2]);
+        if (amount !== null) {
+          return { isFree: amount === 0, amount };
+        }
+      }
+    }
+    
+    // No recognizable price on this card
+    return null;
+  }
+  
+  isStruckThrough(element, parent) {
+    for (let current = element; current && current !== parent; current = current.parentElement) {
+      if (['S', 'DEL', 'STRIKE'].includes(current.tagName)) return true;
+      if (current.className && typeof current.className === 'string' &&
+          /strike|line-through/i.test(current.className)) return true;
+      if (current.style && current.style.textDecoration.includes('line-through')) return true;
+    }
+    
+    return false;
+  }
+  
+  decorateCard(parent, username, slug) {
+    let actions = parent.querySelector(':scope > .fab-filter-card-actions');
+    if (!actions) {
+      actions = document.createElement('div');
+      actions.className = 'fab-filter-card-actions';
+      
+      const blockButton = document.createElement('button');
+      blockButton.type = 'button';
+      blockButton.className = 'fab-filter-block-btn';
+      blockButton.textContent = 'Block seller';
+      actions.appendChild(blockButton);
+      
+      const hideListingButton = document.createElement('button');
+      hideListingButton.type = 'button';
+      hideListingButton.className = 'fab-filter-hide-listing-btn';
+      hideListingButton.textContent = 'Hide listing';
+      hideListingButton.title = 'Hide just this listing';
+      actions.appendChild(hideListingButton);
+      
+      parent.appendChild(actions);
+    }
+    
+    // Keep the target current in case the card was re-rendered for another seller
+    const blockButton = actions.querySelector('.fab-filter-block-btn');
+    blockButton.dataset.username = username; // Safe: dataset is never parsed as HTML
+    blockButton.dataset.slug = slug || '';
+    blockButton.title = `Hide all listings from ${username}`;
+  }
+  
+  handleDocumentClick(event) {
+    const target = event.target instanceof Element ? event.target : null;
+    if (!target) return;
+    
+    const hideListingButton = target.closest('.fab-filter-hide-listing-btn');
+    if (hideListingButton) {
+      event.preventDefault();
+      event.stopPropagation();
+      this.blockListing(hideListingButton.closest('[data-filtered-processed]'));
+      return;
+    }
+    
+    const blockButton = target.closest('.fab-filter-block-btn');
+    if (blockButton) {
+      // Cards are usually wrapped in links, so keep the click from navigating
+      event.preventDefault();
+      event.stopPropagation();
+      this.blockSeller(blockButton.dataset.username, blockButton.dataset.slug);
+      return;
+    }
+    
+    const reasonLabel = target.closest('.fab-filter-reason');
+    const isDimmedCard = reasonLabel && reasonLabel.parentElement.getAttribute('data-filter-style') === 'dim';
+    if (reasonLabel && this.displayMode === 'collapse' && !isDimmedCard) {
+      event.preventDefault();
+      event.stopPropagation();
+      this.toggleExpanded(reasonLabel.parentElement);
+      return;
+    }
+    
+    const bannerButton = target.closest('.fab-filter-seller-banner button');
+    if (bannerButton) {
+      event.preventDefault();
+      event.stopPropagation();
+      this.handleSellerBannerAction(bannerButton.dataset.bannerAction);
+      return;
+    }
+    
+    const undoButton = target.closest('.fab-filter-undo-btn');
+    if (undoButton) {
+      event.preventDefault();
+      event.stopPropagation();
+      if (undoButton.dataset.listing) {
+        this.unblockListing(undoButton.dataset.listing);
+      } else {
+        this.unblockSeller(undoButton.dataset.username, undoButton.dataset.slug);
+      }
+    }
+  }
+  
+  toggleExpanded(parent) {
+    if (!parent) return;
+    
+    if (parent.getAttribute('data-filter-expanded') === 'true') {
+      parent.removeAttribute('data-filter-expanded');
+    } else {
+      parent.setAttribute('data-filter-expanded', 'true');
+    }
+  }
+  
+  // relatedTarget is null once the pointer leaves the page
+  handlePointerMove(event) {
+    this.hoveredElement = event.type === 'mouseover' ? event.target : event.relatedTarget;
+  }
+  
+  // Keyboard commands. Turning filtering off lasts until it's turned back on or the page reloads,
+  // and only affects this tab
+  toggleFiltering() {
+    this.filteringOff = !this.filteringOff;
+    this.resetAndRefilter();
+    this.showToast(this.filteringOff ? 'Filtering off for this tab' : 'Filtering on');
+  }
+  
+  blockHoveredSeller() {
+    const card = this.hoveredElement && this.elementCache.findCardFor(this.hoveredElement);
+    if (!card) return;
+    
+    // The blocklist isn't used in allowlist mode, which is why the card's Block button is hidden too
+    if (this.filterMode === 'allowlist') {
+      this.showToast('Blocking sellers doesn\'t apply in allowlist mode');
+      return;
+    }
+    
+    this.blockSeller(this.getUsername(card.link), this.getSellerSlug(card.link));
+  }
+  
+  async cycleDisplayMode() {
+    const next = DISPLAY_MODES[(DISPLAY_MODES.indexOf(this.displayMode) + 1) % DISPLAY_MODES.length];
+    this.applyDisplayMode(next);
+    this.showToast(`Filtered items are now ${DISPLAY_MODE_LABELS[next]}`);
+    
+    try {
+      // Saved like a change from the popup, so other tabs follow
+      await FilterStorage.set({ [STORAGE_KEYS.displayMode]: next });
+    } catch (error) {
+      console.error('Failed to save display mode:', error);
+    }
+  }
+  
+  async blockSeller(username, slug) {
+    if (!username) return;
+    
+    try {
+      const data = await FilterStorage.get(STORAGE_KEYS.usernames);
+      const usernames = data[STORAGE_KEYS.usernames] || [];
+      
+      // Already blocked elsewhere - nothing to undo
+      if (usernames.some(entry => isSameSeller(entry, username, slug))) {
+        this.filteredUsernames = new SellerMatcher(usernames);
+        this.resetAndRefilter();
+        return;
+      }
+      
+      const entry = slug ? { name: username, slug, match: 'exact' } : { name: username, match: 'exact' };
+      usernames.push({ ...entry, addedAt: Date.now() });
+      await FilterStorage.set({ [STORAGE_KEYS.usernames]: usernames });
+      
+      this.filteredUsernames = new SellerMatcher(usernames);
+      this.resetAndRefilter();
+      this.showUndoToast(`Blocked ${username}`, { username, slug: slug || '' });
+    } catch (error) {
+      console.error('Failed to block seller:', error);
+    }
+  }
+  
+  async unblockSeller(username, slug) {
+    this.dismissToast();
+    if (!username) return;
+    
+    try {
+      const data = await FilterStorage.get(STORAGE_KEYS.usernames);
+      // Only the plain entry added by blockSeller, never a pattern the user set up
+      const usernames = (data[STORAGE_KEYS.usernames] || [])
+        .filter(entry => !isSameSeller(entry, username, slug));
+      await FilterStorage.set({ [STORAGE_KEYS.usernames]: usernames });
+      
+      this.filteredUsernames = new SellerMatcher(usernames);
+      this.resetAndRefilter();
+    } catch (error) {
+      console.error('Failed to unblock seller:', error);
+    }
+  }
+  
+  async blockListing(parent) {
+    const listingId = parent && getListingId(this.getListingPath(parent));
+    if (!listingId) return;
+    
+    try {
+      const data = await FilterStorage.get(STORAGE_KEYS.blockedListings);
+      const blockedListings = data[STORAGE_KEYS.blockedListings] || [];
+      
+      if (!blockedListings.some(entry => entry.id === listingId)) {
+        const link = parent.querySelector(this.selectors.sellerLink);
+        const entry = { id: listingId, addedAt: Date.now() };
+        const title = this.getListingTitle(parent);
+        const seller = link && this.getUsername(link);
+        if (title) entry.title = title;
+        if (seller) entry.seller = seller;
+        
+        blockedListings.push(entry);
+        await FilterStorage.set({ [STORAGE_KEYS.blockedListings]: blockedListings });
+        this.showUndoToast('Listing hidden', { listing: listingId });
+      }
+      
+      this.setBlockedListings(blockedListings);
+      this.resetAndRefilter();
+    } catch (error) {
+      console.error('Failed to hide listing:', error);
+    }
+  }
+  
+  async unblockListing(listingId) {
+    this.dismissToast();
+    
+    try {
+      const data = await FilterStorage.get(STORAGE_KEYS.blockedListings);
+      const blockedListings = (data[STORAGE_KEYS.blockedListings] || []).filter(entry => entry.id !== listingId);
+      await FilterStorage.set({ [STORAGE_KEYS.blockedListings]: blockedListings });
+      
+      this.setBlockedListings(blockedListings);
+      this.resetAndRefilter();
+    } catch (error) {
+      console.error('Failed to show listing again:', error);
+    }
+  }
+  
+  // The seller a profile or listing page is about, as { username, slug, page }, or null elsewhere
+  getPageSeller() {
+    const path = window.location.pathname;
+    const pageSlug = getSellerSlug(path);
+    if (!pageSlug && !getListingId(path)) return null;
+    
+    // The page's own seller link is the one outside every card; on a profile it's the one back to it
+    const link = Array.from(document.querySelectorAll(this.selectors.sellerLink)).find(element =>
+      !element.closest('[data-filtered-processed]') &&
+      (!pageSlug || this.getSellerSlug(element)?.toLowerCase() === pageSlug.toLowerCase()));
+    const slug = pageSlug || (link && this.getSellerSlug(link));
+    if (!slug) return null;
+    
+    return { username: (link && this.getUsername(link)) || slug, slug, page: pageSlug ? 'seller' : 'listing' };
+  }
+  
+  isRevealedSeller(username, slug) {
+    const revealed = this.revealedSeller;
+    if (!revealed) return false;
+    if (slug && revealed.slug) return slug.toLowerCase() === revealed.slug.toLowerCase();
+    return username === revealed.username;
+  }
+  
+  // On seller and listing pages, say whether the seller is blocked and offer to change it.
+  // Re-rendered only when what it says changes, since this runs after every batch of mutations.
+  updateSellerBanner() {
+    const seller = this.filterMode === 'blocklist' ? this.getPageSeller() : null;
+    const content = seller && window.location.pathname !== this.dismissedBannerPath
+      ? this.getSellerBannerContent(seller)
+      : null;
+    const key = content && JSON.stringify(content);
+    if (key === this.sellerBannerKey && (!content || this.sellerBanner?.isConnected)) return;
+    
+    this.sellerBanner?.remove();
+    this.sellerBanner = null;
+    this.sellerBannerKey = key;
+    this.bannerSeller = seller;
+    if (!content) return;
+    
+    const banner = document.createElement('div');
+    banner.className = 'fab-filter-seller-banner';
+    banner.setAttribute('role', 'status');
+    
+    const message = document.createElement('span');
+    message.textContent = content.text; // Safe: textContent prevents XSS
+    banner.appendChild(message);
+    
+    content.actions.forEach(action => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.bannerAction = action;
+      button.textContent = SELLER_BANNER_ACTIONS[action];
+      banner.appendChild(button);
+    });
+    
+    document.body.appendChild(banner);
+    this.sellerBanner = banner;
+  }
+  
+  // { text, actions } for the banner, or null when there's nothing to say
+  getSellerBannerContent({ username, slug, page }) {
+    const subject = page === 'seller' ? username : `This listing's seller, ${username},`;
+    
+    if (this.isRevealedSeller(username, slug)) {
+      return { text: `Showing listings from ${username} on this page`, actions: ['hideAgain', 'dismiss'] };
+    }
+    
+    const entry = this.filteredUsernames.match(username, slug);
+    if (entry) {
+      // Only a plain entry for this seller can be removed here, not a pattern that matches others too
+      const isExact = typeof entry === 'string' || entry.match === 'exact';
+      const pattern = isExact ? '' : ` by "${entry.name}"`;
+      const actions = isExact ? ['unblock', 'reveal', 'dismiss'] : ['reveal', 'dismiss'];
+      return { text: `${subject} is blocked${pattern}`, actions };
+    }
+    
+    const subscribedEntry = this.subscribedSellers.match(username, slug);
+    if (subscribedEntry) {
+      const listName = subscribedEntry.listName ? ` "${subscribedEntry.listName}"` : '';
+      return { text: `${subject} is blocked by the shared list${listName}`, actions: ['reveal', 'dismiss'] };
+    }
+    
+    // A listing page only needs a notice when its seller is blocked
+    return page === 'seller' ? { text: `${username} isn't blocked`, actions: ['block', 'dismiss'] } : null;
+  }
+  
+  handleSellerBannerAction(action) {
+    const seller = this.bannerSeller;
+    if (!seller) return;
+    
+    switch (action) {
+      case 'block':
+        this.blockSeller(seller.username, seller.slug);
+        break;
+      
+      case 'unblock':
+        this.unblockSeller(seller.username, seller.slug);
+        break;
+      
+      case 'reveal':
+        this.revealedSeller = { username: seller.username, slug: seller.slug, path: window.location.pathname };
+        this.resetAndRefilter();
+        break;
+      
+      case 'hideAgain':
+        this.revealedSeller = null;
+        this.resetAndRefilter();
+        break;
+      
+      case 'dismiss':
+        // Stays away until the next page
+        this.dismissedBannerPath = window.location.pathname;
+        this.updateSellerBanner();
+        break;
+    }
+  }
+  
+  showToast(text) {
+    this.dismissToast();
+    
+    const toast = document.createElement('div');
+    toast.className = 'fab-filter-toast';
+    toast.setAttribute('role', 'status');
+    
+    const message = document.createElement('span');
+    message.textContent = text; // Safe: textContent prevents XSS
+    
+    toast.appendChild(message);
+    document.body.appendChild(toast);
+    
+    this.toast = toast;
+    this.toastTimeout = this.resourceManager.setTimeout(() => this.dismissToast(), TOAST_DURATION);
+    return toast;
+  }
+  
+  // undo is copied onto the Undo button's dataset, naming what to restore
+  showUndoToast(text, undo) {
+    const toast = this.showToast(text);
+    
+    const undoButton = document.createElement('button');
+    undoButton.type = 'button';
+    undoButton.className = 'fab-filter-undo-btn';
+    undoButton.textContent = 'Undo';
+    Object.assign(undoButton.dataset, undo);
+    toast.appendChild(undoButton);
+  }
+  
+  dismissToast() {
+    if (this.toastTimeout) {
+      clearTimeout(this.toastTimeout);
+      this.toastTimeout = null;
+    }
+    
+    if (this.toast) {
+      this.toast.remove();
+      this.toast = null;
+    }
+  }
+  
+  isItemInLibrary(element) {
+    // Look for the "Saved in My Library" text with the success intent styling
+    // Check for elements with success intent that contain the library text
+    const successElements = element.querySelectorAll(this.selectors.libraryBadge);
+    
+    for (const el of successElements) {
+      const text = el.textContent.trim();
+      if (text.includes(this.selectors.libraryText)) {
+        // Additional validation: check for the check icon
+        const hasCheckIcon = el.querySelector(this.selectors.libraryIcon);
+        if (hasCheckIcon) {
+          return true;
+        }
+      }
+    }
+    
+    return false;
+  }
+  
+  setupMutationObserver() {
+    const observer = new MutationObserver((mutations) => {
+      // Batch mutations
+      for (const mutation of mutations) {
         if (mutation.type !== 'childList') continue;
         
         for (const node of mutation.addedNodes) {
@@ -396,6 +2128,16 @@ class FabFilter {
       const nodesToProcess = Array.from(this.pendingMutations);
       this.pendingMutations.clear();
       
+      // A new listing page may have replaced the last one
+      this.recordViewedListing();
+      
+      // A seller shown from the banner is hidden again once the page changes
+      if (this.revealedSeller && this.revealedSeller.path !== window.location.pathname) {
+        this.revealedSeller = null;
+        this.resetAndRefilter();
+        return;
+      }
+      
       nodesToProcess.forEach(node => {
         // Check if node is still in DOM
         if (!document.contains(node)) return;
@@ -405,6 +2147,8 @@ class FabFilter {
       });
       
       this.updateBadge();
+      this.updateSellerBanner();
+      this.scheduleHealthCheck();
     });
   }
   
@@ -413,15 +2157,22 @@ class FabFilter {
     this.blockedCount = 0;
     
     // Clear cache
-    this.elementCache = new ElementCache();
+    this.elementCache = new ElementCache(this.selectors);
     
     // Remove ALL filtering-related attributes to force reprocessing
     const allProcessed = document.querySelectorAll('[data-filtered-processed="true"]');
     allProcessed.forEach(element => {
       element.removeAttribute('data-filtered');
       element.removeAttribute('data-filtered-processed');
+      element.removeAttribute('data-filter-expanded');
+      element.removeAttribute('data-filter-reason');
+      element.removeAttribute('data-filter-match');
+      element.removeAttribute('data-filter-style');
     });
     
+    // Drop stale reason labels; filterElement recreates the ones still needed
+    document.querySelectorAll('.fab-filter-reason').forEach(label => label.remove());
+    
     // Also check for elements that only have data-filtered
     const filtered = document.querySelectorAll('[data-filtered="true"]');
     filtered.forEach(element => {
@@ -434,24 +2185,63 @@ class FabFilter {
   }
   
   updateBadge() {
-    if (this.showBlockedCount) {
+    if (this.isPaused()) {
+      const until = new Date(this.pausedUntil).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+      this.sendMessageSafely({
+        action: 'updateBadge',
+        text: 'off',
+        color: '#9E9E9E',
+        title: `Filtering paused until ${until}`
+      });
+    } else if (this.filteringOff) {
+      this.sendMessageSafely({
+        action: 'updateBadge',
+        text: 'off',
+        color: '#9E9E9E',
+        title: 'Filtering is off for this tab'
+      });
+    } else if (this.layoutWarning) {
+      // Shown even with the count turned off, since filtering has effectively stopped
+      this.sendMessageSafely({
+        action: 'updateBadge',
+        text: '!',
+        color: '#FF9800',
+        title: `Fab layout changed: ${this.layoutWarning}`
+      });
+    } else if (this.showBlockedCount) {
       // Show count in badge
       const text = this.blockedCount > 0 ? this.blockedCount.toString() : '';
       this.sendMessageSafely({
         action: 'updateBadge',
         text: text,
-        color: this.blockedCount > 0 ? '#f44336' : '#4CAF50'
+        color: this.blockedCount > 0 ? '#f44336' : '#4CAF50',
+        title: this.getBadgeTitle()
       });
     } else {
       // Clear badge
       this.sendMessageSafely({
         action: 'updateBadge',
         text: '',
-        color: '#4CAF50'
+        color: '#4CAF50',
+        title: ''
       });
     }
   }
   
+  getBadgeTitle() {
+    if (this.blockedCount === 0) return '';
+    
+    // e.g. "5 filtered: 3 seller, 2 price"
+    const counts = {};
+    document.querySelectorAll('[data-filtered="true"]').forEach(parent => {
+      const type = parent.getAttribute('data-filter-reason');
+      counts[type] = (counts[type] || 0) + 1;
+    });
+    
+    const parts = Object.entries(counts).map(([type, count]) => `${count} ${REASON_NAMES[type] || type}`);
+    return `${this.blockedCount} filtered: ${parts.join(', ')}`;
+  }
+  
   sendMessageSafely(message) {
     try {
       // Check if extension context is still valid
@@ -474,10 +2264,104 @@ class FabFilter {
   }
   
   cleanup() {
+    this.dismissToast();
+    chrome.storage.onChanged.removeListener(this.handleStorageChanged);
+    
+    // Remove injected card controls and the seller banner
+    document.querySelectorAll('.fab-filter-card-actions, .fab-filter-reason, .fab-filter-seller-banner')
+      .forEach(element => element.remove());
+    document.documentElement.removeAttribute('data-fab-filter-mode');
+    document.documentElement.removeAttribute('data-fab-filter-list');
+    
     this.resourceManager.cleanup();
   }
 }
 
+// Fill in defaults for anything that was never saved
+function settingsFromStorage(data) {
+  return {
+    usernames: data[STORAGE_KEYS.usernames] || [],
+    allowedSellers: data[STORAGE_KEYS.allowedSellers] || [],
+    filterMode: data[STORAGE_KEYS.filterMode] || 'blocklist',
+    showCount: data[STORAGE_KEYS.showCount] || false,
+    hideLibrary: data[STORAGE_KEYS.hideLibrary] || false,
+    titleRules: data[STORAGE_KEYS.titleRules] || [],
+    priceFilter: { ...DEFAULT_PRICE_FILTER, ...data[STORAGE_KEYS.priceFilter] },
+    attributeFilters: { ...DEFAULT_ATTRIBUTE_FILTERS, ...data[STORAGE_KEYS.attributeFilters] },
+    statusFilters: { ...DEFAULT_STATUS_FILTERS, ...data[STORAGE_KEYS.statusFilters] },
+    blockedListings: data[STORAGE_KEYS.blockedListings] || [],
+    displayMode: data[STORAGE_KEYS.displayMode] || 'hide'
+  };
+}
+
+// "/sellers/<slug>", possibly followed by a sub-page, query or fragment, gives the seller's slug
+function getSellerSlug(path) {
+  const match = (path || '').match(/^\/sellers\/([^/?#]+)/);
+  if (!match) return null;
+  
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (error) {
+    return match[1];
+  }
+}
+
+// "/listings/<id>", possibly followed by a sub-page, gives the listing's id
+function getListingId(path) {
+  const match = (path || '').match(/^\/listings\/([^/?#]+)/);
+  return match ? match[1] : null;
+}
+
+function createAttributeSets(filters) {
+  const sets = {};
+  ATTRIBUTE_KINDS.forEach(kind => {
+    sets[kind] = new Set((filters[kind] || []).map(normalizeAttribute));
+  });
+  return sets;
+}
+
+// Escape user keywords so they match literally inside a RegExp
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whether a stored entry is the exact (non-pattern) entry for this seller
+function isSameSeller(entry, username, slug) {
+  if (typeof entry === 'string') return entry === username;
+  if (entry.match !== 'exact') return false;
+  if (slug && entry.slug) return entry.slug.toLowerCase() === slug.toLowerCase();
+  return entry.name === username;
+}
+
+// Convert a glob-style pattern ("PolyFarm*", "Studio?X") into a case-insensitive RegExp
+function wildcardToRegExp(pattern) {
+  const source = pattern.split('').map(char => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return escapeRegExp(char);
+  }).join('');
+  
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Parse "1,234.56", "1.234,56" or "19,99" into a number
+function parsePriceAmount(text) {
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  let normalized;
+  
+  if (lastComma > lastDot && text.length - lastComma - 1 !== 3) {
+    // Comma is the decimal separator
+    normalized = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    // Dot is the decimal separator (or there are no decimals)
+    normalized = text.replace(/,/g, '');
+  }
+  
+  const amount = parseFloat(normalized);
+  return Number.isFinite(amount) ? amount : null;
+}
+
 // Initialize filter when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
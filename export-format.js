@@ -0,0 +1,205 @@
+// Layout of exported filter files, used by export and import in the popup.
+//
+// Every change to the layout bumps EXPORT_FORMAT_VERSION and adds a step to
+// EXPORT_MIGRATIONS that upgrades a file from the version before it. Older files are
+// upgraded one step at a time and then validated against the current layout, so import
+// only ever deals with one format.
+//
+//   0 - a plain array of usernames (the first release)
+//   1 - { usernames, allowedSellers, titleRules, stats, settings } with no version marker
+//   2 - adds formatVersion, exportedAt, extensionVersion and settings.showCount
+//   3 - adds attributeFilters
+//   4 - adds settings.statusFilters
+//   5 - adds blockedListings
+
+const EXPORT_FORMAT_VERSION = 5;
+
+// Top-level keys of the current format
+const EXPORT_KEYS = [
+  'formatVersion', 'exportedAt', 'extensionVersion', 'usernames', 'allowedSellers', 'titleRules', 'attributeFilters',
+  'blockedListings', 'stats', 'settings'
+];
+
+// Allowed values of the settings that are a fixed choice
+const EXPORT_SETTING_CHOICES = {
+  displayMode: ['hide', 'dim', 'collapse'],
+  filterMode: ['blocklist', 'allowlist']
+};
+
+const EXPORT_BOOLEAN_SETTINGS = ['showCount', 'hideLibrary'];
+
+// settings.statusFilters picks one of these for each kind of listing
+const EXPORT_STATUS_FILTER_CHOICES = {
+  viewed: ['show', 'hide', 'dim'],
+  cart: ['show', 'hide', 'dim'],
+  wishlist: ['show', 'hide', 'dim']
+};
+
+// Step n upgrades a version n file to version n + 1
+const EXPORT_MIGRATIONS = [
+  data => ({ usernames: data }),
+  data => ({ formatVersion: 2, exportedAt: null, extensionVersion: null, ...data }),
+  data => ({ ...data, formatVersion: 3 }),
+  data => ({ ...data, formatVersion: 4 }),
+  data => ({ ...data, formatVersion: 5 })
+];
+
+function buildExportData({ usernames, allowedSellers, titleRules, attributeFilters, blockedListings, stats, settings }) {
+  return {
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    usernames,
+    allowedSellers,
+    titleRules,
+    attributeFilters,
+    blockedListings,
+    stats,
+    settings
+  };
+}
+
+function getExportFormatVersion(data) {
+  if (Array.isArray(data)) return 0;
+  
+  if (!data || typeof data !== 'object') {
+    throw new Error('File does not contain filter settings');
+  }
+  
+  if (!('formatVersion' in data)) return 1;
+  
+  if (!Number.isInteger(data.formatVersion) || data.formatVersion < 2) {
+    throw new Error('formatVersion must be a whole number of 2 or more');
+  }
+  
+  return data.formatVersion;
+}
+
+// Upgrade a parsed file to the current format and validate it, throwing with what's wrong
+function migrateExportData(data) {
+  let version = getExportFormatVersion(data);
+  
+  if (version > EXPORT_FORMAT_VERSION) {
+    throw new Error(`File was exported by a newer version of the extension (format ${version}). Update the extension to import it`);
+  }
+  
+  let migrated = data;
+  while (version < EXPORT_FORMAT_VERSION) {
+    migrated = EXPORT_MIGRATIONS[version](migrated);
+    version++;
+  }
+  
+  validateExportData(migrated);
+  return migrated;
+}
+
+// Checks the layout only; single entries and keyword rules are validated when they're imported,
+// so one bad entry is skipped and reported rather than failing the whole file
+function validateExportData(data) {
+  const unknownKey = Object.keys(data).find(key => !EXPORT_KEYS.includes(key));
+  if (unknownKey) {
+    throw new Error(`Unknown field "${unknownKey}" in file`);
+  }
+  
+  if (!Array.isArray(data.usernames)) {
+    throw new Error('File has no usernames list');
+  }
+  
+  ['allowedSellers', 'titleRules', 'blockedListings'].forEach(key => {
+    if (data[key] !== undefined && !Array.isArray(data[key])) {
+      throw new Error(`${key} must be a list`);
+    }
+  });
+  
+  if (data.attributeFilters !== undefined) {
+    if (!isPlainObject(data.attributeFilters)) {
+      throw new Error('attributeFilters must be an object');
+    }
+    
+    Object.entries(data.attributeFilters).forEach(([kind, values]) => {
+      if (!ATTRIBUTE_KINDS.includes(kind)) {
+        throw new Error(`Unknown field "attributeFilters.${kind}" in file`);
+      }
+      if (!Array.isArray(values)) {
+        throw new Error(`attributeFilters.${kind} must be a list`);
+      }
+    });
+  }
+  
+  if (data.exportedAt !== null && (typeof data.exportedAt !== 'string' || isNaN(Date.parse(data.exportedAt)))) {
+    throw new Error('exportedAt must be a date');
+  }
+  
+  if (data.extensionVersion !== null && typeof data.extensionVersion !== 'string') {
+    throw new Error('extensionVersion must be text');
+  }
+  
+  if (data.stats !== undefined) {
+    if (!isPlainObject(data.stats)) {
+      throw new Error('stats must be an object');
+    }
+    
+    ['usernames', 'allowedSellers'].forEach(key => {
+      if (data.stats[key] !== undefined && !isPlainObject(data.stats[key])) {
+        throw new Error(`stats.${key} must be an object`);
+      }
+    });
+  }
+  
+  if (data.settings !== undefined) {
+    validateExportSettings(data.settings);
+  }
+}
+
+function validateExportSettings(settings) {
+  if (!isPlainObject(settings)) {
+    throw new Error('settings must be an object');
+  }
+  
+  for (const [key, value] of Object.entries(settings)) {
+    if (EXPORT_BOOLEAN_SETTINGS.includes(key)) {
+      if (typeof value !== 'boolean') {
+        throw new Error(`settings.${key} must be true or false`);
+      }
+    } else if (EXPORT_SETTING_CHOICES[key]) {
+      if (!EXPORT_SETTING_CHOICES[key].includes(value)) {
+        throw new Error(`settings.${key} must be one of: ${EXPORT_SETTING_CHOICES[key].join(', ')}`);
+      }
+    } else if (key === 'statusFilters') {
+      validateExportStatusFilters(value);
+    } else if (key === 'priceFilter') {
+      try {
+        InputValidator.sanitizePriceFilter(value);
+      } catch (error) {
+        throw new Error(`settings.priceFilter: ${error.message}`);
+      }
+    } else {
+      throw new Error(`Unknown setting "${key}" in file`);
+    }
+  }
+}
+
+function validateExportStatusFilters(statusFilters) {
+  if (!isPlainObject(statusFilters)) {
+    throw new Error('settings.statusFilters must be an object');
+  }
+  
+  const missing = Object.keys(EXPORT_STATUS_FILTER_CHOICES).find(status => !(status in statusFilters));
+  if (missing) {
+    throw new Error(`settings.statusFilters has no ${missing} setting`);
+  }
+  
+  for (const [status, value] of Object.entries(statusFilters)) {
+    const choices = EXPORT_STATUS_FILTER_CHOICES[status];
+    if (!choices) {
+      throw new Error(`Unknown setting "statusFilters.${status}" in file`);
+    }
+    if (!choices.includes(value)) {
+      throw new Error(`settings.statusFilters.${status} must be one of: ${choices.join(', ')}`);
+    }
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
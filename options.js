@@ -0,0 +1,685 @@
+// Storage keys
+const STORAGE_KEYS = {
+  usernames: 'filteredUsernames',
+  allowedSellers: 'allowedSellers',
+  selectorOverrides: 'selectorOverrides'
+};
+
+// Hit counts written by the content script, per list and entry key
+const STATS_STORAGE_KEY = 'sellerStats';
+
+// Seller lists that can be managed here
+const SELLER_LISTS = {
+  blocked: { storageKey: STORAGE_KEYS.usernames, listLabel: 'filter' },
+  allowed: { storageKey: STORAGE_KEYS.allowedSellers, listLabel: 'allowlist' }
+};
+
+// What each selector definition finds, in the order they're shown
+const SELECTOR_LABELS = {
+  sellerLink: 'Seller link',
+  listingLink: 'Listing link',
+  cardImage: 'Card image',
+  fabkitElement: 'Fab component',
+  cardSurface: 'Card surface',
+  cardStack: 'Card stack',
+  cardStackRoot: 'Card stack root',
+  username: 'Seller name',
+  libraryBadge: 'Library label',
+  libraryIcon: 'Library icon',
+  libraryText: 'Library label text',
+  cardCategory: 'Category badge',
+  cardFormat: 'Format icon',
+  cardTag: 'Card tag',
+  cartIndicator: 'In cart icon',
+  wishlistIndicator: 'Wishlist icon'
+};
+
+// DOM elements
+const listSelect = document.getElementById('listSelect');
+const searchInput = document.getElementById('searchInput');
+const sortSelect = document.getElementById('sortSelect');
+const selectAllCheckbox = document.getElementById('selectAllCheckbox');
+const removeSelectedButton = document.getElementById('removeSelectedButton');
+const listSummary = document.getElementById('listSummary');
+const entryList = document.getElementById('entryList');
+const entryEmptyMessage = document.getElementById('entryEmptyMessage');
+const selectorFields = document.getElementById('selectorFields');
+const staleOverridesNote = document.getElementById('staleOverridesNote');
+const saveSelectorsButton = document.getElementById('saveSelectorsButton');
+const resetSelectorsButton = document.getElementById('resetSelectorsButton');
+const status = document.getElementById('status');
+
+// Seller list state
+let currentEntries = [];
+let currentStats = {};
+let editingKey = null;
+let reloadAfterEdit = false;
+const selectedKeys = new Set();
+
+// Initialize
+initialize();
+
+async function initialize() {
+  renderSelectorFields();
+  await loadSellerList();
+  await loadSelectorOverrides();
+  
+  listSelect.addEventListener('change', handleListChange);
+  searchInput.addEventListener('input', renderSellerList);
+  sortSelect.addEventListener('change', renderSellerList);
+  selectAllCheckbox.addEventListener('change', toggleSelectAll);
+  removeSelectedButton.addEventListener('click', removeSelectedEntries);
+  chrome.storage.onChanged.addListener(handleStorageChanged);
+  
+  saveSelectorsButton.addEventListener('click', saveSelectorOverrides);
+  resetSelectorsButton.addEventListener('click', resetSelectorOverrides);
+}
+
+function getSellerList() {
+  return SELLER_LISTS[listSelect.value];
+}
+
+// Load the selected list and its hit counts
+async function loadSellerList() {
+  const { storageKey } = getSellerList();
+  
+  try {
+    const [data, statsData] = await Promise.all([
+      FilterStorage.get(storageKey),
+      chrome.storage.local.get(STATS_STORAGE_KEY)
+    ]);
+    
+    currentEntries = data[storageKey] || [];
+    currentStats = (statsData[STATS_STORAGE_KEY] || {})[storageKey] || {};
+    
+    // Forget selections for entries that no longer exist
+    const keys = new Set(currentEntries.map(getEntryKey));
+    selectedKeys.forEach(key => {
+      if (!keys.has(key)) selectedKeys.delete(key);
+    });
+    
+    renderSellerList();
+  } catch (error) {
+    console.error('Error loading seller list:', error);
+    showStatus('Failed to load seller list', 'error');
+  }
+}
+
+function handleListChange() {
+  selectedKeys.clear();
+  editingKey = null;
+  loadSellerList();
+}
+
+// Reload when the lists change in the popup, a fab.com tab or another device
+function handleStorageChanged(changes, areaName) {
+  const { storageKey } = getSellerList();
+  const listChanged = Object.keys(changes).some(key =>
+    FilterStorage.getBaseKey(key) === storageKey || key === STORAGE_META_KEYS.area);
+  const statsChanged = areaName === 'local' && STATS_STORAGE_KEY in changes;
+  if (!listChanged && !statsChanged) return;
+  
+  // Don't throw away an edit in progress; pick the changes up once it's done
+  if (editingKey) {
+    reloadAfterEdit = true;
+    return;
+  }
+  
+  loadSellerList();
+}
+
+function getEntryName(entry) {
+  return typeof entry === 'string' ? entry : entry.name;
+}
+
+function getEntryHits(entry) {
+  const stats = currentStats[getEntryKey(entry)];
+  return stats ? stats.hits : 0;
+}
+
+// Entries matching the search, in the chosen order
+function getVisibleEntries() {
+  const query = searchInput.value.trim().toLowerCase();
+  
+  const entries = currentEntries.filter(entry => {
+    if (!query) return true;
+    if (typeof entry === 'string') return entry.toLowerCase().includes(query);
+    
+    return [entry.name, entry.slug, entry.note, entry.tag].some(text => text && text.toLowerCase().includes(query));
+  });
+  
+  const byName = (a, b) => getEntryName(a).localeCompare(getEntryName(b), undefined, { sensitivity: 'base' });
+  
+  switch (sortSelect.value) {
+    case 'added':
+      // Newest first; entries saved before dates were recorded go last
+      return entries.sort((a, b) => ((b.addedAt || 0) - (a.addedAt || 0)) || byName(a, b));
+    
+    case 'hits':
+      return entries.sort((a, b) => (getEntryHits(b) - getEntryHits(a)) || byName(a, b));
+    
+    default:
+      return entries.sort(byName);
+  }
+}
+
+function renderSellerList() {
+  const entries = getVisibleEntries();
+  
+  entryList.innerHTML = '';
+  entries.forEach(entry => {
+    const key = getEntryKey(entry);
+    entryList.appendChild(key === editingKey ? createEditRow(entry) : createEntryRow(entry));
+  });
+  
+  entryEmptyMessage.textContent = currentEntries.length === 0 ? 'No sellers in this list' : 'No sellers match your search';
+  entryEmptyMessage.classList.toggle('show', entries.length === 0);
+  
+  listSummary.textContent = entries.length === currentEntries.length
+    ? `${currentEntries.length} sellers`
+    : `Showing ${entries.length} of ${currentEntries.length} sellers`;
+  
+  updateSelectionControls(entries);
+}
+
+function updateSelectionControls(entries = getVisibleEntries()) {
+  const selectedVisible = entries.filter(entry => selectedKeys.has(getEntryKey(entry))).length;
+  
+  selectAllCheckbox.checked = entries.length > 0 && selectedVisible === entries.length;
+  selectAllCheckbox.indeterminate = selectedVisible > 0 && selectedVisible < entries.length;
+  removeSelectedButton.disabled = selectedKeys.size === 0;
+  removeSelectedButton.textContent = selectedKeys.size > 0
+    ? `Remove selected (${selectedKeys.size})`
+    : 'Remove selected';
+}
+
+function formatDate(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleDateString() : '';
+}
+
+// Date added, with the expiry of temporary entries underneath
+function createDatesCell(entry, expiryContent) {
+  const cell = createCell(formatDate(typeof entry === 'string' ? null : entry.addedAt), 'entry-added');
+  
+  if (expiryContent) {
+    cell.appendChild(expiryContent);
+  } else if (typeof entry !== 'string' && entry.expiresAt) {
+    const expiry = document.createElement('div');
+    expiry.className = 'entry-expiry';
+    expiry.textContent = `until ${new Date(entry.expiresAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}`;
+    cell.appendChild(expiry);
+  }
+  
+  return cell;
+}
+
+// <input type="date"> value for a timestamp, in local time
+function toDateInputValue(timestamp) {
+  if (!timestamp) return '';
+  
+  const date = new Date(timestamp);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Create a table row for an entry (XSS safe)
+function createEntryRow(entry) {
+  const key = getEntryKey(entry);
+  const row = document.createElement('tr');
+  row.dataset.key = key;
+  
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = selectedKeys.has(key);
+  checkbox.setAttribute('aria-label', `Select ${getEntryName(entry)}`);
+  checkbox.addEventListener('change', () => {
+    if (checkbox.checked) {
+      selectedKeys.add(key);
+    } else {
+      selectedKeys.delete(key);
+    }
+    updateSelectionControls();
+  });
+  
+  const name = document.createElement('span');
+  name.className = 'entry-name';
+  name.textContent = getEntryName(entry); // Safe: textContent prevents XSS
+  
+  // Show the profile slug of sellers matched by URL
+  if (typeof entry !== 'string' && entry.slug) {
+    const slugText = document.createElement('span');
+    slugText.className = 'rule-flags';
+    slugText.textContent = `sellers/${entry.slug}`;
+    name.appendChild(slugText);
+  }
+  
+  // Show how non-exact entries match
+  if (typeof entry !== 'string' && MATCH_MODE_LABELS[entry.match]) {
+    const flagText = document.createElement('span');
+    flagText.className = 'rule-flags';
+    flagText.textContent = MATCH_MODE_LABELS[entry.match];
+    name.appendChild(flagText);
+  }
+  
+  if (typeof entry !== 'string' && entry.tag) {
+    const tagText = document.createElement('span');
+    tagText.className = 'entry-tag';
+    tagText.textContent = entry.tag;
+    name.appendChild(tagText);
+  }
+  
+  const stats = currentStats[key];
+  const hits = document.createElement('td');
+  hits.className = 'entry-hits';
+  hits.textContent = stats ? stats.hits : 0;
+  if (stats && stats.lastMatched) {
+    hits.title = `Last matched ${new Date(stats.lastMatched).toLocaleString()}`;
+  }
+  
+  const editButton = document.createElement('button');
+  editButton.type = 'button';
+  editButton.className = 'small secondary';
+  editButton.textContent = 'Edit';
+  editButton.addEventListener('click', () => startEditing(key));
+  
+  row.appendChild(createCell(checkbox));
+  row.appendChild(createCell(name));
+  row.appendChild(createCell(typeof entry === 'string' ? '' : entry.note || '', 'entry-note'));
+  row.appendChild(createDatesCell(entry));
+  row.appendChild(hits);
+  row.appendChild(createCell(editButton));
+  
+  return row;
+}
+
+// Inline editor for an entry. Slug entries follow the seller's profile, so only
+// their note and tag can change; the name is refreshed from the page anyway.
+function createEditRow(entry) {
+  const key = getEntryKey(entry);
+  const isSlugEntry = typeof entry !== 'string' && Boolean(entry.slug);
+  const row = document.createElement('tr');
+  row.dataset.key = key;
+  row.className = 'editing';
+  
+  const fields = document.createElement('div');
+  fields.className = 'edit-fields';
+  
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'edit-name';
+  nameInput.value = getEntryName(entry);
+  nameInput.maxLength = 100;
+  nameInput.disabled = isSlugEntry;
+  nameInput.setAttribute('aria-label', 'Seller name');
+  
+  const matchSelect = document.createElement('select');
+  matchSelect.className = 'edit-match';
+  matchSelect.disabled = isSlugEntry;
+  matchSelect.setAttribute('aria-label', 'Match mode');
+  MATCH_MODES.forEach(mode => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = MATCH_MODE_LABELS[mode] || 'exact';
+    matchSelect.appendChild(option);
+  });
+  matchSelect.value = typeof entry === 'string' ? 'exact' : entry.match;
+  
+  fields.appendChild(nameInput);
+  fields.appendChild(matchSelect);
+  
+  const error = document.createElement('div');
+  error.className = 'entry-error';
+  
+  const nameCell = createCell(fields);
+  nameCell.appendChild(error);
+  
+  const noteInput = document.createElement('input');
+  noteInput.type = 'text';
+  noteInput.className = 'edit-note';
+  noteInput.value = typeof entry === 'string' ? '' : entry.note || '';
+  noteInput.maxLength = 200;
+  noteInput.placeholder = 'Why this seller is listed';
+  noteInput.setAttribute('aria-label', 'Note');
+  
+  const tagInput = document.createElement('input');
+  tagInput.type = 'text';
+  tagInput.className = 'edit-tag';
+  tagInput.value = typeof entry === 'string' ? '' : entry.tag || '';
+  tagInput.maxLength = 30;
+  tagInput.placeholder = 'Tag';
+  tagInput.setAttribute('aria-label', 'Tag');
+  
+  // Temporary entries are hidden until the start of the chosen day; empty keeps the entry for good
+  const expiryInput = document.createElement('input');
+  expiryInput.type = 'date';
+  expiryInput.className = 'edit-expiry';
+  expiryInput.value = toDateInputValue(typeof entry === 'string' ? null : entry.expiresAt);
+  
+  const expiryLabel = document.createElement('label');
+  expiryLabel.className = 'entry-expiry';
+  expiryLabel.textContent = 'Until ';
+  expiryLabel.appendChild(expiryInput);
+  
+  const noteFields = document.createElement('div');
+  noteFields.className = 'edit-fields';
+  noteFields.appendChild(noteInput);
+  noteFields.appendChild(tagInput);
+  
+  const saveButton = document.createElement('button');
+  saveButton.type = 'button';
+  saveButton.className = 'small';
+  saveButton.textContent = 'Save';
+  saveButton.addEventListener('click', () => saveEntryEdit(key, row));
+  
+  const cancelButton = document.createElement('button');
+  cancelButton.type = 'button';
+  cancelButton.className = 'small secondary';
+  cancelButton.textContent = 'Cancel';
+  cancelButton.addEventListener('click', stopEditing);
+  
+  const buttons = document.createElement('div');
+  buttons.className = 'actions';
+  buttons.appendChild(saveButton);
+  buttons.appendChild(cancelButton);
+  
+  row.addEventListener('keydown', e => {
+    if (e.target.tagName !== 'INPUT') return;
+    if (e.key === 'Enter') saveEntryEdit(key, row);
+    if (e.key === 'Escape') stopEditing();
+  });
+  
+  row.appendChild(createCell(''));
+  row.appendChild(nameCell);
+  row.appendChild(createCell(noteFields));
+  row.appendChild(createDatesCell(entry, expiryLabel));
+  row.appendChild(createCell(String(getEntryHits(entry)), 'entry-hits'));
+  row.appendChild(createCell(buttons));
+  
+  return row;
+}
+
+function createCell(content, className) {
+  const cell = document.createElement('td');
+  if (className) cell.className = className;
+  
+  if (typeof content === 'string') {
+    cell.textContent = content;
+  } else {
+    cell.appendChild(content);
+  }
+  
+  return cell;
+}
+
+function startEditing(key) {
+  editingKey = key;
+  renderSellerList();
+  
+  const row = entryList.querySelector('tr.editing');
+  const input = row && row.querySelector('input:not(:disabled)');
+  if (input) input.focus();
+}
+
+function stopEditing() {
+  editingKey = null;
+  
+  if (reloadAfterEdit) {
+    reloadAfterEdit = false;
+    loadSellerList();
+  } else {
+    renderSellerList();
+  }
+}
+
+async function saveEntryEdit(key, row) {
+  const { storageKey, listLabel } = getSellerList();
+  const error = row.querySelector('.entry-error');
+  error.textContent = '';
+  
+  try {
+    // Work on the stored list, in case it changed since the page was rendered
+    const data = await FilterStorage.get(storageKey);
+    const usernames = data[storageKey] || [];
+    const index = usernames.findIndex(entry => getEntryKey(entry) === key);
+    if (index === -1) {
+      stopEditing();
+      showStatus('That seller was removed in the meantime', 'error');
+      return;
+    }
+    
+    const current = usernames[index];
+    const edited = typeof current === 'string' ? { name: current, match: 'exact' } : { ...current };
+    edited.note = row.querySelector('.edit-note').value;
+    edited.tag = row.querySelector('.edit-tag').value;
+    edited.expiresAt = getEditedExpiry(current, row.querySelector('.edit-expiry').value);
+    if (!edited.slug) {
+      edited.name = row.querySelector('.edit-name').value;
+      edited.match = row.querySelector('.edit-match').value;
+    }
+    
+    const entry = InputValidator.sanitizeSellerEntry(edited);
+    
+    if (usernames.some((existing, i) => i !== index && isDuplicateEntry(existing, entry))) {
+      throw new Error(`Username already in ${listLabel} list`);
+    }
+    
+    usernames[index] = entry;
+    await FilterStorage.set({ [storageKey]: usernames });
+    
+    // Hit counts follow the entry if its name or match mode changed
+    const newKey = getEntryKey(entry);
+    if (newKey !== key) {
+      await updateStats(storageKey, stats => {
+        if (stats[key]) {
+          stats[newKey] = stats[key];
+          delete stats[key];
+        }
+      });
+      
+      if (selectedKeys.delete(key)) selectedKeys.add(newKey);
+    }
+    
+    editingKey = null;
+    reloadAfterEdit = false;
+    await loadSellerList();
+    showStatus('Seller updated', 'success');
+  } catch (e) {
+    error.textContent = e.message;
+  }
+}
+
+// Expiry chosen in the editor, keeping the exact time if the day wasn't changed
+function getEditedExpiry(entry, value) {
+  if (!value) return undefined;
+  
+  const current = typeof entry === 'string' ? null : entry.expiresAt;
+  if (current && toDateInputValue(current) === value) return current;
+  
+  const expiresAt = new Date(`${value}T00:00`).getTime();
+  if (!Number.isFinite(expiresAt) || expiresAt <= Date.now()) {
+    throw new Error('Expiry date must be in the future');
+  }
+  
+  return expiresAt;
+}
+
+function toggleSelectAll() {
+  getVisibleEntries().forEach(entry => {
+    if (selectAllCheckbox.checked) {
+      selectedKeys.add(getEntryKey(entry));
+    } else {
+      selectedKeys.delete(getEntryKey(entry));
+    }
+  });
+  
+  renderSellerList();
+}
+
+async function removeSelectedEntries() {
+  const count = selectedKeys.size;
+  if (count === 0) return;
+  
+  if (!confirm(`Remove ${count} ${count === 1 ? 'seller' : 'sellers'} from this list?`)) {
+    return;
+  }
+  
+  const { storageKey } = getSellerList();
+  
+  try {
+    const data = await FilterStorage.get(storageKey);
+    const usernames = (data[storageKey] || []).filter(entry => !selectedKeys.has(getEntryKey(entry)));
+    await FilterStorage.set({ [storageKey]: usernames });
+    
+    // Drop the hit counts of removed entries
+    const removed = Array.from(selectedKeys);
+    await updateStats(storageKey, stats => removed.forEach(key => delete stats[key]));
+    
+    selectedKeys.clear();
+    editingKey = null;
+    await loadSellerList();
+    showStatus(`Removed ${count} ${count === 1 ? 'seller' : 'sellers'}`, 'success');
+  } catch (error) {
+    console.error('Error removing sellers:', error);
+    showStatus('Failed to remove sellers', 'error');
+  }
+}
+
+// Read-modify-write the hit counts of one list
+async function updateStats(storageKey, update) {
+  const data = await chrome.storage.local.get(STATS_STORAGE_KEY);
+  const stats = data[STATS_STORAGE_KEY] || {};
+  const listStats = stats[storageKey] || {};
+  
+  update(listStats);
+  stats[storageKey] = listStats;
+  await chrome.storage.local.set({ [STATS_STORAGE_KEY]: stats });
+}
+
+// One input per selector definition, with the built-in value as placeholder (XSS safe)
+function renderSelectorFields() {
+  selectorFields.innerHTML = '';
+  
+  Object.entries(SELECTOR_DEFINITIONS.selectors).forEach(([key, defaultValue]) => {
+    const id = `selector-${key}`;
+    
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = SELECTOR_LABELS[key] || key;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = id;
+    input.dataset.key = key;
+    input.placeholder = defaultValue;
+    input.maxLength = 300;
+    input.spellcheck = false;
+    input.addEventListener('input', () => input.classList.remove('invalid'));
+    
+    selectorFields.appendChild(label);
+    selectorFields.appendChild(input);
+  });
+}
+
+// Fill in saved overrides
+async function loadSelectorOverrides() {
+  try {
+    const data = await FilterStorage.get(STORAGE_KEYS.selectorOverrides);
+    const overrides = data[STORAGE_KEYS.selectorOverrides];
+    
+    if (!overrides || !overrides.selectors) {
+      staleOverridesNote.classList.remove('show');
+      return;
+    }
+    
+    // Overrides for older definitions aren't applied; show them so they can be re-saved if still needed
+    if (overrides.version !== SELECTOR_DEFINITIONS.version) {
+      staleOverridesNote.textContent = 'These overrides were saved for an older version of the extension and are not in use. ' +
+        'Save them again if the built-in values still don\'t work.';
+      staleOverridesNote.classList.add('show');
+    } else {
+      staleOverridesNote.classList.remove('show');
+    }
+    
+    selectorFields.querySelectorAll('input').forEach(input => {
+      const value = overrides.selectors[input.dataset.key];
+      input.value = typeof value === 'string' ? value : '';
+    });
+  } catch (error) {
+    console.error('Error loading selector overrides:', error);
+    showStatus('Failed to load selector overrides', 'error');
+  }
+}
+
+// Save the non-empty fields as overrides for the current definitions
+async function saveSelectorOverrides() {
+  const selectors = {};
+  const invalid = [];
+  
+  selectorFields.querySelectorAll('input').forEach(input => {
+    const key = input.dataset.key;
+    const value = input.value.trim();
+    if (!value) return;
+    
+    if (!TEXT_SELECTOR_KEYS.includes(key) && !isValidSelector(value)) {
+      input.classList.add('invalid');
+      invalid.push(SELECTOR_LABELS[key] || key);
+      return;
+    }
+    
+    selectors[key] = value;
+  });
+  
+  if (invalid.length > 0) {
+    showStatus(`Invalid selector: ${invalid.join(', ')}`, 'error');
+    return;
+  }
+  
+  try {
+    if (Object.keys(selectors).length === 0) {
+      await FilterStorage.remove(STORAGE_KEYS.selectorOverrides);
+    } else {
+      await FilterStorage.set({
+        [STORAGE_KEYS.selectorOverrides]: { version: SELECTOR_DEFINITIONS.version, selectors }
+      });
+    }
+    
+    staleOverridesNote.classList.remove('show');
+    showStatus('Selectors saved. Open fab.com tabs update automatically.', 'success');
+  } catch (error) {
+    console.error('Error saving selector overrides:', error);
+    showStatus('Failed to save selectors', 'error');
+  }
+}
+
+// Go back to the built-in selectors
+async function resetSelectorOverrides() {
+  try {
+    await FilterStorage.remove(STORAGE_KEYS.selectorOverrides);
+    
+    selectorFields.querySelectorAll('input').forEach(input => {
+      input.value = '';
+      input.classList.remove('invalid');
+    });
+    staleOverridesNote.classList.remove('show');
+    showStatus('Selectors reset to defaults', 'success');
+  } catch (error) {
+    console.error('Error resetting selector overrides:', error);
+    showStatus('Failed to reset selectors', 'error');
+  }
+}
+
+// Show status message
+let statusTimer = null;
+function showStatus(message, type) {
+  if (statusTimer) {
+    clearTimeout(statusTimer);
+  }
+  
+  status.textContent = message;
+  status.className = `status show ${type}`;
+  
+  statusTimer = setTimeout(() => {
+    status.classList.remove('show');
+    statusTimer = null;
+  }, 3000);
+}
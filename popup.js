@@ -2,9 +2,78 @@
 const STORAGE_KEYS = {
   usernames: 'filteredUsernames',
   showCount: 'showBlockedCount',
-  hideLibrary: 'hideLibraryItems'
+  hideLibrary: 'hideLibraryItems',
+  titleRules: 'titleRules',
+  priceFilter: 'priceFilter',
+  displayMode: 'displayMode',
+  filterMode: 'filterMode',
+  allowedSellers: 'allowedSellers',
+  attributeFilters: 'attributeFilters',
+  statusFilters: 'listingStatusFilters',
+  blockedListings: 'blockedListings',
+  profiles: 'filterProfiles',
+  activeProfile: 'activeProfileId',
+  subscriptions: 'listSubscriptions'
 };
 
+// Everything a profile bundles; the active profile lives in these keys directly
+const PROFILE_KEYS = [
+  STORAGE_KEYS.usernames,
+  STORAGE_KEYS.allowedSellers,
+  STORAGE_KEYS.filterMode,
+  STORAGE_KEYS.showCount,
+  STORAGE_KEYS.hideLibrary,
+  STORAGE_KEYS.titleRules,
+  STORAGE_KEYS.priceFilter,
+  STORAGE_KEYS.attributeFilters,
+  STORAGE_KEYS.statusFilters,
+  STORAGE_KEYS.blockedListings,
+  STORAGE_KEYS.displayMode
+];
+
+// Hit counts written by the content script, per list and entry key (local to each device)
+const STATS_STORAGE_KEY = 'sellerStats';
+
+// Set in local storage while filtering is paused on this device
+const PAUSE_STORAGE_KEY = 'pausedUntil';
+
+// Categories, formats and tags the content script has seen on cards (local to each device)
+const SEEN_ATTRIBUTES_STORAGE_KEY = 'seenListingAttributes';
+
+// Listings opened on this device and how many days they're remembered for (local to each device)
+const VIEWED_STORAGE_KEY = 'viewedListings';
+const VIEWED_RETENTION_KEY = 'viewedRetentionDays';
+const DEFAULT_VIEWED_RETENTION_DAYS = 30;
+
+// Shared list entries fetched by the background worker (local to each device)
+const SUBSCRIPTION_DATA_KEY = 'subscriptionData';
+
+// Length of a day for "hide for N days" entries
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Inactive profiles are stored one per key so a large one can't crowd out the rest
+const PROFILE_DATA_PREFIX = 'filterProfile_';
+
+// Blocklist hides listed sellers; allowlist hides everyone else
+const FILTER_MODES = ['blocklist', 'allowlist'];
+
+// How filtered cards are shown on the page
+const DISPLAY_MODES = ['hide', 'dim', 'collapse'];
+
+// Price filter used when nothing has been saved yet
+const DEFAULT_PRICE_FILTER = { mode: 'all', min: null, max: null };
+
+// Categories, formats and tags to hide
+const DEFAULT_ATTRIBUTE_FILTERS = { categories: [], formats: [], tags: [] };
+const ATTRIBUTE_LABELS = { categories: 'Category', formats: 'Format', tags: 'Tag' };
+
+// Viewed, in-cart and wishlisted listings are shown, hidden like other filtered cards, or always dimmed
+const STATUS_FILTER_MODES = ['show', 'hide', 'dim'];
+const DEFAULT_STATUS_FILTERS = { viewed: 'show', cart: 'show', wishlist: 'show' };
+
+// Header cells that mark a CSV import's seller column
+const CSV_NAME_COLUMNS = ['name', 'username', 'seller'];
+
 // Memory leak prevention manager
 class ResourceManager {
   constructor() {
@@ -40,39 +109,9 @@ class ResourceManager {
 
 const resourceManager = new ResourceManager();
 
-// Input sanitization
-class InputValidator {
-  static sanitizeUsername(username) {
-    if (typeof username !== 'string') {
-      throw new Error('Username must be a string');
-    }
-    
-    // Trim whitespace
-    username = username.trim();
-    
-    // Check if empty
-    if (!username) {
-      throw new Error('Username cannot be empty');
-    }
-    
-    // Check length
-    const maxLength = 100;
-    if (username.length > maxLength) {
-      throw new Error(`Username cannot exceed ${maxLength} characters`);
-    }
-    
-    // Validate characters (alphanumeric, underscore, hyphen, dot)
-    const validPattern = /^[a-zA-Z0-9_\-\. ]+$/;
-    if (!validPattern.test(username)) {
-      throw new Error('Username can only contain letters, numbers, underscores, hyphens, and dots');
-    }
-    
-    return username;
-  }
-}
-
 // DOM elements
 const usernameInput = document.getElementById('usernameInput');
+const matchModeSelect = document.getElementById('matchModeSelect');
 const addButton = document.getElementById('addButton');
 const usernameList = document.getElementById('usernameList');
 const emptyMessage = document.getElementById('emptyMessage');
@@ -82,119 +121,578 @@ const importButton = document.getElementById('importButton');
 const fileInput = document.getElementById('fileInput');
 const showCountCheckbox = document.getElementById('showCountCheckbox');
 const hideLibraryCheckbox = document.getElementById('hideLibraryCheckbox');
+const displayModeSelect = document.getElementById('displayModeSelect');
+const statusFilterSelects = document.querySelectorAll('.status-filter-select');
+const viewedRetentionSelect = document.getElementById('viewedRetentionSelect');
+const clearViewedButton = document.getElementById('clearViewedButton');
+const viewedCount = document.getElementById('viewedCount');
+const priceModeSelect = document.getElementById('priceModeSelect');
+const priceMinInput = document.getElementById('priceMinInput');
+const priceMaxInput = document.getElementById('priceMaxInput');
 const status = document.getElementById('status');
 const inputError = document.getElementById('inputError');
 const usernameCount = document.getElementById('usernameCount');
+const titleRuleInput = document.getElementById('titleRuleInput');
+const addTitleRuleButton = document.getElementById('addTitleRuleButton');
+const titleRuleRegexCheckbox = document.getElementById('titleRuleRegexCheckbox');
+const titleRuleCaseCheckbox = document.getElementById('titleRuleCaseCheckbox');
+const titleRuleWordCheckbox = document.getElementById('titleRuleWordCheckbox');
+const titleRuleError = document.getElementById('titleRuleError');
+const titleRuleList = document.getElementById('titleRuleList');
+const titleRuleEmptyMessage = document.getElementById('titleRuleEmptyMessage');
+const titleRuleCount = document.getElementById('titleRuleCount');
+const attributeKindSelect = document.getElementById('attributeKindSelect');
+const attributeInput = document.getElementById('attributeInput');
+const attributeSuggestions = document.getElementById('attributeSuggestions');
+const addAttributeRuleButton = document.getElementById('addAttributeRuleButton');
+const attributeRuleError = document.getElementById('attributeRuleError');
+const attributeRuleList = document.getElementById('attributeRuleList');
+const attributeRuleEmptyMessage = document.getElementById('attributeRuleEmptyMessage');
+const attributeRuleCount = document.getElementById('attributeRuleCount');
+const blockedListingList = document.getElementById('blockedListingList');
+const blockedListingEmptyMessage = document.getElementById('blockedListingEmptyMessage');
+const blockedListingCount = document.getElementById('blockedListingCount');
+const pageItemList = document.getElementById('pageItemList');
+const pageItemEmptyMessage = document.getElementById('pageItemEmptyMessage');
+const pageItemCount = document.getElementById('pageItemCount');
+const filterModeSelect = document.getElementById('filterModeSelect');
+const profileSelect = document.getElementById('profileSelect');
+const newProfileButton = document.getElementById('newProfileButton');
+const renameProfileButton = document.getElementById('renameProfileButton');
+const duplicateProfileButton = document.getElementById('duplicateProfileButton');
+const deleteProfileButton = document.getElementById('deleteProfileButton');
+const storageWarning = document.getElementById('storageWarning');
+const storageWarningText = document.getElementById('storageWarningText');
+const retrySyncButton = document.getElementById('retrySyncButton');
+const layoutWarning = document.getElementById('layoutWarning');
+const layoutWarningText = document.getElementById('layoutWarningText');
+const openSelectorsButton = document.getElementById('openSelectorsButton');
+const manageListsButton = document.getElementById('manageListsButton');
+const pauseBar = document.querySelector('.pause-bar');
+const pauseStatus = document.getElementById('pauseStatus');
+const pauseDurationSelect = document.getElementById('pauseDurationSelect');
+const pauseButton = document.getElementById('pauseButton');
+const subscriptionInput = document.getElementById('subscriptionInput');
+const subscribeButton = document.getElementById('subscribeButton');
+const subscriptionError = document.getElementById('subscriptionError');
+const subscriptionList = document.getElementById('subscriptionList');
+const subscriptionEmptyMessage = document.getElementById('subscriptionEmptyMessage');
+const subscriptionCount = document.getElementById('subscriptionCount');
+const refreshSubscriptionsButton = document.getElementById('refreshSubscriptionsButton');
+const importPreview = document.getElementById('importPreview');
+const importFileName = document.getElementById('importFileName');
+const importSummary = document.getElementById('importSummary');
+const importInvalidDetails = document.getElementById('importInvalidDetails');
+const importInvalidList = document.getElementById('importInvalidList');
+const importModeSelect = document.getElementById('importModeSelect');
+const importModeHint = document.getElementById('importModeHint');
+const confirmImportButton = document.getElementById('confirmImportButton');
+const cancelImportButton = document.getElementById('cancelImportButton');
+const subscriptionFileButton = document.getElementById('subscriptionFileButton');
+const subscriptionFileInput = document.getElementById('subscriptionFileInput');
+
+// Hit counts by list storage key, loaded with the lists
+let sellerStats = {};
+
+// Parsed import file waiting for the user to confirm the preview
+let pendingImport = null;
+
+// Hidden categories, formats and tags as last rendered, and the values seen on pages to suggest
+let attributeFilters = { ...DEFAULT_ATTRIBUTE_FILTERS };
+let seenAttributes = {};
+
+// Seller lists editable in the popup, with the elements and message used by each
+const sellerLists = {
+  blocked: {
+    storageKey: STORAGE_KEYS.usernames,
+    action: 'updateFilters',
+    messageKey: 'usernames',
+    listLabel: 'filter',
+    input: usernameInput,
+    matchSelect: matchModeSelect,
+    expirySelect: document.getElementById('expirySelect'),
+    expiryDaysInput: document.getElementById('expiryDaysInput'),
+    addButton,
+    error: inputError,
+    list: usernameList,
+    emptyMessage,
+    count: usernameCount
+  },
+  allowed: {
+    storageKey: STORAGE_KEYS.allowedSellers,
+    action: 'updateAllowedSellers',
+    messageKey: 'allowedSellers',
+    listLabel: 'allowlist',
+    input: document.getElementById('allowedInput'),
+    matchSelect: document.getElementById('allowedMatchModeSelect'),
+    expirySelect: null,
+    expiryDaysInput: null,
+    addButton: document.getElementById('addAllowedButton'),
+    error: document.getElementById('allowedInputError'),
+    list: document.getElementById('allowedList'),
+    emptyMessage: document.getElementById('allowedEmptyMessage'),
+    count: document.getElementById('allowedCount')
+  }
+};
 
 // Initialize
 initialize();
 
 async function initialize() {
+  await loadProfiles();
   await loadData();
+  await renderStorageWarning();
+  await loadPauseState();
+  await loadSubscriptions();
   setupEventListeners();
+  await loadPageItems();
 }
 
 // Setup event listeners with proper cleanup
 function setupEventListeners() {
-  resourceManager.addEventListener(addButton, 'click', addUsername);
-  resourceManager.addEventListener(usernameInput, 'keypress', handleKeyPress);
-  resourceManager.addEventListener(usernameInput, 'input', clearInputError);
+  Object.entries(sellerLists).forEach(([listName, sellerList]) => {
+    sellerList.input.dataset.list = listName;
+    sellerList.matchSelect.dataset.list = listName;
+    sellerList.addButton.dataset.list = listName;
+    resourceManager.addEventListener(sellerList.addButton, 'click', handleAddClick);
+    resourceManager.addEventListener(sellerList.input, 'keypress', handleKeyPress);
+    resourceManager.addEventListener(sellerList.input, 'input', clearInputError);
+    resourceManager.addEventListener(sellerList.matchSelect, 'change', clearInputError);
+    if (sellerList.expirySelect) {
+      resourceManager.addEventListener(sellerList.expirySelect, 'change', () => {
+        sellerList.expiryDaysInput.classList.toggle('show', sellerList.expirySelect.value === 'custom');
+        sellerList.error.textContent = '';
+      });
+    }
+  });
+  resourceManager.addEventListener(filterModeSelect, 'change', saveFilterModeSetting);
+  resourceManager.addEventListener(pauseButton, 'click', togglePause);
+  resourceManager.addEventListener(profileSelect, 'change', handleProfileChange);
+  resourceManager.addEventListener(newProfileButton, 'click', createProfile);
+  resourceManager.addEventListener(renameProfileButton, 'click', renameProfile);
+  resourceManager.addEventListener(duplicateProfileButton, 'click', duplicateProfile);
+  resourceManager.addEventListener(deleteProfileButton, 'click', deleteProfile);
+  resourceManager.addEventListener(retrySyncButton, 'click', retrySync);
+  resourceManager.addEventListener(openSelectorsButton, 'click', () => chrome.runtime.openOptionsPage());
+  resourceManager.addEventListener(manageListsButton, 'click', () => chrome.runtime.openOptionsPage());
+  chrome.storage.onChanged.addListener(handleStorageChanged);
   resourceManager.addEventListener(clearButton, 'click', clearAll);
   resourceManager.addEventListener(exportButton, 'click', exportList);
   resourceManager.addEventListener(importButton, 'click', () => fileInput.click());
   resourceManager.addEventListener(fileInput, 'change', importList);
+  resourceManager.addEventListener(importModeSelect, 'change', renderImportModeHint);
+  resourceManager.addEventListener(confirmImportButton, 'click', confirmImport);
+  resourceManager.addEventListener(cancelImportButton, 'click', cancelImport);
   resourceManager.addEventListener(showCountCheckbox, 'change', saveShowCountSetting);
   resourceManager.addEventListener(hideLibraryCheckbox, 'change', saveHideLibrarySetting);
+  resourceManager.addEventListener(displayModeSelect, 'change', saveDisplayModeSetting);
+  statusFilterSelects.forEach(select => {
+    resourceManager.addEventListener(select, 'change', saveStatusFilterSetting);
+  });
+  resourceManager.addEventListener(viewedRetentionSelect, 'change', saveViewedRetention);
+  resourceManager.addEventListener(clearViewedButton, 'click', clearViewedHistory);
+  resourceManager.addEventListener(priceModeSelect, 'change', savePriceFilterSetting);
+  resourceManager.addEventListener(priceMinInput, 'change', savePriceFilterSetting);
+  resourceManager.addEventListener(priceMaxInput, 'change', savePriceFilterSetting);
+  resourceManager.addEventListener(addTitleRuleButton, 'click', addTitleRule);
+  resourceManager.addEventListener(titleRuleInput, 'keypress', handleTitleRuleKeyPress);
+  resourceManager.addEventListener(titleRuleInput, 'input', clearTitleRuleError);
+  resourceManager.addEventListener(titleRuleRegexCheckbox, 'change', clearTitleRuleError);
+  resourceManager.addEventListener(addAttributeRuleButton, 'click', addAttributeRule);
+  resourceManager.addEventListener(attributeInput, 'keypress', handleAttributeKeyPress);
+  resourceManager.addEventListener(attributeInput, 'input', clearAttributeRuleError);
+  resourceManager.addEventListener(attributeKindSelect, 'change', handleAttributeKindChange);
+  resourceManager.addEventListener(subscribeButton, 'click', addSubscription);
+  resourceManager.addEventListener(subscriptionInput, 'keypress', handleSubscriptionKeyPress);
+  resourceManager.addEventListener(subscriptionInput, 'input', () => {
+    subscriptionError.textContent = '';
+  });
+  resourceManager.addEventListener(refreshSubscriptionsButton, 'click', refreshSubscriptions);
+  resourceManager.addEventListener(subscriptionFileButton, 'click', () => subscriptionFileInput.click());
+  resourceManager.addEventListener(subscriptionFileInput, 'change', loadSubscriptionFile);
+}
+
+// Handle add button clicks
+function handleAddClick(e) {
+  addUsername(e.currentTarget.dataset.list);
 }
 
 // Handle keypress events
 function handleKeyPress(e) {
   if (e.key === 'Enter') {
     e.preventDefault();
-    addUsername();
+    addUsername(e.target.dataset.list);
   }
 }
 
 // Clear input error message
-function clearInputError() {
-  inputError.textContent = '';
+function clearInputError(e) {
+  sellerLists[e.target.dataset.list].error.textContent = '';
+}
+
+// Handle keypress events in the title keyword input
+function handleTitleRuleKeyPress(e) {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    addTitleRule();
+  }
+}
+
+// Clear title keyword error message
+function clearTitleRuleError() {
+  titleRuleError.textContent = '';
+}
+
+// Handle keypress events in the category and format input
+function handleAttributeKeyPress(e) {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    addAttributeRule();
+  }
+}
+
+// Suggestions follow the chosen kind
+function handleAttributeKindChange() {
+  clearAttributeRuleError();
+  renderAttributeSuggestions();
+}
+
+// Clear category and format error message
+function clearAttributeRuleError() {
+  attributeRuleError.textContent = '';
+}
+
+// Handle keypress events in the shared list input
+function handleSubscriptionKeyPress(e) {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    addSubscription();
+  }
 }
 
 // Load saved data
 async function loadData() {
   try {
-    const data = await chrome.storage.sync.get([
+    const data = await FilterStorage.get([
       STORAGE_KEYS.usernames, 
       STORAGE_KEYS.showCount,
-      STORAGE_KEYS.hideLibrary
+      STORAGE_KEYS.hideLibrary,
+      STORAGE_KEYS.titleRules,
+      STORAGE_KEYS.priceFilter,
+      STORAGE_KEYS.displayMode,
+      STORAGE_KEYS.filterMode,
+      STORAGE_KEYS.allowedSellers,
+      STORAGE_KEYS.attributeFilters,
+      STORAGE_KEYS.statusFilters,
+      STORAGE_KEYS.blockedListings
     ]);
     const usernames = data[STORAGE_KEYS.usernames] || [];
+    const allowedSellers = data[STORAGE_KEYS.allowedSellers] || [];
     const showCount = data[STORAGE_KEYS.showCount] || false;
     const hideLibrary = data[STORAGE_KEYS.hideLibrary] || false;
+    const titleRules = data[STORAGE_KEYS.titleRules] || [];
+    const priceFilter = { ...DEFAULT_PRICE_FILTER, ...data[STORAGE_KEYS.priceFilter] };
+    const filters = { ...DEFAULT_ATTRIBUTE_FILTERS, ...data[STORAGE_KEYS.attributeFilters] };
+    const blockedListings = data[STORAGE_KEYS.blockedListings] || [];
+    
+    const localData = await chrome.storage.local.get([
+      STATS_STORAGE_KEY, SEEN_ATTRIBUTES_STORAGE_KEY, VIEWED_STORAGE_KEY, VIEWED_RETENTION_KEY
+    ]);
+    sellerStats = localData[STATS_STORAGE_KEY] || {};
+    seenAttributes = localData[SEEN_ATTRIBUTES_STORAGE_KEY] || {};
+    viewedRetentionSelect.value = String(localData[VIEWED_RETENTION_KEY] || DEFAULT_VIEWED_RETENTION_DAYS);
+    renderViewedCount(localData[VIEWED_STORAGE_KEY]);
     
     showCountCheckbox.checked = showCount;
     hideLibraryCheckbox.checked = hideLibrary;
+    displayModeSelect.value = data[STORAGE_KEYS.displayMode] || 'hide';
+    renderStatusFilters({ ...DEFAULT_STATUS_FILTERS, ...data[STORAGE_KEYS.statusFilters] });
+    renderPriceFilter(priceFilter);
+    renderFilterMode(data[STORAGE_KEYS.filterMode] || 'blocklist');
     renderUsernames(usernames);
+    renderUsernames(allowedSellers, 'allowed');
+    renderTitleRules(titleRules);
+    renderAttributeRules(filters);
+    renderBlockedListings(blockedListings);
   } catch (error) {
     console.error('Failed to load data:', error);
     showStatus('Failed to load saved data', 'error');
   }
 }
 
-// Add username with validation
-async function addUsername() {
-  clearInputError();
+// Load profile list, creating the default profile from the current settings on first run
+async function loadProfiles() {
+  try {
+    const { profiles, activeId } = await getProfileState();
+    renderProfiles(profiles, activeId);
+  } catch (error) {
+    console.error('Failed to load profiles:', error);
+    showStatus('Failed to load profiles', 'error');
+  }
+}
+
+// Read the profile index and active profile id
+async function getProfileState() {
+  const data = await FilterStorage.get([STORAGE_KEYS.profiles, STORAGE_KEYS.activeProfile]);
+  let profiles = data[STORAGE_KEYS.profiles] || [];
+  let activeId = data[STORAGE_KEYS.activeProfile];
+  
+  if (profiles.length === 0 || !profiles.some(profile => profile.id === activeId)) {
+    // Existing settings become the default profile
+    if (profiles.length === 0) {
+      profiles = [{ id: 'default', name: 'Default' }];
+    }
+    activeId = profiles[0].id;
+    await FilterStorage.set({
+      [STORAGE_KEYS.profiles]: profiles,
+      [STORAGE_KEYS.activeProfile]: activeId
+    });
+  }
+  
+  return { profiles, activeId };
+}
+
+// Handle profile dropdown changes
+function handleProfileChange() {
+  switchProfile(profileSelect.value);
+}
+
+// Save the active settings into their profile and load another profile in their place
+async function switchProfile(id, { saveCurrent = true } = {}) {
+  try {
+    const { profiles, activeId } = await getProfileState();
+    if (id === activeId && saveCurrent) return;
+    if (!profiles.some(profile => profile.id === id)) {
+      throw new Error('Profile not found');
+    }
+    
+    if (saveCurrent) {
+      const current = await FilterStorage.get(PROFILE_KEYS);
+      await FilterStorage.set({ [PROFILE_DATA_PREFIX + activeId]: current });
+    }
+    
+    const stored = await FilterStorage.get(PROFILE_DATA_PREFIX + id);
+    const profileData = stored[PROFILE_DATA_PREFIX + id] || {};
+    
+    // Settings the profile never saved go back to their defaults
+    await FilterStorage.remove(PROFILE_KEYS.filter(key => !(key in profileData)));
+    await FilterStorage.set({ ...profileData, [STORAGE_KEYS.activeProfile]: id });
+    
+    renderProfiles(profiles, id);
+    await loadData();
+    showStatus(`Switched to ${profiles.find(profile => profile.id === id).name}`, 'success');
+    
+    // Push the whole profile to every open fab.com tab
+    await notifyAllFabTabs({ action: 'applyProfile', settings: buildProfileSettings(profileData) });
+    await loadPageItems();
+  } catch (error) {
+    console.error('Failed to switch profile:', error);
+    showStatus('Failed to switch profile', 'error');
+    await loadProfiles();
+  }
+}
+
+// Fill in defaults for settings a profile never saved
+function buildProfileSettings(data) {
+  return {
+    usernames: data[STORAGE_KEYS.usernames] || [],
+    allowedSellers: data[STORAGE_KEYS.allowedSellers] || [],
+    filterMode: data[STORAGE_KEYS.filterMode] || 'blocklist',
+    showCount: data[STORAGE_KEYS.showCount] || false,
+    hideLibrary: data[STORAGE_KEYS.hideLibrary] || false,
+    titleRules: data[STORAGE_KEYS.titleRules] || [],
+    priceFilter: { ...DEFAULT_PRICE_FILTER, ...data[STORAGE_KEYS.priceFilter] },
+    attributeFilters: { ...DEFAULT_ATTRIBUTE_FILTERS, ...data[STORAGE_KEYS.attributeFilters] },
+    statusFilters: { ...DEFAULT_STATUS_FILTERS, ...data[STORAGE_KEYS.statusFilters] },
+    blockedListings: data[STORAGE_KEYS.blockedListings] || [],
+    displayMode: data[STORAGE_KEYS.displayMode] || 'hide'
+  };
+}
+
+// Create an empty profile and switch to it
+async function createProfile() {
+  const input = prompt('Name for the new profile:');
+  if (input === null) return;
+  
+  await addProfile(input, {});
+}
+
+// Copy the active profile's settings into a new profile and switch to it
+async function duplicateProfile() {
+  const { profiles, activeId } = await getProfileState();
+  const active = profiles.find(profile => profile.id === activeId);
+  
+  const input = prompt('Name for the copy:', `${active.name} copy`);
+  if (input === null) return;
+  
+  const current = await FilterStorage.get(PROFILE_KEYS);
+  await addProfile(input, current);
+}
+
+// Store a new profile and make it active
+async function addProfile(input, profileData) {
+  try {
+    const name = InputValidator.sanitizeProfileName(input);
+    const { profiles } = await getProfileState();
+    
+    if (profiles.some(profile => profile.name === name)) {
+      showStatus('A profile with that name already exists', 'error');
+      return;
+    }
+    
+    const id = `p${Date.now().toString(36)}`;
+    profiles.push({ id, name });
+    await FilterStorage.set({
+      [STORAGE_KEYS.profiles]: profiles,
+      [PROFILE_DATA_PREFIX + id]: profileData
+    });
+    
+    await switchProfile(id);
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+}
+
+// Rename the active profile
+async function renameProfile() {
+  try {
+    const { profiles, activeId } = await getProfileState();
+    const active = profiles.find(profile => profile.id === activeId);
+    
+    const input = prompt('Rename profile:', active.name);
+    if (input === null) return;
+    
+    const name = InputValidator.sanitizeProfileName(input);
+    if (profiles.some(profile => profile.id !== activeId && profile.name === name)) {
+      showStatus('A profile with that name already exists', 'error');
+      return;
+    }
+    
+    active.name = name;
+    await FilterStorage.set({ [STORAGE_KEYS.profiles]: profiles });
+    renderProfiles(profiles, activeId);
+    showStatus('Profile renamed', 'success');
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+}
+
+// Delete the active profile and switch to the first remaining one
+async function deleteProfile() {
+  try {
+    const { profiles, activeId } = await getProfileState();
+    if (profiles.length < 2) {
+      showStatus('Cannot delete the only profile', 'error');
+      return;
+    }
+    
+    const active = profiles.find(profile => profile.id === activeId);
+    if (!confirm(`Are you sure you want to delete the profile "${active.name}"?`)) {
+      return;
+    }
+    
+    const remaining = profiles.filter(profile => profile.id !== activeId);
+    await FilterStorage.set({ [STORAGE_KEYS.profiles]: remaining });
+    await FilterStorage.remove(PROFILE_DATA_PREFIX + activeId);
+    
+    // The deleted profile's settings are discarded rather than saved
+    await switchProfile(remaining[0].id, { saveCurrent: false });
+  } catch (error) {
+    console.error('Failed to delete profile:', error);
+    showStatus('Failed to delete profile', 'error');
+  }
+}
+
+// Render profile dropdown (XSS safe)
+function renderProfiles(profiles, activeId) {
+  profileSelect.innerHTML = '';
+  
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name; // Safe: textContent prevents XSS
+    profileSelect.appendChild(option);
+  });
+  
+  profileSelect.value = activeId;
+  deleteProfileButton.disabled = profiles.length < 2;
+}
+
+// Add username to a seller list with validation
+async function addUsername(listName = 'blocked') {
+  const sellerList = sellerLists[listName];
+  sellerList.error.textContent = '';
   
   try {
     // Validate and sanitize input
-    const username = InputValidator.sanitizeUsername(usernameInput.value);
+    const entry = InputValidator.sanitizeSellerEntry({
+      name: sellerList.input.value,
+      match: sellerList.matchSelect.value,
+      addedAt: Date.now(),
+      expiresAt: getExpiry(sellerList)
+    });
     
     // Get current usernames
-    const data = await chrome.storage.sync.get(STORAGE_KEYS.usernames);
-    const usernames = data[STORAGE_KEYS.usernames] || [];
+    const data = await FilterStorage.get(sellerList.storageKey);
+    const usernames = data[sellerList.storageKey] || [];
     
     // Check for duplicates
-    if (usernames.includes(username)) {
-      showInputError('Username already in filter list');
+    if (usernames.some(existing => isDuplicateEntry(existing, entry))) {
+      showInputError(`Username already in ${sellerList.listLabel} list`, listName);
       return;
     }
     
     // Add username
-    usernames.push(username);
-    await chrome.storage.sync.set({ [STORAGE_KEYS.usernames]: usernames });
+    usernames.push(entry);
+    await FilterStorage.set({ [sellerList.storageKey]: usernames });
     
     // Update UI
-    renderUsernames(usernames);
-    usernameInput.value = '';
-    showStatus('Username added to filter', 'success');
+    renderUsernames(usernames, listName);
+    sellerList.input.value = '';
+    showStatus(`Username added to ${sellerList.listLabel}`, 'success');
     
     // Notify content script
-    await notifyContentScript({ action: 'updateFilters', usernames });
+    await notifyContentScript({ action: sellerList.action, [sellerList.messageKey]: usernames });
   } catch (error) {
-    showInputError(error.message);
+    showInputError(error.message, listName);
+  }
+}
+
+// When a temporary entry added now should run out, or undefined to keep it
+function getExpiry(sellerList) {
+  if (!sellerList.expirySelect || !sellerList.expirySelect.value) {
+    return undefined;
   }
+  
+  const days = sellerList.expirySelect.value === 'custom'
+    ? InputValidator.sanitizeExpiryDays(sellerList.expiryDaysInput.value)
+    : Number(sellerList.expirySelect.value);
+  
+  return Date.now() + days * DAY_IN_MS;
 }
 
 // Show input error
-function showInputError(message) {
-  inputError.textContent = message;
+function showInputError(message, listName = 'blocked') {
+  sellerLists[listName].error.textContent = message;
 }
 
-// Remove username
-async function removeUsername(username) {
+// Remove username from a seller list
+async function removeUsername(key, listName = 'blocked') {
+  const sellerList = sellerLists[listName];
+  
   try {
-    const data = await chrome.storage.sync.get(STORAGE_KEYS.usernames);
-    const usernames = data[STORAGE_KEYS.usernames] || [];
+    const data = await FilterStorage.get(sellerList.storageKey);
+    const usernames = data[sellerList.storageKey] || [];
     
-    const index = usernames.indexOf(username);
+    const index = usernames.findIndex(entry => getEntryKey(entry) === key);
     if (index > -1) {
       usernames.splice(index, 1);
-      await chrome.storage.sync.set({ [STORAGE_KEYS.usernames]: usernames });
-      renderUsernames(usernames);
-      showStatus('Username removed from filter', 'success');
+      await FilterStorage.set({ [sellerList.storageKey]: usernames });
+      renderUsernames(usernames, listName);
+      showStatus(`Username removed from ${sellerList.listLabel}`, 'success');
       
       // Notify content script
-      await notifyContentScript({ action: 'updateFilters', usernames });
+      await notifyContentScript({ action: sellerList.action, [sellerList.messageKey]: usernames });
     }
   } catch (error) {
     console.error('Failed to remove username:', error);
@@ -202,6 +700,144 @@ async function removeUsername(username) {
   }
 }
 
+// Add title keyword rule with validation
+async function addTitleRule() {
+  clearTitleRuleError();
+  
+  try {
+    // Validate and sanitize input
+    const rule = InputValidator.sanitizeTitleRule({
+      pattern: titleRuleInput.value,
+      isRegex: titleRuleRegexCheckbox.checked,
+      caseInsensitive: titleRuleCaseCheckbox.checked,
+      wholeWord: titleRuleWordCheckbox.checked
+    });
+    
+    // Get current rules
+    const data = await FilterStorage.get(STORAGE_KEYS.titleRules);
+    const titleRules = data[STORAGE_KEYS.titleRules] || [];
+    
+    // Check for duplicates
+    if (titleRules.some(existing => isSameTitleRule(existing, rule))) {
+      titleRuleError.textContent = 'Keyword already in filter list';
+      return;
+    }
+    
+    // Add rule
+    titleRules.push(rule);
+    await FilterStorage.set({ [STORAGE_KEYS.titleRules]: titleRules });
+    
+    // Update UI
+    renderTitleRules(titleRules);
+    titleRuleInput.value = '';
+    showStatus('Keyword added to filter', 'success');
+    
+    // Notify content script
+    await notifyContentScript({ action: 'updateTitleRules', titleRules });
+  } catch (error) {
+    titleRuleError.textContent = error.message;
+  }
+}
+
+// Rules are duplicates when they would match exactly the same titles
+function isSameTitleRule(a, b) {
+  return a.pattern === b.pattern &&
+    a.isRegex === b.isRegex &&
+    a.caseInsensitive === b.caseInsensitive &&
+    a.wholeWord === b.wholeWord;
+}
+
+// Remove title keyword rule
+async function removeTitleRule(index) {
+  try {
+    const data = await FilterStorage.get(STORAGE_KEYS.titleRules);
+    const titleRules = data[STORAGE_KEYS.titleRules] || [];
+    
+    if (index >= 0 && index < titleRules.length) {
+      titleRules.splice(index, 1);
+      await FilterStorage.set({ [STORAGE_KEYS.titleRules]: titleRules });
+      renderTitleRules(titleRules);
+      showStatus('Keyword removed from filter', 'success');
+      
+      // Notify content script
+      await notifyContentScript({ action: 'updateTitleRules', titleRules });
+    }
+  } catch (error) {
+    console.error('Failed to remove keyword:', error);
+    showStatus('Failed to remove keyword', 'error');
+  }
+}
+
+// Hide listings in a category, format or tag
+async function addAttributeRule() {
+  clearAttributeRuleError();
+  const kind = attributeKindSelect.value;
+  
+  try {
+    const value = InputValidator.sanitizeAttributeValue(attributeInput.value);
+    
+    const data = await FilterStorage.get(STORAGE_KEYS.attributeFilters);
+    const filters = { ...DEFAULT_ATTRIBUTE_FILTERS, ...data[STORAGE_KEYS.attributeFilters] };
+    
+    // Spelling and case differences would still match the same cards
+    if (filters[kind].some(existing => normalizeAttribute(existing) === normalizeAttribute(value))) {
+      attributeRuleError.textContent = `${ATTRIBUTE_LABELS[kind]} already hidden`;
+      return;
+    }
+    
+    filters[kind] = [...filters[kind], value];
+    await FilterStorage.set({ [STORAGE_KEYS.attributeFilters]: filters });
+    
+    renderAttributeRules(filters);
+    attributeInput.value = '';
+    showStatus(`${ATTRIBUTE_LABELS[kind]} hidden`, 'success');
+    
+    await notifyContentScript({ action: 'updateAttributeFilters', attributeFilters: filters });
+  } catch (error) {
+    attributeRuleError.textContent = error.message;
+  }
+}
+
+// Remove a category, format or tag by index
+async function removeAttributeRule(kind, index) {
+  try {
+    const data = await FilterStorage.get(STORAGE_KEYS.attributeFilters);
+    const filters = { ...DEFAULT_ATTRIBUTE_FILTERS, ...data[STORAGE_KEYS.attributeFilters] };
+    
+    if (!ATTRIBUTE_KINDS.includes(kind) || index < 0 || index >= filters[kind].length) {
+      return;
+    }
+    
+    filters[kind] = filters[kind].filter((value, i) => i !== index);
+    await FilterStorage.set({ [STORAGE_KEYS.attributeFilters]: filters });
+    
+    renderAttributeRules(filters);
+    showStatus(`${ATTRIBUTE_LABELS[kind]} shown again`, 'success');
+    
+    await notifyContentScript({ action: 'updateAttributeFilters', attributeFilters: filters });
+  } catch (error) {
+    console.error('Failed to remove category or format:', error);
+    showStatus('Failed to remove filter', 'error');
+  }
+}
+
+// Show a hidden listing again
+async function removeBlockedListing(id) {
+  try {
+    const data = await FilterStorage.get(STORAGE_KEYS.blockedListings);
+    const blockedListings = (data[STORAGE_KEYS.blockedListings] || []).filter(entry => entry.id !== id);
+    await FilterStorage.set({ [STORAGE_KEYS.blockedListings]: blockedListings });
+    
+    renderBlockedListings(blockedListings);
+    showStatus('Listing shown again', 'success');
+    
+    await notifyContentScript({ action: 'updateBlockedListings', blockedListings });
+  } catch (error) {
+    console.error('Failed to unhide listing:', error);
+    showStatus('Failed to unhide listing', 'error');
+  }
+}
+
 // Clear all usernames
 async function clearAll() {
   if (!confirm('Are you sure you want to clear all filtered usernames?')) {
@@ -209,7 +845,7 @@ async function clearAll() {
   }
   
   try {
-    await chrome.storage.sync.set({ [STORAGE_KEYS.usernames]: [] });
+    await FilterStorage.set({ [STORAGE_KEYS.usernames]: [] });
     renderUsernames([]);
     showStatus('All filters cleared', 'success');
     
@@ -224,19 +860,63 @@ async function clearAll() {
 // Export list as JSON
 async function exportList() {
   try {
-    const data = await chrome.storage.sync.get([
+    const data = await FilterStorage.get([
       STORAGE_KEYS.usernames,
-      STORAGE_KEYS.hideLibrary
+      STORAGE_KEYS.showCount,
+      STORAGE_KEYS.hideLibrary,
+      STORAGE_KEYS.titleRules,
+      STORAGE_KEYS.priceFilter,
+      STORAGE_KEYS.displayMode,
+      STORAGE_KEYS.filterMode,
+      STORAGE_KEYS.allowedSellers,
+      STORAGE_KEYS.attributeFilters,
+      STORAGE_KEYS.statusFilters,
+      STORAGE_KEYS.blockedListings
     ]);
     const usernames = data[STORAGE_KEYS.usernames] || [];
+    const allowedSellers = data[STORAGE_KEYS.allowedSellers] || [];
+    const showCount = data[STORAGE_KEYS.showCount] || false;
     const hideLibrary = data[STORAGE_KEYS.hideLibrary] || false;
+    const displayMode = data[STORAGE_KEYS.displayMode] || 'hide';
+    const filterMode = data[STORAGE_KEYS.filterMode] || 'blocklist';
+    const titleRules = data[STORAGE_KEYS.titleRules] || [];
+    const priceFilter = { ...DEFAULT_PRICE_FILTER, ...data[STORAGE_KEYS.priceFilter] };
+    const attributeFilters = { ...DEFAULT_ATTRIBUTE_FILTERS, ...data[STORAGE_KEYS.attributeFilters] };
+    const statusFilters = { ...DEFAULT_STATUS_FILTERS, ...data[STORAGE_KEYS.statusFilters] };
+    const blockedListings = data[STORAGE_KEYS.blockedListings] || [];
+    
+    // Hit counts only live on this device, so bring them along for the entries being exported
+    const statsData = await chrome.storage.local.get(STATS_STORAGE_KEY);
+    const stats = statsData[STATS_STORAGE_KEY] || {};
+    const pickStats = (entries, storageKey) => {
+      const listStats = stats[storageKey] || {};
+      const picked = {};
+      entries.forEach(entry => {
+        const key = getEntryKey(entry);
+        if (listStats[key]) picked[key] = listStats[key];
+      });
+      return picked;
+    };
     
-    const exportData = {
+    const exportData = buildExportData({
       usernames,
+      allowedSellers,
+      titleRules,
+      attributeFilters,
+      blockedListings,
+      stats: {
+        usernames: pickStats(usernames, STORAGE_KEYS.usernames),
+        allowedSellers: pickStats(allowedSellers, STORAGE_KEYS.allowedSellers)
+      },
       settings: {
-        hideLibrary
+        showCount,
+        hideLibrary,
+        priceFilter,
+        displayMode,
+        filterMode,
+        statusFilters
       }
-    };
+    });
     
     const jsonData = JSON.stringify(exportData, null, 2);
     const blob = new Blob([jsonData], { type: 'application/json' });
@@ -257,67 +937,18 @@ async function exportList() {
   }
 }
 
-// Import list from JSON
+// Read the chosen file and show what importing it would change
 async function importList(e) {
   const file = e.target.files[0];
   if (!file) return;
   
   try {
     const text = await file.text();
-    const parsedData = JSON.parse(text);
-    
-    let usernames = [];
-    let hideLibrary = null;
-    
-    // Handle both old format (just usernames) and new format (with settings)
-    if (Array.isArray(parsedData.usernames)) {
-      // New or old format
-      usernames = parsedData.usernames;
-      
-      // Check for settings in new format
-      if (parsedData.settings && typeof parsedData.settings.hideLibrary === 'boolean') {
-        hideLibrary = parsedData.settings.hideLibrary;
-      }
-    } else if (Array.isArray(parsedData)) {
-      // Very old format - just an array
-      usernames = parsedData;
-    } else {
-      throw new Error('Invalid file format');
-    }
-    
-    // Validate and sanitize usernames
-    const sanitizedUsernames = [];
-    for (const username of usernames) {
-      try {
-        if (typeof username === 'string') {
-          const sanitized = InputValidator.sanitizeUsername(username);
-          sanitizedUsernames.push(sanitized);
-        }
-      } catch (e) {
-        // Skip invalid usernames
-      }
-    }
-    
-    // Remove duplicates
-    const uniqueUsernames = [...new Set(sanitizedUsernames)];
-    
-    // Save usernames
-    await chrome.storage.sync.set({ [STORAGE_KEYS.usernames]: uniqueUsernames });
-    
-    // Save hideLibrary setting if present
-    if (hideLibrary !== null) {
-      await chrome.storage.sync.set({ [STORAGE_KEYS.hideLibrary]: hideLibrary });
-      hideLibraryCheckbox.checked = hideLibrary;
-    }
-    
-    renderUsernames(uniqueUsernames);
-    showStatus(`Imported ${uniqueUsernames.length} usernames${hideLibrary !== null ? ' and settings' : ''}`, 'success');
+    const parsed = parseImportFile(text, file.name || '');
+    const plan = await buildImportPlan(parsed);
     
-    // Notify content script
-    await notifyContentScript({ action: 'updateFilters', usernames: uniqueUsernames });
-    if (hideLibrary !== null) {
-      await notifyContentScript({ action: 'updateHideLibrary', hideLibrary });
-    }
+    pendingImport = parsed;
+    renderImportPreview(file.name || 'file', plan);
   } catch (error) {
     console.error('Import error:', error);
     showStatus(error.message || 'Failed to import file', 'error');
@@ -327,64 +958,956 @@ async function importList(e) {
   fileInput.value = '';
 }
 
-// Save show count setting
-async function saveShowCountSetting() {
-  try {
-    const showCount = showCountCheckbox.checked;
-    await chrome.storage.sync.set({ [STORAGE_KEYS.showCount]: showCount });
+// Read an import file: an export of any format version (see export-format.js), CSV, or one seller
+// per line. Lists and settings the file doesn't mention are null and left alone.
+function parseImportFile(text, fileName) {
+  const parsed = {
+    usernames: [],
+    allowedSellers: null,
+    titleRules: null,
+    attributeFilters: null,
+    blockedListings: null,
+    stats: null,
+    settings: { showCount: null, hideLibrary: null, priceFilter: null, displayMode: null, filterMode: null, statusFilters: null }
+  };
+  
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) {
+    // Names can't contain commas, but comments and notes in a plain list can
+    const isCsv = /\.csv$/i.test(fileName) || hasCsvHeader(trimmed);
+    parsed.usernames = isCsv ? parseCsvEntries(trimmed) : parseTextEntries(trimmed);
     
-    // Notify content script
-    await notifyContentScript({ action: 'updateShowCount', showCount });
-  } catch (error) {
-    console.error('Failed to save setting:', error);
-    showStatus('Failed to save setting', 'error');
+    if (parsed.usernames.length === 0) {
+      throw new Error('No sellers found in file');
+    }
+    return parsed;
   }
-}
-
-// Save hide library setting
-async function saveHideLibrarySetting() {
+  
+  let parsedData;
   try {
-    const hideLibrary = hideLibraryCheckbox.checked;
-    await chrome.storage.sync.set({ [STORAGE_KEYS.hideLibrary]: hideLibrary });
-    
-    // Notify content script
-    await notifyContentScript({ action: 'updateHideLibrary', hideLibrary });
+    parsedData = JSON.parse(trimmed);
   } catch (error) {
-    console.error('Failed to save setting:', error);
-    showStatus('Failed to save setting', 'error');
+    throw new Error('File is not valid JSON');
   }
-}
-
-// Render username list (XSS safe)
-function renderUsernames(usernames) {
-  // Clear existing content
-  usernameList.innerHTML = '';
-  
-  // Update count
-  usernameCount.textContent = usernames.length;
-  
+    
+  // Older formats are upgraded first, so only the current one is read here
+  const data = migrateExportData(parsedData);
+      
+  parsed.usernames = data.usernames;
+  parsed.allowedSellers = data.allowedSellers || null;
+  parsed.titleRules = data.titleRules || null;
+  parsed.attributeFilters = data.attributeFilters ? flattenAttributeFilters(data.attributeFilters) : null;
+  parsed.blockedListings = data.blockedListings || null;
+  parsed.stats = data.stats || null;
+      
+  const settings = data.settings || {};
+  Object.keys(parsed.settings).forEach(key => {
+    if (settings[key] !== undefined) parsed.settings[key] = settings[key];
+  });
+      
+  if (parsed.settings.priceFilter !== null) {
+    parsed.settings.priceFilter = InputValidator.sanitizePriceFilter(parsed.settings.priceFilter);
+  }
+  
+  return parsed;
+}
+
+// One seller per line; blank lines and lines starting with # are skipped
+function parseTextEntries(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+// Whether the first line is a CSV header row naming the seller column
+function hasCsvHeader(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return firstLine.includes(',') &&
+    firstLine.split(',').some(cell => CSV_NAME_COLUMNS.includes(cell.trim().replace(/^"|"$/g, '').toLowerCase()));
+}
+
+// CSV with a header row naming its columns (name, match, slug, note, tag), or bare name,match rows
+function parseCsvEntries(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) return [];
+  
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const hasHeader = header.some(cell => CSV_NAME_COLUMNS.includes(cell));
+  const columns = hasHeader
+    ? header.map(cell => (['username', 'seller'].includes(cell) ? 'name' : cell))
+    : ['name', 'match'];
+  
+  return rows.slice(hasHeader ? 1 : 0).map(cells => {
+    const entry = { match: 'exact' };
+    columns.forEach((column, index) => {
+      const value = (cells[index] || '').trim();
+      if (value && ['name', 'match', 'slug', 'note', 'tag'].includes(column)) {
+        entry[column] = value;
+      }
+    });
+    return entry;
+  });
+}
+
+// Split CSV into rows of cells, allowing quoted cells with commas, quotes and line breaks
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+    
+  row.push(cell);
+  rows.push(row);
+  
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+// Compare a parsed file with the current lists
+async function buildImportPlan(parsed) {
+  const data = await FilterStorage.get([
+    STORAGE_KEYS.usernames,
+    STORAGE_KEYS.allowedSellers,
+    STORAGE_KEYS.titleRules,
+    STORAGE_KEYS.attributeFilters,
+    STORAGE_KEYS.blockedListings
+  ]);
+  const currentUsernames = data[STORAGE_KEYS.usernames] || [];
+  const currentAllowed = data[STORAGE_KEYS.allowedSellers] || [];
+  const currentTitleRules = data[STORAGE_KEYS.titleRules] || [];
+  const currentListings = data[STORAGE_KEYS.blockedListings] || [];
+  const currentAttributes = flattenAttributeFilters({ ...DEFAULT_ATTRIBUTE_FILTERS, ...data[STORAGE_KEYS.attributeFilters] });
+  
+  return {
+    usernames: previewImportItems(parsed.usernames, currentUsernames, sanitizeImportedEntry, isDuplicateEntry),
+    allowedSellers: parsed.allowedSellers === null ? null :
+      previewImportItems(parsed.allowedSellers, currentAllowed, sanitizeImportedEntry, isDuplicateEntry),
+    titleRules: parsed.titleRules === null ? null :
+      previewImportItems(parsed.titleRules, currentTitleRules, rule => InputValidator.sanitizeTitleRule(rule), isSameTitleRule),
+    attributeFilters: parsed.attributeFilters === null ? null :
+      previewImportItems(parsed.attributeFilters, currentAttributes, sanitizeImportedAttribute, isSameAttributeRule),
+    blockedListings: parsed.blockedListings === null ? null :
+      previewImportItems(parsed.blockedListings, currentListings, entry => InputValidator.sanitizeListingEntry(entry), isSameListing),
+    hasSettings: Object.values(parsed.settings).some(setting => setting !== null)
+  };
+}
+
+function sanitizeImportedEntry(entry) {
+  const sanitized = InputValidator.sanitizeSellerEntry(entry);
+  if (isExpiredEntry(sanitized)) {
+    throw new Error('Already expired');
+  }
+  return sanitized;
+}
+
+function isSameListing(a, b) {
+  return a.id === b.id;
+}
+
+function sanitizeImportedAttribute({ kind, value }) {
+  return { kind, value: InputValidator.sanitizeAttributeValue(value) };
+}
+
+// Hidden categories, formats and tags as one list of { kind, value } so import can compare them like the others
+function flattenAttributeFilters(filters) {
+  return ATTRIBUTE_KINDS.flatMap(kind => (filters[kind] || []).map(value => ({ kind, value })));
+}
+
+function groupAttributeFilters(rules) {
+  const filters = { categories: [], formats: [], tags: [] };
+  rules.forEach(({ kind, value }) => filters[kind].push(value));
+  return filters;
+}
+
+function isSameAttributeRule(a, b) {
+  return a.kind === b.kind && normalizeAttribute(a.value) === normalizeAttribute(b.value);
+}
+
+// Sort imported items into new ones, duplicates (of the current list or earlier in the file) and
+// invalid ones with the validator's reason. `items` keeps every valid item once, in file order.
+function previewImportItems(items, current, sanitize, isSame) {
+  const preview = { current, items: [], added: [], duplicates: 0, invalid: [] };
+  
+  for (const item of items) {
+    let sanitized;
+    try {
+      sanitized = sanitize(item);
+    } catch (error) {
+      preview.invalid.push({ value: describeImportItem(item), reason: error.message });
+      continue;
+    }
+    
+    if (preview.items.some(existing => isSame(existing, sanitized))) {
+      preview.duplicates++;
+      continue;
+    }
+    
+    preview.items.push(sanitized);
+    if (current.some(existing => isSame(existing, sanitized))) {
+      preview.duplicates++;
+    } else {
+      preview.added.push(sanitized);
+    }
+  }
+  
+  return preview;
+}
+
+function describeImportItem(item) {
+  if (typeof item === 'string') return item;
+  if (item && typeof item.name === 'string') return item.name;
+  if (item && typeof item.pattern === 'string') return item.pattern;
+  if (item && typeof item.value === 'string') return item.value;
+  if (item && typeof item.title === 'string') return item.title;
+  if (item && typeof item.id === 'string') return item.id;
+  
+  const text = JSON.stringify(item);
+  return text && text.length > 60 ? `${text.slice(0, 57)}...` : String(text);
+}
+
+// The list to save for an import mode. Merging updates matching entries with the file's
+// version (note, tag, dates); adding leaves them as they are.
+function mergeImportedItems(preview, mode, isSame) {
+  if (mode === 'replace') return preview.items;
+  if (mode === 'add') return [...preview.current, ...preview.added];
+  
+  const merged = preview.current.map(existing => {
+    const imported = preview.items.find(item => isSame(item, existing));
+    if (!imported) return existing;
+    return typeof existing === 'string' ? imported : { ...existing, ...imported };
+  });
+  return [...merged, ...preview.added];
+}
+
+function renderImportPreview(fileName, plan) {
+  importFileName.textContent = fileName;
+  importSummary.innerHTML = '';
+  importInvalidList.innerHTML = '';
+  
+  const invalid = [];
+  const addSummary = (label, preview) => {
+    if (!preview) return;
+    
+    const line = document.createElement('li');
+    line.textContent = `${label}: ${preview.added.length} new, ${preview.duplicates} duplicate, ${preview.invalid.length} invalid`;
+    importSummary.appendChild(line);
+    invalid.push(...preview.invalid);
+  };
+  
+  addSummary('Usernames', plan.usernames);
+  addSummary('Allowed sellers', plan.allowedSellers);
+  addSummary('Title keywords', plan.titleRules);
+  addSummary('Categories and formats', plan.attributeFilters);
+  addSummary('Hidden listings', plan.blockedListings);
+  
+  if (plan.hasSettings) {
+    const line = document.createElement('li');
+    line.textContent = 'Settings (not applied when only adding)';
+    importSummary.appendChild(line);
+  }
+  
+  invalid.forEach(({ value, reason }) => {
+    const item = document.createElement('li');
+    item.textContent = `${value}: ${reason}`; // Safe: textContent prevents XSS
+    importInvalidList.appendChild(item);
+  });
+  importInvalidDetails.classList.toggle('show', invalid.length > 0);
+  
+  // Entries a replace would drop
+  const removed = ['usernames', 'allowedSellers', 'titleRules', 'attributeFilters', 'blockedListings'].reduce((count, key) => {
+    const preview = plan[key];
+    if (!preview) return count;
+    return count + preview.current.length - (preview.items.length - preview.added.length);
+  }, 0);
+  importModeHint.dataset.removed = removed;
+  renderImportModeHint();
+  
+  importPreview.classList.add('show');
+  confirmImportButton.focus();
+}
+
+function renderImportModeHint() {
+  const removed = Number(importModeHint.dataset.removed) || 0;
+  importModeHint.textContent = importModeSelect.value === 'replace' && removed > 0
+    ? `Replacing removes ${removed} ${removed === 1 ? 'entry that is' : 'entries that are'} not in the file`
+    : '';
+}
+
+function cancelImport() {
+  pendingImport = null;
+  importPreview.classList.remove('show');
+}
+
+// Save the previewed file with the chosen mode
+async function confirmImport() {
+  if (!pendingImport) return;
+  
+  const parsed = pendingImport;
+  const mode = importModeSelect.value;
+  cancelImport();
+  
+  try {
+    // Compare again in case the lists changed while the preview was open
+    const plan = await buildImportPlan(parsed);
+    const applySettings = mode !== 'add';
+    const { showCount, hideLibrary, priceFilter, displayMode, filterMode, statusFilters } = applySettings
+      ? parsed.settings
+      : { showCount: null, hideLibrary: null, priceFilter: null, displayMode: null, filterMode: null, statusFilters: null };
+    
+    const usernames = mergeImportedItems(plan.usernames, mode, isDuplicateEntry);
+    const allowedSellers = plan.allowedSellers ? mergeImportedItems(plan.allowedSellers, mode, isDuplicateEntry) : null;
+    const titleRules = plan.titleRules ? mergeImportedItems(plan.titleRules, mode, isSameTitleRule) : null;
+    const attributeFilters = plan.attributeFilters
+      ? groupAttributeFilters(mergeImportedItems(plan.attributeFilters, mode, isSameAttributeRule))
+      : null;
+    const blockedListings = plan.blockedListings ? mergeImportedItems(plan.blockedListings, mode, isSameListing) : null;
+    
+    // Save everything in one write so the page refilters once
+    const updates = { [STORAGE_KEYS.usernames]: usernames };
+    Object.entries({
+      [STORAGE_KEYS.allowedSellers]: allowedSellers,
+      [STORAGE_KEYS.filterMode]: filterMode,
+      [STORAGE_KEYS.showCount]: showCount,
+      [STORAGE_KEYS.hideLibrary]: hideLibrary,
+      [STORAGE_KEYS.priceFilter]: priceFilter,
+      [STORAGE_KEYS.displayMode]: displayMode,
+      [STORAGE_KEYS.statusFilters]: statusFilters,
+      [STORAGE_KEYS.titleRules]: titleRules,
+      [STORAGE_KEYS.attributeFilters]: attributeFilters,
+      [STORAGE_KEYS.blockedListings]: blockedListings
+    }).forEach(([key, value]) => {
+      if (value !== null) updates[key] = value;
+    });
+    await FilterStorage.set(updates);
+    
+    // Hit counts saved with the file replace this device's counts for the same entries
+    if (parsed.stats) {
+      const statsEntries = preview => (mode === 'add' ? preview.added : preview.items);
+      await importSellerStats(parsed.stats.usernames, statsEntries(plan.usernames), STORAGE_KEYS.usernames);
+      if (plan.allowedSellers) {
+        await importSellerStats(parsed.stats.allowedSellers, statsEntries(plan.allowedSellers), STORAGE_KEYS.allowedSellers);
+      }
+    }
+    
+    await loadData();
+    const count = preview => (mode === 'replace' ? preview.items.length : preview.added.length);
+    const importedAllowed = plan.allowedSellers ? `, ${count(plan.allowedSellers)} allowed sellers` : '';
+    const importedKeywords = plan.titleRules ? `, ${count(plan.titleRules)} keywords` : '';
+    const importedAttributes = plan.attributeFilters ? `, ${count(plan.attributeFilters)} categories and formats` : '';
+    const importedListings = plan.blockedListings ? `, ${count(plan.blockedListings)} hidden listings` : '';
+    const importedSettings = [showCount, hideLibrary, priceFilter, displayMode, filterMode, statusFilters]
+      .some(setting => setting !== null);
+    const verb = mode === 'replace' ? 'Imported' : 'Added';
+    showStatus(`${verb} ${count(plan.usernames)} usernames${importedAllowed}${importedKeywords}${importedAttributes}${importedListings}${importedSettings ? ' and settings' : ''}`, 'success');
+    
+    // Notify content script with the full set of settings, as a profile switch does
+    const saved = await FilterStorage.get(PROFILE_KEYS);
+    await notifyContentScript({ action: 'applyProfile', settings: buildProfileSettings(saved) });
+  } catch (error) {
+    console.error('Import error:', error);
+    showStatus(error.message || 'Failed to import file', 'error');
+  }
+}
+
+// Merge exported hit counts for the imported entries into this device's counts
+async function importSellerStats(fileStats, entries, storageKey) {
+  if (!fileStats || typeof fileStats !== 'object') return;
+  
+  const data = await chrome.storage.local.get(STATS_STORAGE_KEY);
+  const stats = data[STATS_STORAGE_KEY] || {};
+  const listStats = stats[storageKey] || {};
+  
+  entries.forEach(entry => {
+    const key = getEntryKey(entry);
+    if (!Object.prototype.hasOwnProperty.call(fileStats, key)) return;
+    
+    try {
+      listStats[key] = InputValidator.sanitizeEntryStats(fileStats[key]);
+    } catch (e) {
+      // Skip invalid counts
+    }
+  });
+  
+  stats[storageKey] = listStats;
+  sellerStats = stats;
+  await chrome.storage.local.set({ [STATS_STORAGE_KEY]: stats });
+}
+
+// Save show count setting
+async function saveShowCountSetting() {
+  try {
+    const showCount = showCountCheckbox.checked;
+    await FilterStorage.set({ [STORAGE_KEYS.showCount]: showCount });
+    
+    // Notify content script
+    await notifyContentScript({ action: 'updateShowCount', showCount });
+  } catch (error) {
+    console.error('Failed to save setting:', error);
+    showStatus('Failed to save setting', 'error');
+  }
+}
+
+// Save hide library setting
+async function saveHideLibrarySetting() {
+  try {
+    const hideLibrary = hideLibraryCheckbox.checked;
+    await FilterStorage.set({ [STORAGE_KEYS.hideLibrary]: hideLibrary });
+    
+    // Notify content script
+    await notifyContentScript({ action: 'updateHideLibrary', hideLibrary });
+  } catch (error) {
+    console.error('Failed to save setting:', error);
+    showStatus('Failed to save setting', 'error');
+  }
+}
+
+// Save blocklist/allowlist mode setting
+async function saveFilterModeSetting() {
+  try {
+    const filterMode = filterModeSelect.value;
+    if (!FILTER_MODES.includes(filterMode)) {
+      throw new Error('Invalid filter mode');
+    }
+    await FilterStorage.set({ [STORAGE_KEYS.filterMode]: filterMode });
+    renderFilterMode(filterMode);
+    
+    // Notify content script
+    await notifyContentScript({ action: 'updateFilterMode', filterMode });
+  } catch (error) {
+    console.error('Failed to save setting:', error);
+    showStatus('Failed to save setting', 'error');
+  }
+}
+
+// Show the active mode and dim the list that isn't in use
+function renderFilterMode(filterMode) {
+  filterModeSelect.value = filterMode;
+  document.body.dataset.filterMode = filterMode;
+}
+
+// Save display mode setting
+async function saveDisplayModeSetting() {
+  try {
+    const displayMode = displayModeSelect.value;
+    if (!DISPLAY_MODES.includes(displayMode)) {
+      throw new Error('Invalid display mode');
+    }
+    await FilterStorage.set({ [STORAGE_KEYS.displayMode]: displayMode });
+    
+    // Notify content script
+    await notifyContentScript({ action: 'updateDisplayMode', displayMode });
+  } catch (error) {
+    console.error('Failed to save setting:', error);
+    showStatus('Failed to save setting', 'error');
+  }
+}
+
+// Save what to do with viewed, in-cart and wishlisted listings
+async function saveStatusFilterSetting() {
+  try {
+    const statusFilters = {};
+    statusFilterSelects.forEach(select => {
+      if (!STATUS_FILTER_MODES.includes(select.value)) {
+        throw new Error('Invalid status filter');
+      }
+      statusFilters[select.dataset.status] = select.value;
+    });
+    await FilterStorage.set({ [STORAGE_KEYS.statusFilters]: statusFilters });
+    
+    // Notify content script
+    await notifyContentScript({ action: 'updateStatusFilters', statusFilters });
+  } catch (error) {
+    console.error('Failed to save setting:', error);
+    showStatus('Failed to save setting', 'error');
+  }
+}
+
+function renderStatusFilters(statusFilters) {
+  statusFilterSelects.forEach(select => {
+    select.value = statusFilters[select.dataset.status];
+  });
+}
+
+// Views older than the new window are forgotten straight away; open tabs pick up the change from storage
+async function saveViewedRetention() {
+  try {
+    const days = parseInt(viewedRetentionSelect.value, 10);
+    const data = await chrome.storage.local.get(VIEWED_STORAGE_KEY);
+    const viewed = pruneViewedListings(data[VIEWED_STORAGE_KEY] || {}, days);
+    
+    await chrome.storage.local.set({ [VIEWED_RETENTION_KEY]: days, [VIEWED_STORAGE_KEY]: viewed });
+    renderViewedCount(viewed);
+  } catch (error) {
+    console.error('Failed to save setting:', error);
+    showStatus('Failed to save setting', 'error');
+  }
+}
+
+async function clearViewedHistory() {
+  if (!confirm('Forget every listing viewed in this browser?')) {
+    return;
+  }
+  
+  try {
+    await chrome.storage.local.remove(VIEWED_STORAGE_KEY);
+    renderViewedCount({});
+    showStatus('Viewed history cleared', 'success');
+  } catch (error) {
+    console.error('Failed to clear viewed history:', error);
+    showStatus('Failed to clear viewed history', 'error');
+  }
+}
+
+function renderViewedCount(viewed) {
+  const days = parseInt(viewedRetentionSelect.value, 10);
+  viewedCount.textContent = Object.keys(pruneViewedListings(viewed || {}, days)).length;
+}
+
+function pruneViewedListings(viewed, days) {
+  const cutoff = Date.now() - days * DAY_IN_MS;
+  return Object.fromEntries(Object.entries(viewed).filter(([, viewedAt]) => viewedAt > cutoff));
+}
+
+// Save price filter setting
+async function savePriceFilterSetting() {
+  try {
+    const priceFilter = InputValidator.sanitizePriceFilter({
+      mode: priceModeSelect.value,
+      min: priceMinInput.value,
+      max: priceMaxInput.value
+    });
+    await FilterStorage.set({ [STORAGE_KEYS.priceFilter]: priceFilter });
+    
+    // Notify content script
+    await notifyContentScript({ action: 'updatePriceFilter', priceFilter });
+  } catch (error) {
+    console.error('Failed to save price filter:', error);
+    showStatus(error.message || 'Failed to save setting', 'error');
+  }
+}
+
+// Show the price filter in the settings controls
+function renderPriceFilter(priceFilter) {
+  priceModeSelect.value = priceFilter.mode;
+  priceMinInput.value = priceFilter.min !== null ? priceFilter.min : '';
+  priceMaxInput.value = priceFilter.max !== null ? priceFilter.max : '';
+}
+
+// Show a warning while settings live in local storage because sync is full
+async function renderStorageWarning() {
+  try {
+    const warning = await FilterStorage.getWarning();
+    
+    if (!warning) {
+      storageWarning.classList.remove('show');
+      return;
+    }
+    
+    storageWarningText.textContent = 'Sync storage is full, so your filters are only saved on this device.';
+    storageWarning.title = warning.message;
+    storageWarning.classList.add('show');
+  } catch (error) {
+    console.error('Error loading storage warning:', error);
+  }
+}
+
+// Pick up a sync fallback triggered by a save from here or from the page
+function handleStorageChanged(changes, areaName) {
+  if (areaName === 'local' && STORAGE_META_KEYS.warning in changes) {
+    renderStorageWarning();
+  }
+  
+  // The background worker clears the pause when it runs out
+  if (areaName === 'local' && PAUSE_STORAGE_KEY in changes) {
+    renderPause(changes[PAUSE_STORAGE_KEY].newValue);
+  }
+  
+  // Other tabs record views as listings are opened
+  if (areaName === 'local' && VIEWED_STORAGE_KEY in changes) {
+    renderViewedCount(changes[VIEWED_STORAGE_KEY].newValue);
+  }
+  
+  // Browsing adds to the suggestions
+  if (areaName === 'local' && SEEN_ATTRIBUTES_STORAGE_KEY in changes) {
+    seenAttributes = changes[SEEN_ATTRIBUTES_STORAGE_KEY].newValue || {};
+    renderAttributeSuggestions();
+  }
+  
+  // Fetch results arrive from the background worker
+  if (areaName === 'local' && SUBSCRIPTION_DATA_KEY in changes) {
+    loadSubscriptions();
+  }
+}
+
+async function loadPauseState() {
+  try {
+    const data = await chrome.storage.local.get(PAUSE_STORAGE_KEY);
+    renderPause(data[PAUSE_STORAGE_KEY]);
+  } catch (error) {
+    console.error('Failed to load pause state:', error);
+  }
+}
+
+function isPaused(pausedUntil) {
+  return typeof pausedUntil === 'number' && pausedUntil > Date.now();
+}
+
+function renderPause(pausedUntil) {
+  const paused = isPaused(pausedUntil);
+  pauseBar.classList.toggle('paused', paused);
+  pauseButton.textContent = paused ? 'Resume' : 'Pause';
+  pauseStatus.textContent = paused
+    ? `Paused until ${new Date(pausedUntil).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`
+    : 'Filtering is on';
+}
+
+// Pause filtering on this device for the chosen time, or resume it early.
+// Open fab.com tabs pick the change up from storage.
+async function togglePause() {
+  try {
+    const data = await chrome.storage.local.get(PAUSE_STORAGE_KEY);
+    
+    if (isPaused(data[PAUSE_STORAGE_KEY])) {
+      await chrome.storage.local.remove(PAUSE_STORAGE_KEY);
+      renderPause(null);
+      showStatus('Filtering resumed', 'success');
+      return;
+    }
+    
+    const minutes = Number(pauseDurationSelect.value);
+    if (!Number.isInteger(minutes) || minutes <= 0) {
+      throw new Error('Invalid pause duration');
+    }
+    
+    const pausedUntil = Date.now() + minutes * 60 * 1000;
+    await chrome.storage.local.set({ [PAUSE_STORAGE_KEY]: pausedUntil });
+    renderPause(pausedUntil);
+    showStatus('Filtering paused', 'success');
+  } catch (error) {
+    console.error('Failed to change pause:', error);
+    showStatus('Failed to pause filtering', 'error');
+  }
+}
+
+async function loadSubscriptions() {
+  try {
+    const data = await FilterStorage.get(STORAGE_KEYS.subscriptions);
+    const localData = await chrome.storage.local.get(SUBSCRIPTION_DATA_KEY);
+    renderSubscriptions(data[STORAGE_KEYS.subscriptions] || [], localData[SUBSCRIPTION_DATA_KEY] || {});
+  } catch (error) {
+    console.error('Failed to load shared lists:', error);
+  }
+}
+
+// Subscribe to a shared list. The background worker fetches it once the subscription is saved.
+async function addSubscription() {
+  subscriptionError.textContent = '';
+  
+  try {
+    const url = InputValidator.sanitizeSubscriptionUrl(subscriptionInput.value);
+    
+    // The extension only reaches fab.com by default, so ask for the list's site. Chrome only
+    // shows the prompt during the click, so this has to come before anything is awaited.
+    const granted = await chrome.permissions.request({ origins: [getOriginPattern(url)] });
+    if (!granted) {
+      subscriptionError.textContent = 'Permission to read the list was not granted';
+      return;
+    }
+    
+    const data = await FilterStorage.get(STORAGE_KEYS.subscriptions);
+    const subscriptions = data[STORAGE_KEYS.subscriptions] || [];
+    
+    if (subscriptions.some(subscription => subscription.url === url)) {
+      subscriptionError.textContent = 'Already subscribed to this list';
+      return;
+    }
+    
+    subscriptions.push({ id: `list_${Date.now().toString(36)}`, url, addedAt: Date.now() });
+    await FilterStorage.set({ [STORAGE_KEYS.subscriptions]: subscriptions });
+    
+    subscriptionInput.value = '';
+    await loadSubscriptions();
+    showStatus('Subscribed to shared list', 'success');
+  } catch (error) {
+    subscriptionError.textContent = error.message;
+  }
+}
+
+// Use a list saved on disk. The background worker can't read files, so the entries are stored
+// here and stay as loaded until the file is loaded again.
+async function loadSubscriptionFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  subscriptionError.textContent = '';
+  
+  try {
+    const { name, entries } = parseSharedList(await file.text());
+    const now = Date.now();
+    
+    const data = await FilterStorage.get(STORAGE_KEYS.subscriptions);
+    const subscriptions = data[STORAGE_KEYS.subscriptions] || [];
+    const subscription = subscriptions.find(existing => existing.file === file.name) ||
+      { id: `list_${now.toString(36)}`, file: file.name, addedAt: now };
+    
+    // Entries first, so the background worker finds them when the subscription appears
+    const localData = await chrome.storage.local.get(SUBSCRIPTION_DATA_KEY);
+    const subscriptionData = localData[SUBSCRIPTION_DATA_KEY] || {};
+    subscriptionData[subscription.id] = { name, entries, updatedAt: now, checkedAt: now, error: null };
+    await chrome.storage.local.set({ [SUBSCRIPTION_DATA_KEY]: subscriptionData });
+    
+    if (!subscriptions.includes(subscription)) {
+      subscriptions.push(subscription);
+      await FilterStorage.set({ [STORAGE_KEYS.subscriptions]: subscriptions });
+    }
+    
+    await loadSubscriptions();
+    showStatus(`Loaded ${entries.length} sellers from ${file.name}`, 'success');
+  } catch (error) {
+    subscriptionError.textContent = error.message;
+  } finally {
+    // Allow loading the same file again after it changes
+    subscriptionFileInput.value = '';
+  }
+}
+
+async function removeSubscription(id) {
+  try {
+    const data = await FilterStorage.get(STORAGE_KEYS.subscriptions);
+    const current = data[STORAGE_KEYS.subscriptions] || [];
+    const removed = current.find(subscription => subscription.id === id);
+    const subscriptions = current.filter(subscription => subscription !== removed);
+    await FilterStorage.set({ [STORAGE_KEYS.subscriptions]: subscriptions });
+    
+    // Give up access to the list's site unless another list still comes from it
+    const origin = removed?.url && getOriginPattern(removed.url);
+    if (origin && !subscriptions.some(subscription => subscription.url && getOriginPattern(subscription.url) === origin)) {
+      await chrome.permissions.remove({ origins: [origin] }).catch(error => {
+        // fab.com is always reachable and can't be given up
+        console.debug('Could not remove access to', origin, error.message);
+      });
+    }
+    
+    await loadSubscriptions();
+    showStatus('Unsubscribed from shared list', 'success');
+  } catch (error) {
+    console.error('Failed to remove shared list:', error);
+    showStatus('Failed to remove shared list', 'error');
+  }
+}
+
+// Host permission pattern for the site a list is fetched from
+function getOriginPattern(url) {
+  return `${new URL(url).origin}/*`;
+}
+
+// Ask the background worker to fetch every list again; the results come back through storage
+async function refreshSubscriptions() {
+  try {
+    await chrome.runtime.sendMessage({ action: 'refreshSubscriptions' });
+    showStatus('Checking shared lists for updates', 'success');
+  } catch (error) {
+    console.error('Failed to refresh shared lists:', error);
+    showStatus('Failed to check shared lists', 'error');
+  }
+}
+
+// Render shared lists (XSS safe)
+function renderSubscriptions(subscriptions, subscriptionData) {
+  subscriptionList.innerHTML = '';
+  subscriptionCount.textContent = subscriptions.length;
+  refreshSubscriptionsButton.disabled = subscriptions.length === 0;
+  
+  if (subscriptions.length === 0) {
+    subscriptionEmptyMessage.classList.add('show');
+    return;
+  }
+  
+  subscriptionEmptyMessage.classList.remove('show');
+  
+  subscriptions.forEach(subscription => {
+    const item = createSubscriptionElement(subscription, subscriptionData[subscription.id]);
+    subscriptionList.appendChild(item);
+  });
+}
+
+function createSubscriptionElement(subscription, result) {
+  const item = document.createElement('div');
+  item.className = 'username-item';
+  
+  const details = document.createElement('div');
+  details.className = 'username-details';
+  
+  const text = document.createElement('span');
+  text.className = 'username-text';
+  const source = subscription.url || subscription.file;
+  text.textContent = (result && result.name) || source;
+  details.appendChild(text);
+  
+  if (result && result.name) {
+    const sourceText = document.createElement('span');
+    sourceText.className = 'entry-url';
+    sourceText.textContent = source;
+    sourceText.title = source;
+    details.appendChild(sourceText);
+  }
+  
+  const metaText = document.createElement('div');
+  metaText.className = 'entry-meta';
+  metaText.textContent = getSubscriptionMetaText(subscription, result);
+  details.appendChild(metaText);
+  
+  if (result && result.error) {
+    const errorText = document.createElement('div');
+    errorText.className = 'entry-meta error';
+    errorText.textContent = `Last check failed: ${result.error}`;
+    details.appendChild(errorText);
+  }
+  
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'remove-btn';
+  removeBtn.textContent = 'Remove';
+  removeBtn.type = 'button';
+  
+  removeBtn.dataset.id = subscription.id;
+  resourceManager.addEventListener(removeBtn, 'click', e => removeSubscription(e.target.dataset.id));
+  
+  item.appendChild(details);
+  item.appendChild(removeBtn);
+  
+  return item;
+}
+
+// e.g. "120 sellers · updated 3/1/26, 9:00 AM"
+function getSubscriptionMetaText(subscription, result) {
+  if (!result) {
+    // Subscriptions sync, but a file's entries were only stored on the device that loaded it
+    return subscription.file ? 'Load the file on this device to use it' : 'Not fetched yet';
+  }
+  
+  const count = `${result.entries.length} ${result.entries.length === 1 ? 'seller' : 'sellers'}`;
+  if (!result.updatedAt) return count;
+  
+  return `${count} · updated ${new Date(result.updatedAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}`;
+}
+
+// Move settings back to sync storage once there is room again
+async function retrySync() {
+  try {
+    const synced = await FilterStorage.retrySync();
+    await renderStorageWarning();
+    
+    if (synced) {
+      showStatus('Filters are syncing again', 'success');
+    } else {
+      showStatus('Sync storage is still full. Remove some entries and try again.', 'error');
+    }
+  } catch (error) {
+    console.error('Error retrying sync:', error);
+    showStatus('Error retrying sync', 'error');
+  }
+}
+
+// Render a seller list (XSS safe)
+function renderUsernames(usernames, listName = 'blocked') {
+  const sellerList = sellerLists[listName];
+  
+  // Clear existing content
+  sellerList.list.innerHTML = '';
+  
+  // Update count
+  sellerList.count.textContent = usernames.length;
+  
   if (usernames.length === 0) {
-    emptyMessage.classList.add('show');
+    sellerList.emptyMessage.classList.add('show');
     return;
   }
   
-  emptyMessage.classList.remove('show');
+  sellerList.emptyMessage.classList.remove('show');
   
   // Create elements safely
   usernames.forEach(username => {
-    const item = createUsernameElement(username);
-    usernameList.appendChild(item);
+    const item = createUsernameElement(username, listName);
+    sellerList.list.appendChild(item);
   });
 }
 
 // Create username element (XSS safe)
-function createUsernameElement(username) {
+function createUsernameElement(entry, listName) {
   const item = document.createElement('div');
   item.className = 'username-item';
   
   const text = document.createElement('span');
   text.className = 'username-text';
-  text.textContent = username; // Safe: textContent prevents XSS
+  text.textContent = typeof entry === 'string' ? entry : entry.name; // Safe: textContent prevents XSS
+  
+  // Show the profile slug of sellers matched by URL
+  if (typeof entry !== 'string' && entry.slug) {
+    const slugText = document.createElement('span');
+    slugText.className = 'rule-flags';
+    slugText.textContent = `sellers/${entry.slug}`;
+    text.appendChild(slugText);
+  }
+  
+  // Show how non-exact entries match
+  if (typeof entry !== 'string' && MATCH_MODE_LABELS[entry.match]) {
+    const flagText = document.createElement('span');
+    flagText.className = 'rule-flags';
+    flagText.textContent = MATCH_MODE_LABELS[entry.match];
+    text.appendChild(flagText);
+  }
+  
+  if (typeof entry !== 'string' && entry.tag) {
+    const tagText = document.createElement('span');
+    tagText.className = 'entry-tag';
+    tagText.textContent = entry.tag;
+    text.appendChild(tagText);
+  }
+  
+  const details = document.createElement('div');
+  details.className = 'username-details';
+  details.appendChild(text);
+  
+  const meta = getEntryMetaText(entry, sellerLists[listName].storageKey);
+  if (meta) {
+    const metaText = document.createElement('div');
+    metaText.className = 'entry-meta';
+    metaText.textContent = meta;
+    details.appendChild(metaText);
+  }
+  
+  if (typeof entry !== 'string' && entry.note) {
+    const noteText = document.createElement('div');
+    noteText.className = 'entry-note';
+    noteText.textContent = entry.note;
+    details.appendChild(noteText);
+  }
   
   const removeBtn = document.createElement('button');
   removeBtn.className = 'remove-btn';
@@ -392,19 +1915,307 @@ function createUsernameElement(username) {
   removeBtn.type = 'button';
   
   // Use data attribute instead of closure
-  removeBtn.dataset.username = username;
+  removeBtn.dataset.entryKey = getEntryKey(entry);
+  removeBtn.dataset.list = listName;
   resourceManager.addEventListener(removeBtn, 'click', handleRemoveClick);
   
-  item.appendChild(text);
+  item.appendChild(details);
   item.appendChild(removeBtn);
   
   return item;
 }
 
+// e.g. "Added 3/1/2026 · until 3/8/26, 9:00 AM · 12 hidden, last 3/2/2026"
+function getEntryMetaText(entry, storageKey) {
+  const parts = [];
+  
+  if (typeof entry !== 'string' && entry.addedAt) {
+    parts.push(`Added ${new Date(entry.addedAt).toLocaleDateString()}`);
+  }
+  
+  if (typeof entry !== 'string' && entry.expiresAt) {
+    parts.push(`until ${new Date(entry.expiresAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}`);
+  }
+  
+  const stats = (sellerStats[storageKey] || {})[getEntryKey(entry)];
+  if (stats && stats.hits > 0) {
+    const last = stats.lastMatched ? `, last ${new Date(stats.lastMatched).toLocaleDateString()}` : '';
+    parts.push(`${stats.hits} ${storageKey === STORAGE_KEYS.allowedSellers ? 'shown' : 'hidden'}${last}`);
+  }
+  
+  return parts.join(' · ');
+}
+
 // Handle remove button clicks
 function handleRemoveClick(e) {
-  const username = e.target.dataset.username;
-  removeUsername(username);
+  const key = e.target.dataset.entryKey;
+  removeUsername(key, e.target.dataset.list);
+}
+
+// Render title keyword list (XSS safe)
+function renderTitleRules(titleRules) {
+  // Clear existing content
+  titleRuleList.innerHTML = '';
+  
+  // Update count
+  titleRuleCount.textContent = titleRules.length;
+  
+  if (titleRules.length === 0) {
+    titleRuleEmptyMessage.classList.add('show');
+    return;
+  }
+  
+  titleRuleEmptyMessage.classList.remove('show');
+  
+  titleRules.forEach((rule, index) => {
+    const item = createTitleRuleElement(rule, index);
+    titleRuleList.appendChild(item);
+  });
+}
+
+// Create title keyword element (XSS safe)
+function createTitleRuleElement(rule, index) {
+  const item = document.createElement('div');
+  item.className = 'username-item';
+  
+  const text = document.createElement('span');
+  text.className = 'username-text';
+  text.textContent = rule.isRegex ? `/${rule.pattern}/` : rule.pattern;
+  
+  // Summarize the matching options next to the keyword
+  const flags = [];
+  if (rule.caseInsensitive) flags.push('ignore case');
+  if (rule.wholeWord) flags.push('whole word');
+  if (flags.length > 0) {
+    const flagText = document.createElement('span');
+    flagText.className = 'rule-flags';
+    flagText.textContent = flags.join(', ');
+    text.appendChild(flagText);
+  }
+  
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'remove-btn';
+  removeBtn.textContent = 'Remove';
+  removeBtn.type = 'button';
+  
+  removeBtn.dataset.index = index;
+  resourceManager.addEventListener(removeBtn, 'click', handleRemoveTitleRuleClick);
+  
+  item.appendChild(text);
+  item.appendChild(removeBtn);
+  
+  return item;
+}
+
+// Handle title keyword remove button clicks
+function handleRemoveTitleRuleClick(e) {
+  const index = parseInt(e.target.dataset.index, 10);
+  removeTitleRule(index);
+}
+
+// Render listings hidden from their cards, newest first
+function renderBlockedListings(blockedListings) {
+  blockedListingList.innerHTML = '';
+  blockedListingCount.textContent = blockedListings.length;
+  blockedListingEmptyMessage.classList.toggle('show', blockedListings.length === 0);
+  
+  [...blockedListings].reverse().forEach(entry => {
+    blockedListingList.appendChild(createBlockedListingElement(entry));
+  });
+}
+
+// Create hidden listing element (XSS safe)
+function createBlockedListingElement(entry) {
+  const item = document.createElement('div');
+  item.className = 'username-item';
+  
+  const details = document.createElement('div');
+  details.className = 'username-details';
+  
+  const link = document.createElement('a');
+  link.className = 'username-text';
+  link.href = `https://www.fab.com/listings/${encodeURIComponent(entry.id)}`;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.textContent = entry.title || entry.id;
+  details.appendChild(link);
+  
+  const parts = [];
+  if (entry.seller) parts.push(`by ${entry.seller}`);
+  if (entry.addedAt) parts.push(`hidden ${new Date(entry.addedAt).toLocaleDateString()}`);
+  if (parts.length > 0) {
+    const metaText = document.createElement('div');
+    metaText.className = 'entry-meta';
+    metaText.textContent = parts.join(' · ');
+    details.appendChild(metaText);
+  }
+  
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'remove-btn';
+  removeBtn.textContent = 'Unhide';
+  removeBtn.type = 'button';
+  
+  removeBtn.dataset.id = entry.id;
+  resourceManager.addEventListener(removeBtn, 'click', e => removeBlockedListing(e.target.dataset.id));
+  
+  item.appendChild(details);
+  item.appendChild(removeBtn);
+  
+  return item;
+}
+
+// Render hidden categories, formats and tags
+function renderAttributeRules(filters) {
+  attributeFilters = filters;
+  attributeRuleList.innerHTML = '';
+  
+  const count = ATTRIBUTE_KINDS.reduce((total, kind) => total + filters[kind].length, 0);
+  attributeRuleCount.textContent = count;
+  attributeRuleEmptyMessage.classList.toggle('show', count === 0);
+  
+  ATTRIBUTE_KINDS.forEach(kind => {
+    filters[kind].forEach((value, index) => {
+      attributeRuleList.appendChild(createAttributeRuleElement(kind, value, index));
+    });
+  });
+  
+  renderAttributeSuggestions();
+}
+
+// Create category, format or tag element (XSS safe)
+function createAttributeRuleElement(kind, value, index) {
+  const item = document.createElement('div');
+  item.className = 'username-item';
+  
+  const text = document.createElement('span');
+  text.className = 'username-text';
+  text.textContent = value;
+  
+  // Formats only hide cards that offer nothing else
+  const kindText = document.createElement('span');
+  kindText.className = 'rule-flags';
+  kindText.textContent = kind === 'formats' ? 'format, when it is the only one' : ATTRIBUTE_LABELS[kind].toLowerCase();
+  text.appendChild(kindText);
+  
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'remove-btn';
+  removeBtn.textContent = 'Remove';
+  removeBtn.type = 'button';
+  
+  removeBtn.dataset.kind = kind;
+  removeBtn.dataset.index = index;
+  resourceManager.addEventListener(removeBtn, 'click', handleRemoveAttributeRuleClick);
+  
+  item.appendChild(text);
+  item.appendChild(removeBtn);
+  
+  return item;
+}
+
+// Handle remove button click for categories, formats and tags
+function handleRemoveAttributeRuleClick(e) {
+  removeAttributeRule(e.target.dataset.kind, parseInt(e.target.dataset.index, 10));
+}
+
+// Offer values seen on recently browsed pages, newest first, leaving out ones already hidden
+function renderAttributeSuggestions() {
+  const kind = attributeKindSelect.value;
+  const hidden = new Set((attributeFilters[kind] || []).map(normalizeAttribute));
+  const values = Object.entries(seenAttributes[kind] || {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([value]) => value)
+    .filter(value => !hidden.has(normalizeAttribute(value)));
+  
+  attributeSuggestions.innerHTML = '';
+  values.forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    attributeSuggestions.appendChild(option);
+  });
+}
+
+// Load the cards filtered on the active tab
+async function loadPageItems() {
+  const response = await queryContentScript({ action: 'getFilteredItems' });
+  renderPageItems(response && Array.isArray(response.items) ? response.items : []);
+  renderLayoutWarning(response && typeof response.layoutWarning === 'string' ? response.layoutWarning : null);
+}
+
+// Explain why nothing is being filtered when the page markup can't be read
+function renderLayoutWarning(warning) {
+  if (!warning) {
+    layoutWarning.classList.remove('show');
+    return;
+  }
+  
+  layoutWarningText.textContent = `Fab's layout seems to have changed (${warning}). Filters may not apply.`;
+  layoutWarning.classList.add('show');
+}
+
+// Reveal a single filtered card on the active tab
+async function showPageItem(listing) {
+  const response = await queryContentScript({ action: 'showFilteredItem', listing });
+  if (response && Array.isArray(response.items)) {
+    renderPageItems(response.items);
+    showStatus('Item shown on this page', 'success');
+  } else {
+    showStatus('Could not reach the page - try reloading it', 'error');
+  }
+}
+
+// Render filtered page items (XSS safe)
+function renderPageItems(items) {
+  // Clear existing content
+  pageItemList.innerHTML = '';
+  
+  // Update count
+  pageItemCount.textContent = items.length;
+  
+  if (items.length === 0) {
+    pageItemEmptyMessage.classList.add('show');
+    return;
+  }
+  
+  pageItemEmptyMessage.classList.remove('show');
+  
+  items.forEach(pageItem => {
+    const item = document.createElement('div');
+    item.className = 'username-item';
+    
+    const text = document.createElement('div');
+    text.className = 'page-item-text';
+    
+    const title = document.createElement('div');
+    title.className = 'page-item-title';
+    title.textContent = pageItem.title || pageItem.listing || 'Untitled listing';
+    title.title = title.textContent;
+    
+    const detail = document.createElement('div');
+    detail.className = 'page-item-detail';
+    detail.textContent = `${pageItem.seller ? `by ${pageItem.seller} · ` : ''}${pageItem.label}`;
+    
+    text.appendChild(title);
+    text.appendChild(detail);
+    item.appendChild(text);
+    
+    // Cards without a listing link can't be targeted individually
+    if (pageItem.listing) {
+      const showBtn = document.createElement('button');
+      showBtn.className = 'show-btn';
+      showBtn.textContent = 'Show anyway';
+      showBtn.type = 'button';
+      showBtn.dataset.listing = pageItem.listing;
+      resourceManager.addEventListener(showBtn, 'click', handleShowPageItemClick);
+      item.appendChild(showBtn);
+    }
+    
+    pageItemList.appendChild(item);
+  });
+}
+
+// Handle show anyway button clicks
+function handleShowPageItemClick(e) {
+  showPageItem(e.target.dataset.listing);
 }
 
 // Show status message
@@ -424,7 +2235,7 @@ function showStatus(message, type) {
   }, 3000);
 }
 
-// Notify content script with validation
+// Notify the active tab straight away; other tabs follow via storage change events
 async function notifyContentScript(message) {
   try {
     // Validate message structure
@@ -442,6 +2253,9 @@ async function notifyContentScript(message) {
     if (tab && tab.url && tab.url.includes('fab.com')) {
       try {
         await chrome.tabs.sendMessage(tab.id, message);
+        
+        // The page re-filters synchronously, so the panel can be refreshed right away
+        await loadPageItems();
       } catch (error) {
         // Handle extension context invalidated error gracefully
         if (error.message?.includes('Extension context invalidated') || 
@@ -461,7 +2275,52 @@ async function notifyContentScript(message) {
   }
 }
 
+// Notify content scripts on every open fab.com tab
+async function notifyAllFabTabs(message) {
+  try {
+    if (!chrome.runtime?.id) {
+      return;
+    }
+    
+    const tabs = await chrome.tabs.query({ url: 'https://*.fab.com/*' });
+    await Promise.all(tabs.map(async tab => {
+      try {
+        await chrome.tabs.sendMessage(tab.id, message);
+      } catch (error) {
+        // Tabs opened before the extension loaded have no content script
+        console.debug('Could not notify tab', tab.id, error.message);
+      }
+    }));
+  } catch (error) {
+    console.error('Failed to notify fab.com tabs:', error);
+  }
+}
+
+// Send a query to the content script on the active tab and return its response
+async function queryContentScript(message) {
+  try {
+    if (!chrome.runtime?.id) {
+      return null;
+    }
+    
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !tab.url || !tab.url.includes('fab.com')) {
+      return null;
+    }
+    
+    return await chrome.tabs.sendMessage(tab.id, message);
+  } catch (error) {
+    // No content script on the page (e.g. it was open before the extension loaded)
+    if (!error.message?.includes('Extension context invalidated') &&
+        !error.message?.includes('Could not establish connection')) {
+      console.error('Failed to query content script:', error);
+    }
+    return null;
+  }
+}
+
 // Cleanup on unload
 window.addEventListener('unload', () => {
+  chrome.storage.onChanged.removeListener(handleStorageChanged);
   resourceManager.cleanup();
 });
\ No newline at end of file
@@ -0,0 +1,79 @@
+// Where the content script looks for things on fab.com pages.
+//
+// Fab's generated class names change without notice, so these can be overridden
+// from the advanced settings page. Bump the version whenever the defaults change:
+// overrides saved against an older version are ignored, since they were most
+// likely working around the very markup the new defaults now handle.
+
+const SELECTOR_DEFINITIONS = {
+  version: 2,
+  selectors: {
+    // Links to a seller profile; every product card has one
+    sellerLink: 'a[href^="/sellers/"]',
+    // Links to a product page (the card image and title)
+    listingLink: 'a[href^="/listings/"]',
+    // Product image inside a card
+    cardImage: 'img',
+    // Any element styled by Fab's component library
+    fabkitElement: '[class*="fabkit-"]',
+    // Surface wrapping a card on search results
+    cardSurface: '[class*="fabkit-Surface-root"]',
+    // Stack layout used inside cards
+    cardStack: 'div[class*="fabkit-Stack"]',
+    // Outer Stack of a card
+    cardStackRoot: '.fabkit-Stack-root',
+    // Seller name inside the seller link
+    username: '.fabkit-Typography-ellipsisWrapper',
+    // "Saved in My Library" label and its check icon
+    libraryBadge: '.fabkit-Typography--intent-success',
+    libraryIcon: '.edsicon-check-circle-filled',
+    // Text of the library label, matched as a substring
+    libraryText: 'Saved in My Library',
+    // Category badge on a card, e.g. "Material" or "Audio"
+    cardCategory: '[class*="fabkit-Badge-root"]',
+    // Engine and file format icons in the row under the title, next to the category badge;
+    // the format's name is in the icon's aria-label or title. Cart and wishlist icons sit elsewhere
+    cardFormat: '.fabkit-Stack--row > [class*="edsicon-"][aria-label], .fabkit-Stack--row > [class*="edsicon-"][title]',
+    // Tags shown on a card
+    cardTag: '[class*="fabkit-Tag-root"]',
+    // Filled cart and heart icons on cards already in the cart or on the wishlist
+    cartIndicator: '.edsicon-cart-filled',
+    wishlistIndicator: '.edsicon-heart-filled'
+  }
+};
+
+// Definitions that are plain text rather than CSS selectors
+const TEXT_SELECTOR_KEYS = ['libraryText'];
+
+// Whether the browser can parse a CSS selector
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Merge stored overrides into the defaults, skipping stale or broken ones
+function resolveSelectors(overrides) {
+  const selectors = { ...SELECTOR_DEFINITIONS.selectors };
+  
+  if (!overrides || typeof overrides !== 'object' || overrides.version !== SELECTOR_DEFINITIONS.version ||
+      !overrides.selectors || typeof overrides.selectors !== 'object') {
+    return selectors;
+  }
+  
+  for (const [key, value] of Object.entries(overrides.selectors)) {
+    if (!(key in selectors) || typeof value !== 'string' || !value.trim()) continue;
+    
+    if (!TEXT_SELECTOR_KEYS.includes(key) && !isValidSelector(value)) {
+      console.warn(`Ignoring invalid selector override for ${key}:`, value);
+      continue;
+    }
+    
+    selectors[key] = value.trim();
+  }
+  
+  return selectors;
+}
@@ -0,0 +1,298 @@
+// Storage layer shared by the popup, content script and background worker.
+//
+// chrome.storage.sync limits each item to 8 KB, so values that don't fit are
+// split into numbered shard keys behind a small marker object. If sync runs
+// out of space altogether, everything moves to chrome.storage.local and a
+// warning is recorded for the popup to show.
+
+// Keys used by the storage layer itself (always in chrome.storage.local)
+const STORAGE_META_KEYS = {
+  area: 'storageArea',
+  warning: 'storageWarning',
+  // Settings keys that belong in sync, so local-only data isn't pushed back on retry
+  syncedKeys: 'storageSyncedKeys'
+};
+
+// Bumped when the way values are laid out in storage changes
+const STORAGE_LAYOUT_KEY = 'storageLayoutVersion';
+const STORAGE_LAYOUT_VERSION = 2;
+
+// Stay under chrome.storage.sync.QUOTA_BYTES_PER_ITEM (8192) with some headroom
+const MAX_ITEM_BYTES = 7800;
+
+// Shard keys look like "filteredUsernames__0", "filteredUsernames__1", ...
+const SHARD_SEPARATOR = '__';
+
+// Property that marks an object as a shard index rather than a stored value
+const SHARD_MARKER_FLAG = '__fabFilterShards';
+
+class FilterStorage {
+  // Which area currently holds the data: 'sync' normally, 'local' after a quota fallback
+  static async getAreaName() {
+    const data = await chrome.storage.local.get(STORAGE_META_KEYS.area);
+    return data[STORAGE_META_KEYS.area] === 'local' ? 'local' : 'sync';
+  }
+  
+  static async getArea() {
+    return chrome.storage[await FilterStorage.getAreaName()];
+  }
+  
+  static async get(keys) {
+    const keyList = Array.isArray(keys) ? keys : [keys];
+    const area = await FilterStorage.getArea();
+    const stored = await area.get(keyList);
+    
+    // Collect shard keys for any values that were split up
+    const shardKeys = [];
+    for (const key of keyList) {
+      if (FilterStorage.isShardMarker(stored[key])) {
+        shardKeys.push(...FilterStorage.getShardKeys(key, stored[key].shards));
+      }
+    }
+    
+    const shards = shardKeys.length > 0 ? await area.get(shardKeys) : {};
+    const result = {};
+    
+    for (const key of keyList) {
+      if (!(key in stored)) continue;
+      
+      if (FilterStorage.isShardMarker(stored[key])) {
+        const json = FilterStorage.getShardKeys(key, stored[key].shards)
+          .map(shardKey => shards[shardKey] || '')
+          .join('');
+        
+        try {
+          result[key] = JSON.parse(json);
+        } catch (error) {
+          // A shard went missing (e.g. a half-synced write) - treat the value as unset
+          console.error(`Storage value for ${key} is corrupted:`, error);
+        }
+      } else {
+        result[key] = stored[key];
+      }
+    }
+    
+    return result;
+  }
+  
+  static async set(items) {
+    const areaName = await FilterStorage.getAreaName();
+    
+    try {
+      await FilterStorage.writeItems(chrome.storage[areaName], items, areaName === 'sync');
+      if (areaName === 'local') {
+        await FilterStorage.trackSyncedKeys(Object.keys(items));
+      }
+    } catch (error) {
+      if (areaName !== 'sync' || !FilterStorage.isQuotaError(error)) {
+        throw error;
+      }
+      
+      // Sync is full - keep working from local storage instead of losing the change
+      console.warn('Sync storage quota exceeded, falling back to local storage:', error);
+      await FilterStorage.moveToLocal(error.message);
+      await FilterStorage.writeItems(chrome.storage.local, items, false);
+      await FilterStorage.trackSyncedKeys(Object.keys(items));
+    }
+  }
+  
+  static async remove(keys) {
+    const keyList = Array.isArray(keys) ? keys : [keys];
+    const area = await FilterStorage.getArea();
+    const stored = await area.get(keyList);
+    
+    const toRemove = [...keyList];
+    for (const key of keyList) {
+      if (FilterStorage.isShardMarker(stored[key])) {
+        toRemove.push(...FilterStorage.getShardKeys(key, stored[key].shards));
+      }
+    }
+    
+    await area.remove(toRemove);
+  }
+  
+  static async writeItems(area, items, shard) {
+    const keys = Object.keys(items);
+    const previous = await area.get(keys);
+    
+    const toSet = {};
+    const toRemove = [];
+    
+    for (const key of keys) {
+      const oldShards = FilterStorage.isShardMarker(previous[key]) ? previous[key].shards : 0;
+      const chunks = shard ? FilterStorage.splitValue(key, items[key]) : null;
+      
+      if (chunks) {
+        toSet[key] = { shards: chunks.length, [SHARD_MARKER_FLAG]: true };
+        chunks.forEach((chunk, index) => {
+          toSet[`${key}${SHARD_SEPARATOR}${index}`] = chunk;
+        });
+      } else {
+        toSet[key] = items[key];
+      }
+      
+      // Drop shards left over from a previous, larger value
+      const newShards = chunks ? chunks.length : 0;
+      for (let index = newShards; index < oldShards; index++) {
+        toRemove.push(`${key}${SHARD_SEPARATOR}${index}`);
+      }
+    }
+    
+    // One set call, so the marker and its shards are written together
+    await area.set(toSet);
+    if (toRemove.length > 0) {
+      await area.remove(toRemove);
+    }
+  }
+  
+  // Returns JSON chunks for values too big for a single item, or null if it fits
+  static splitValue(key, value) {
+    if (FilterStorage.getItemBytes(key, value) <= MAX_ITEM_BYTES) {
+      return null;
+    }
+    
+    const json = JSON.stringify(value);
+    const shardKeyLength = key.length + SHARD_SEPARATOR.length + 4;
+    const chunks = [];
+    let start = 0;
+    
+    while (start < json.length) {
+      // Escaped quotes and multi-byte characters make the stored size vary, so shrink to fit
+      let end = Math.min(json.length, start + MAX_ITEM_BYTES);
+      while (end - start > 1 &&
+             FilterStorage.getByteLength(JSON.stringify(json.slice(start, end))) + shardKeyLength > MAX_ITEM_BYTES) {
+        end = start + Math.floor((end - start) * 0.9);
+      }
+      
+      chunks.push(json.slice(start, end));
+      start = end;
+    }
+    
+    return chunks;
+  }
+  
+  // Chrome counts an item as its key plus the JSON of its value
+  static getItemBytes(key, value) {
+    return key.length + FilterStorage.getByteLength(JSON.stringify(value));
+  }
+  
+  static getByteLength(text) {
+    return new TextEncoder().encode(text).length;
+  }
+  
+  static getShardKeys(key, count) {
+    return Array.from({ length: count }, (_, index) => `${key}${SHARD_SEPARATOR}${index}`);
+  }
+  
+  // keys plus the shard keys of those stored sharded in items
+  static withShardKeys(keys, items) {
+    return keys.flatMap(key => FilterStorage.isShardMarker(items[key])
+      ? [key, ...FilterStorage.getShardKeys(key, items[key].shards)]
+      : [key]);
+  }
+  
+  static isShardMarker(value) {
+    return Boolean(value) && typeof value === 'object' && value[SHARD_MARKER_FLAG] === true &&
+      Number.isInteger(value.shards);
+  }
+  
+  // Out of space, as opposed to MAX_WRITE_OPERATIONS_PER_MINUTE which just needs a retry
+  static isQuotaError(error) {
+    return /QUOTA_BYTES|MAX_ITEMS/.test(error?.message || '');
+  }
+  
+  static async moveToLocal(reason) {
+    // Copy everything across so nothing is split between the two areas
+    const everything = await chrome.storage.sync.get(null);
+    await chrome.storage.local.set({
+      ...everything,
+      [STORAGE_META_KEYS.syncedKeys]: Object.keys(everything),
+      [STORAGE_META_KEYS.area]: 'local',
+      [STORAGE_META_KEYS.warning]: {
+        message: reason || 'Sync storage quota exceeded',
+        at: Date.now()
+      }
+    });
+  }
+  
+  static async trackSyncedKeys(keys) {
+    const data = await chrome.storage.local.get(STORAGE_META_KEYS.syncedKeys);
+    const syncedKeys = new Set(data[STORAGE_META_KEYS.syncedKeys] || []);
+    keys.forEach(key => syncedKeys.add(key));
+    await chrome.storage.local.set({ [STORAGE_META_KEYS.syncedKeys]: [...syncedKeys] });
+  }
+  
+  // Try to move local data back to sync, e.g. after the user cleared some entries
+  static async retrySync() {
+    if (await FilterStorage.getAreaName() !== 'local') {
+      return true;
+    }
+    
+    const everything = await chrome.storage.local.get(null);
+    const syncedKeys = everything[STORAGE_META_KEYS.syncedKeys] || [];
+    
+    // Reassemble sharded values first; local shards are rewritten for sync's limits
+    const keys = syncedKeys.filter(key => key in everything && !FilterStorage.isShardKey(key, everything));
+    const values = await FilterStorage.get(keys);
+    
+    try {
+      // Replace only the keys this device was keeping, so settings other devices synced meanwhile
+      // survive; tracked keys removed while on local storage are dropped from sync too
+      const trackedKeys = syncedKeys.filter(key => !FilterStorage.isShardKey(key, everything));
+      const stale = await chrome.storage.sync.get(trackedKeys);
+      await chrome.storage.sync.remove(FilterStorage.withShardKeys(trackedKeys, stale));
+      await FilterStorage.writeItems(chrome.storage.sync, values, true);
+    } catch (error) {
+      console.warn('Sync storage still unavailable:', error);
+      return false;
+    }
+    
+    // Drop the local copies so stale values can't resurface after another fallback
+    await chrome.storage.local.remove([
+      ...FilterStorage.withShardKeys(keys, everything),
+      STORAGE_META_KEYS.area,
+      STORAGE_META_KEYS.warning,
+      STORAGE_META_KEYS.syncedKeys
+    ]);
+    return true;
+  }
+  
+  // The setting a key belongs to, e.g. "filteredUsernames" for "filteredUsernames__2"
+  static getBaseKey(key) {
+    return key.replace(new RegExp(`${SHARD_SEPARATOR}\\d+$`), '');
+  }
+  
+  static isShardKey(key, items) {
+    const index = key.lastIndexOf(SHARD_SEPARATOR);
+    return index > 0 && /^\d+$/.test(key.slice(index + SHARD_SEPARATOR.length)) &&
+      FilterStorage.isShardMarker(items[key.slice(0, index)]);
+  }
+  
+  // Warning recorded when sync storage was abandoned, or null
+  static async getWarning() {
+    const data = await chrome.storage.local.get(STORAGE_META_KEYS.warning);
+    return data[STORAGE_META_KEYS.warning] || null;
+  }
+  
+  // Rewrite values stored by the single-key layout so oversized ones get sharded
+  static async migrate() {
+    const area = await FilterStorage.getArea();
+    const everything = await area.get(null);
+    
+    if (everything[STORAGE_LAYOUT_KEY] >= STORAGE_LAYOUT_VERSION) {
+      return;
+    }
+    
+    const values = {};
+    for (const [key, value] of Object.entries(everything)) {
+      // Already-sharded values and the layer's own keys are left as they are
+      if (key === STORAGE_LAYOUT_KEY || FilterStorage.isShardKey(key, everything) ||
+          FilterStorage.isShardMarker(value) || Object.values(STORAGE_META_KEYS).includes(key)) {
+        continue;
+      }
+      values[key] = value;
+    }
+    
+    await FilterStorage.set({ ...values, [STORAGE_LAYOUT_KEY]: STORAGE_LAYOUT_VERSION });
+  }
+}
@@ -0,0 +1,434 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, flush, plain } = require('./helpers/load');
+
+const TAB = { id: 3, url: 'https://www.fab.com/' };
+
+const LIST_URL = 'https://lists.example.com/flippers.json';
+
+// Serves shared lists by URL; anything else fails the way an unreachable host does
+function serve(files) {
+  const requests = [];
+  const fetch = async (url) => {
+    requests.push(url);
+    if (!(url in files)) throw new TypeError('Failed to fetch');
+    
+    const { status = 200, body } = files[url];
+    return { ok: status >= 200 && status < 300, status, text: async () => body };
+  };
+  return { fetch, requests };
+}
+
+describe('background MessageValidator', () => {
+  it('accepts badge updates with an optional color and title', () => {
+    const { MessageValidator } = loadBackground().exports;
+    assert.equal(MessageValidator.validate({ action: 'updateBadge', text: '4' }), true);
+    assert.equal(MessageValidator.validate({ action: 'updateBadge', text: '', color: '#4CAF50', title: '' }), true);
+  });
+  
+  it('accepts shared list refreshes', () => {
+    const { MessageValidator } = loadBackground().exports;
+    assert.equal(MessageValidator.validate({ action: 'refreshSubscriptions' }), true);
+    assert.throws(() => MessageValidator.validate({ action: 'refreshSubscriptions', id: 1 }), /Invalid subscription id/);
+  });
+  
+  it('rejects anything else', () => {
+    const { MessageValidator } = loadBackground().exports;
+    assert.throws(() => MessageValidator.validate('updateBadge'), /Invalid message format/);
+    assert.throws(() => MessageValidator.validate({ action: 'updateFilters' }), /Invalid action/);
+    assert.throws(() => MessageValidator.validate({ action: 'updateBadge', text: 4 }), /Invalid badge text/);
+    assert.throws(() => MessageValidator.validate({ action: 'updateBadge', text: '', title: 1 }), /Invalid badge title/);
+  });
+});
+
+describe('badge', () => {
+  it('updates the badge of the tab that sent the count', async () => {
+    const { chrome } = loadBackground();
+    chrome.runtime.onMessage.dispatch(
+      { action: 'updateBadge', text: '2', color: '#f44336', title: '2 filtered: 2 seller' },
+      { tab: TAB }
+    );
+    await flush();
+    
+    assert.deepEqual(chrome.action.calls, [
+      { method: 'setBadgeText', text: '2', tabId: 3 },
+      { method: 'setTitle', title: '2 filtered: 2 seller', tabId: 3 },
+      { method: 'setBadgeBackgroundColor', color: '#f44336', tabId: 3 }
+    ]);
+  });
+  
+  it('ignores invalid messages and messages without a tab', async () => {
+    const { chrome, errors } = loadBackground();
+    chrome.runtime.onMessage.dispatch({ action: 'updateBadge', text: 2 }, { tab: TAB });
+    chrome.runtime.onMessage.dispatch({ action: 'updateBadge', text: '2' }, {});
+    await flush();
+    
+    assert.deepEqual(chrome.action.calls, []);
+    assert.equal(errors.length, 1);
+  });
+  
+  it('clears the badge when a tab leaves fab.com', async () => {
+    const { chrome, exports } = loadBackground();
+    chrome.runtime.onMessage.dispatch({ action: 'updateBadge', text: '2' }, { tab: TAB });
+    chrome.tabs.onUpdated.dispatch(3, { status: 'loading' }, { id: 3, url: 'https://example.com/' });
+    await flush();
+    
+    assert.deepEqual(chrome.action.calls.at(-1), { method: 'setBadgeText', text: '', tabId: 3 });
+    assert.equal(exports.tabBadgeStates.has(3), false);
+  });
+});
+
+describe('install', () => {
+  it('shards values saved before the storage layer existed', async () => {
+    const usernames = Array.from({ length: 800 }, (_, index) => `seller_${index}`);
+    const { chrome, exports } = loadBackground({ syncQuota: 0, sync: { filteredUsernames: usernames } });
+    
+    chrome.runtime.onInstalled.dispatch({ reason: 'update' });
+    await flush(10);
+    
+    assert.equal(exports.FilterStorage.isShardMarker(chrome.storage.sync.data.filteredUsernames), true);
+    assert.deepEqual(plain(await exports.FilterStorage.get('filteredUsernames')).filteredUsernames,
+      usernames.map(name => ({ name, match: 'exact' })));
+  });
+  
+  it('upgrades plain-string entries in the active lists and saved profiles', async () => {
+    const { chrome } = loadBackground({
+      sync: {
+        filteredUsernames: ['StudioX', { name: 'poly*', match: 'wildcard', addedAt: 1000 }],
+        allowedSellers: [{ name: 'Quixel', match: 'exact' }],
+        filterProfiles: [{ id: 'default', name: 'Default' }, { id: 'work', name: 'Work' }],
+        filterProfile_work: { allowedSellers: ['Megascans'], displayMode: 'dim' }
+      }
+    });
+    
+    chrome.runtime.onInstalled.dispatch({ reason: 'update' });
+    await flush(10);
+    
+    const data = chrome.storage.sync.data;
+    assert.deepEqual(data.filteredUsernames, [
+      { name: 'StudioX', match: 'exact' },
+      { name: 'poly*', match: 'wildcard', addedAt: 1000 }
+    ]);
+    assert.deepEqual(data.allowedSellers, [{ name: 'Quixel', match: 'exact' }]);
+    assert.deepEqual(data.filterProfile_work, {
+      allowedSellers: [{ name: 'Megascans', match: 'exact' }],
+      displayMode: 'dim'
+    });
+  });
+});
+
+describe('temporary entries', () => {
+  it('removes entries that ran out and schedules the next expiry', async () => {
+    const now = Date.now();
+    const { chrome } = loadBackground({
+      sync: {
+        filteredUsernames: [
+          { name: 'StudioX', match: 'exact', expiresAt: now - 1000 },
+          { name: 'Quixel', match: 'exact', expiresAt: now + 60000 },
+          { name: 'castle', match: 'prefix' }
+        ],
+        filterProfiles: [{ id: 'default', name: 'Default' }, { id: 'sale', name: 'Sale' }],
+        filterProfile_sale: { filteredUsernames: [{ name: 'PolyFarm2', match: 'exact', expiresAt: now - 1 }] }
+      }
+    });
+    
+    chrome.alarms.onAlarm.dispatch({ name: 'expireSellerEntries' });
+    await flush(10);
+    
+    assert.deepEqual(chrome.storage.sync.data.filteredUsernames, [
+      { name: 'Quixel', match: 'exact', expiresAt: now + 60000 },
+      { name: 'castle', match: 'prefix' }
+    ]);
+    assert.deepEqual(chrome.storage.sync.data.filterProfile_sale, { filteredUsernames: [] });
+    assert.equal((await chrome.alarms.get('expireSellerEntries')).scheduledTime, now + 60000);
+  });
+  
+  it('schedules an expiry when a temporary entry is added', async () => {
+    const { chrome } = loadBackground();
+    const expiresAt = Date.now() + 86400000;
+    await chrome.storage.sync.set({ filteredUsernames: [{ name: 'StudioX', match: 'exact', expiresAt }] });
+    await flush(10);
+    
+    assert.equal((await chrome.alarms.get('expireSellerEntries')).scheduledTime, expiresAt);
+  });
+  
+  it('only brings the alarm forward when a list changes, leaving removal to the alarm', async () => {
+    const now = Date.now();
+    const { chrome } = loadBackground({
+      sync: {
+        filterProfiles: [{ id: 'default', name: 'Default' }, { id: 'sale', name: 'Sale' }]
+      }
+    });
+    await chrome.alarms.create('expireSellerEntries', { when: now + 60000 });
+    
+    const expired = { name: 'StudioX', match: 'exact', expiresAt: now - 1000 };
+    await chrome.storage.sync.set({ filterProfile_sale: { allowedSellers: [{ name: 'Quixel', match: 'exact', expiresAt: now + 90000 }] } });
+    await flush(10);
+    assert.equal((await chrome.alarms.get('expireSellerEntries')).scheduledTime, now + 60000);
+    
+    await chrome.storage.sync.set({ filteredUsernames: [expired] });
+    await flush(10);
+    assert.deepEqual(chrome.storage.sync.data.filteredUsernames, [expired]);
+    assert.equal((await chrome.alarms.get('expireSellerEntries')).scheduledTime, now - 1000);
+  });
+  
+  it('clears the expiry alarm when no temporary entries are left', async () => {
+    const { chrome } = loadBackground({ sync: { filteredUsernames: [{ name: 'StudioX', match: 'exact' }] } });
+    await chrome.alarms.create('expireSellerEntries', { when: Date.now() + 1000 });
+    chrome.alarms.onAlarm.dispatch({ name: 'expireSellerEntries' });
+    await flush(10);
+    
+    assert.equal(await chrome.alarms.get('expireSellerEntries'), undefined);
+  });
+});
+
+describe('pausing', () => {
+  it('ends the pause when its alarm goes off', async () => {
+    const { chrome } = loadBackground();
+    const pausedUntil = Date.now() + 900000;
+    await chrome.storage.local.set({ pausedUntil });
+    await flush();
+    assert.equal((await chrome.alarms.get('resumeFiltering')).scheduledTime, pausedUntil);
+    
+    chrome.alarms.onAlarm.dispatch({ name: 'resumeFiltering' });
+    await flush(10);
+    assert.equal('pausedUntil' in chrome.storage.local.data, false);
+    assert.equal(await chrome.alarms.get('resumeFiltering'), undefined);
+  });
+});
+
+describe('shared lists', () => {
+  const subscription = { id: 'list_a', url: LIST_URL, addedAt: 1000 };
+  
+  it('fetches a list as soon as it is subscribed to', async () => {
+    const { fetch, requests } = serve({
+      [LIST_URL]: { body: JSON.stringify({ name: 'Asset flippers', usernames: ['StudioX', { name: 'Poly*', match: 'wildcard' }, '<bad>'] }) }
+    });
+    const { chrome } = loadBackground({ fetch });
+    
+    await chrome.storage.sync.set({ listSubscriptions: [subscription] });
+    await flush(10);
+    
+    const result = chrome.storage.local.data.subscriptionData.list_a;
+    assert.deepEqual(requests, [LIST_URL]);
+    assert.equal(result.name, 'Asset flippers');
+    assert.deepEqual(result.entries, [{ name: 'StudioX', match: 'exact' }, { name: 'Poly*', match: 'wildcard' }]);
+    assert.equal(result.error, null);
+    assert.equal(typeof result.updatedAt, 'number');
+  });
+  
+  it('accepts a plain array of sellers', async () => {
+    const { fetch } = serve({ [LIST_URL]: { body: '["StudioX", "Quixel"]' } });
+    const { chrome } = loadBackground({ fetch, sync: { listSubscriptions: [subscription] } });
+    
+    chrome.alarms.onAlarm.dispatch({ name: 'refreshSubscriptions' });
+    await flush(10);
+    
+    const result = chrome.storage.local.data.subscriptionData.list_a;
+    assert.equal(result.name, null);
+    assert.equal(result.entries.length, 2);
+  });
+  
+  it('keeps the last good entries when a fetch fails', async () => {
+    const previous = { name: 'Asset flippers', entries: [{ name: 'StudioX', match: 'exact' }], updatedAt: 1000, error: null };
+    const { fetch } = serve({ [LIST_URL]: { status: 404, body: '' } });
+    const { chrome } = loadBackground({
+      fetch,
+      sync: { listSubscriptions: [subscription] },
+      local: { subscriptionData: { list_a: previous } }
+    });
+    
+    chrome.runtime.onMessage.dispatch({ action: 'refreshSubscriptions' }, {});
+    await flush(10);
+    
+    const result = chrome.storage.local.data.subscriptionData.list_a;
+    assert.deepEqual(result.entries, previous.entries);
+    assert.equal(result.updatedAt, 1000);
+    assert.equal(result.error, 'Server responded with 404');
+  });
+  
+  it('reports lists that are not seller lists', async () => {
+    const { fetch } = serve({ [LIST_URL]: { body: '<html>Not found</html>' } });
+    const { chrome } = loadBackground({ fetch, sync: { listSubscriptions: [subscription] } });
+    
+    chrome.alarms.onAlarm.dispatch({ name: 'refreshSubscriptions' });
+    await flush(10);
+    
+    assert.equal(chrome.storage.local.data.subscriptionData.list_a.error, 'List is not valid JSON');
+  });
+  
+  it('ignores refresh requests from web pages', async () => {
+    const { fetch, requests } = serve({ [LIST_URL]: { body: '[]' } });
+    const { chrome } = loadBackground({ fetch, sync: { listSubscriptions: [subscription] } });
+    
+    chrome.runtime.onMessage.dispatch({ action: 'refreshSubscriptions' }, { tab: TAB });
+    await flush(10);
+    
+    assert.deepEqual(requests, []);
+  });
+  
+  it('leaves lists loaded from a file alone and drops removed ones', async () => {
+    const fileList = { id: 'list_b', file: 'mine.json', addedAt: 1000 };
+    const fileData = { name: null, entries: [{ name: 'Quixel', match: 'exact' }], updatedAt: 1000, error: null };
+    const { fetch, requests } = serve({});
+    const { chrome } = loadBackground({
+      fetch,
+      sync: { listSubscriptions: [subscription, fileList] },
+      local: { subscriptionData: { list_a: { name: null, entries: [], updatedAt: 1000, error: null }, list_b: fileData } }
+    });
+    
+    await chrome.storage.sync.set({ listSubscriptions: [fileList] });
+    await flush(10);
+    
+    assert.deepEqual(requests, []);
+    assert.deepEqual(chrome.storage.local.data.subscriptionData, { list_b: fileData });
+  });
+  
+  it('schedules regular refreshes', async () => {
+    const { chrome } = loadBackground();
+    chrome.runtime.onStartup.dispatch();
+    await flush();
+    
+    assert.equal((await chrome.alarms.get('refreshSubscriptions')).periodInMinutes, 360);
+  });
+});
+
+describe('context menu', () => {
+  const tabs = [TAB, { id: 4, url: 'https://www.fab.com/sellers/StudioX' }, { id: 5, url: 'https://example.com/' }];
+  const click = (menuItemId, linkUrl) => ({ menuItemId, linkUrl, pageUrl: TAB.url });
+  
+  it('adds entries for seller and listing links on install', async () => {
+    const { chrome } = loadBackground();
+    chrome.runtime.onInstalled.dispatch({ reason: 'update' });
+    chrome.runtime.onInstalled.dispatch({ reason: 'update' });
+    await flush(10);
+    
+    const pages = ['https://www.fab.com/*', 'https://fab.com/*'];
+    assert.deepEqual(plain(Array.from(chrome.contextMenus.items.values())), [
+      { id: 'blockSeller', title: 'Block seller', targetUrlPatterns: ['https://*.fab.com/sellers/*'], contexts: ['link'], documentUrlPatterns: pages },
+      { id: 'unblockSeller', title: 'Unblock seller', targetUrlPatterns: ['https://*.fab.com/sellers/*'], contexts: ['link'], documentUrlPatterns: pages },
+      { id: 'blockListing', title: 'Block this listing', targetUrlPatterns: ['https://*.fab.com/listings/*'], contexts: ['link'], documentUrlPatterns: pages }
+    ]);
+  });
+  
+  it('blocks the seller of a link and re-filters open fab.com tabs', async () => {
+    const { chrome } = loadBackground({ tabs, sync: { filteredUsernames: [{ name: 'Quixel', match: 'exact' }] } });
+    chrome.tabs.messageHandler = async () => {};
+    
+    chrome.contextMenus.onClicked.dispatch(click('blockSeller', 'https://www.fab.com/sellers/StudioX?tab=listings'), TAB);
+    await flush(10);
+    chrome.contextMenus.onClicked.dispatch(click('blockSeller', 'https://www.fab.com/sellers/studiox'), TAB);
+    await flush(10);
+    
+    const usernames = chrome.storage.sync.data.filteredUsernames;
+    assert.equal(usernames.length, 2);
+    assert.deepEqual({ ...usernames[1], addedAt: 0 }, { name: 'StudioX', slug: 'StudioX', match: 'exact', addedAt: 0 });
+    assert.deepEqual(chrome.tabs.sentMessages.map(({ tabId }) => tabId), [3, 4]);
+    assert.deepEqual(chrome.tabs.sentMessages[0].message, { action: 'updateFilters', usernames });
+  });
+  
+  it('names the seller after the link text, falling back to the slug', async () => {
+    const { chrome } = loadBackground({ tabs });
+    
+    chrome.contextMenus.onClicked.dispatch({ ...click('blockSeller', 'https://www.fab.com/sellers/studio-x'), linkText: '  Studio\n X ' }, TAB);
+    await flush(10);
+    chrome.contextMenus.onClicked.dispatch({ ...click('blockSeller', 'https://www.fab.com/sellers/quixel'), selectionText: 'Quixel Megascans' }, TAB);
+    await flush(10);
+    chrome.contextMenus.onClicked.dispatch({ ...click('blockSeller', 'https://www.fab.com/sellers/castle'), linkText: ' ' }, TAB);
+    await flush(10);
+    
+    assert.deepEqual(chrome.storage.sync.data.filteredUsernames.map(({ name, slug }) => ({ name, slug })), [
+      { name: 'Studio X', slug: 'studio-x' },
+      { name: 'Quixel Megascans', slug: 'quixel' },
+      { name: 'castle', slug: 'castle' }
+    ]);
+  });
+  
+  it('unblocks only the entry for that seller', async () => {
+    const { chrome, errors } = loadBackground({
+      tabs,
+      sync: {
+        filteredUsernames: [
+          { name: 'Studio X', slug: 'studiox', match: 'exact' },
+          { name: 'Studio*', match: 'wildcard' }
+        ]
+      }
+    });
+    
+    chrome.contextMenus.onClicked.dispatch(click('unblockSeller', 'https://www.fab.com/sellers/StudioX'), TAB);
+    await flush(10);
+    
+    assert.deepEqual(chrome.storage.sync.data.filteredUsernames, [{ name: 'Studio*', match: 'wildcard' }]);
+    assert.equal(chrome.tabs.sentMessages.length, 2);
+    assert.deepEqual(errors, []);
+  });
+  
+  it('counts a seller blocked by name as already blocked', async () => {
+    const { chrome } = loadBackground({
+      tabs,
+      sync: { filteredUsernames: ['studiox', { name: 'Quixel', match: 'exact', addedAt: 1000 }] }
+    });
+    
+    chrome.contextMenus.onClicked.dispatch(click('blockSeller', 'https://www.fab.com/sellers/StudioX'), TAB);
+    chrome.contextMenus.onClicked.dispatch(click('blockSeller', 'https://www.fab.com/sellers/quixel'), TAB);
+    await flush(10);
+    
+    assert.deepEqual(chrome.storage.sync.data.filteredUsernames, ['studiox', { name: 'Quixel', match: 'exact', addedAt: 1000 }]);
+    assert.deepEqual(chrome.tabs.sentMessages, []);
+  });
+  
+  it('unblocks a seller blocked by name before their slug was recorded', async () => {
+    const { chrome } = loadBackground({
+      tabs,
+      sync: { filteredUsernames: [{ name: 'StudioX', match: 'exact' }, 'Quixel', { name: 'studio', match: 'prefix' }] }
+    });
+    
+    chrome.contextMenus.onClicked.dispatch(click('unblockSeller', 'https://www.fab.com/sellers/studiox'), TAB);
+    await flush(10);
+    
+    assert.deepEqual(chrome.storage.sync.data.filteredUsernames, ['Quixel', { name: 'studio', match: 'prefix' }]);
+  });
+  
+  it('hides the listing a link points to', async () => {
+    const { chrome } = loadBackground({ tabs });
+    chrome.tabs.messageHandler = async () => {};
+    
+    chrome.contextMenus.onClicked.dispatch(click('blockListing', 'https://www.fab.com/listings/a1b2c3/reviews'), TAB);
+    await flush(10);
+    
+    const blockedListings = chrome.storage.sync.data.blockedListings;
+    assert.deepEqual(blockedListings.map(entry => entry.id), ['a1b2c3']);
+    assert.equal(typeof blockedListings[0].addedAt, 'number');
+    assert.deepEqual(chrome.tabs.sentMessages[0].message, { action: 'updateBlockedListings', blockedListings });
+  });
+  
+  it('ignores links that are not fab.com sellers or listings', async () => {
+    const { chrome } = loadBackground({ tabs });
+    
+    chrome.contextMenus.onClicked.dispatch(click('blockSeller', 'https://fab.com.example.com/sellers/StudioX'), TAB);
+    chrome.contextMenus.onClicked.dispatch(click('blockSeller', 'https://www.fab.com/listings/a1b2c3'), TAB);
+    chrome.contextMenus.onClicked.dispatch(click('blockListing', 'https://www.fab.com/listings/%3Cscript%3E'), TAB);
+    await flush(10);
+    
+    assert.deepEqual(chrome.storage.sync.data, {});
+    assert.deepEqual(chrome.tabs.sentMessages, []);
+  });
+});
+
+describe('keyboard commands', () => {
+  it('passes commands on to the fab.com tab they were pressed in', async () => {
+    const { chrome } = loadBackground({ tabs: [{ ...TAB, active: true }] });
+    chrome.tabs.messageHandler = async () => {};
+    
+    chrome.commands.onCommand.dispatch('toggle-filtering', TAB);
+    chrome.commands.onCommand.dispatch('cycle-display-mode');
+    chrome.commands.onCommand.dispatch('block-hovered-seller', { id: 5, url: 'https://example.com/' });
+    chrome.commands.onCommand.dispatch('unknown-command', TAB);
+    await flush(10);
+    
+    assert.deepEqual(chrome.tabs.sentMessages, [
+      { tabId: 3, message: { action: 'toggleFiltering' } },
+      { tabId: 3, message: { action: 'cycleDisplayMode' } }
+    ]);
+  });
+});
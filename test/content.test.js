@@ -0,0 +1,661 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript, flush } = require('./helpers/load');
+
+// Seller name shown on each processed card, mapped to its data-filtered state
+function filteredState(document) {
+  const state = {};
+  document.querySelectorAll('[data-filtered-processed="true"]').forEach(card => {
+    const seller = card.querySelector('a[href^="/sellers/"]').textContent.trim();
+    state[seller] = card.getAttribute('data-filtered') === 'true';
+  });
+  return state;
+}
+
+async function loadPage(fixture, sync = {}, local = {}) {
+  const page = loadContentScript(fixture, { sync, local });
+  await flush(10);
+  return page;
+}
+
+describe('card detection', () => {
+  it('finds every listing card on the explore grid', async () => {
+    const { document } = await loadPage('grid.html');
+    assert.deepEqual(Object.keys(filteredState(document)), ['StudioX', 'PolyFarm2', 'Castle Works', 'Quixel']);
+  });
+  
+  it('finds Surface-wrapped cards on search results', async () => {
+    const { document } = await loadPage('search.html');
+    assert.deepEqual(Object.keys(filteredState(document)), ['StudioX', 'TreeMaker']);
+  });
+  
+  it('ignores the seller header on a seller page', async () => {
+    const { document } = await loadPage('seller.html');
+    assert.equal(document.querySelectorAll('[data-filtered-processed="true"]').length, 2);
+    assert.equal(document.querySelector('h1').closest('[data-filtered-processed]'), null);
+  });
+  
+  it('ignores the listing itself on a listing page', async () => {
+    const { document } = await loadPage('listing.html', { filteredUsernames: ['StudioX'] });
+    const cards = document.querySelectorAll('[data-filtered-processed="true"]');
+    assert.equal(cards.length, 1);
+    assert.equal(cards[0].querySelector('a[href^="/listings/"]').getAttribute('href'), '/listings/6a7b8c9d-cliffs');
+    assert.equal(document.querySelector('h1').closest('[data-filtered]'), null);
+  });
+  
+  it('filters cards added after the page loaded', async () => {
+    const { document } = await loadPage('seller.html', { filteredUsernames: ['StudioX'] });
+    const grid = document.querySelector('.fabkit-ResultGrid-root');
+    const card = grid.querySelector('li').cloneNode(true);
+    card.querySelector('div').removeAttribute('data-filtered-processed');
+    card.querySelector('div').removeAttribute('data-filtered');
+    card.querySelectorAll('.fab-filter-card-actions').forEach(element => element.remove());
+    grid.appendChild(card);
+    
+    await flush(150);
+    assert.equal(card.querySelector('div').getAttribute('data-filtered'), 'true');
+  });
+});
+
+describe('FabFilter rules', () => {
+  it('hides blocked sellers by exact name', async () => {
+    const { document } = await loadPage('grid.html', { filteredUsernames: ['StudioX'] });
+    assert.deepEqual(filteredState(document), {
+      StudioX: true, PolyFarm2: false, 'Castle Works': false, Quixel: false
+    });
+  });
+  
+  it('supports ignore case, prefix and wildcard entries', async () => {
+    const { document } = await loadPage('grid.html', {
+      filteredUsernames: [
+        { name: 'studiox', match: 'ignoreCase' },
+        { name: 'castle', match: 'prefix' },
+        { name: 'poly*', match: 'wildcard' }
+      ]
+    });
+    assert.deepEqual(filteredState(document), {
+      StudioX: true, PolyFarm2: true, 'Castle Works': true, Quixel: false
+    });
+  });
+  
+  it('matches slug entries by profile URL after a rename', async () => {
+    const { document } = await loadPage('search.html', {
+      filteredUsernames: [{ name: 'Old Studio Name', slug: 'studiox', match: 'exact' }]
+    });
+    assert.equal(filteredState(document).StudioX, true);
+  });
+  
+  it('records the profile slug of name-only entries', async () => {
+    const { chrome } = await loadPage('grid.html', { filteredUsernames: ['StudioX'] });
+    await flush(1100);
+    assert.deepEqual(chrome.storage.sync.data.filteredUsernames, [
+      { name: 'StudioX', slug: 'StudioX', match: 'exact' }
+    ]);
+  });
+  
+  it('keeps the date added and note when recording the slug', async () => {
+    const { chrome } = await loadPage('grid.html', {
+      filteredUsernames: [{ name: 'StudioX', match: 'exact', addedAt: 1000, note: 'Asset flips' }]
+    });
+    await flush(1100);
+    assert.deepEqual(chrome.storage.sync.data.filteredUsernames, [
+      { name: 'StudioX', slug: 'StudioX', match: 'exact', addedAt: 1000, note: 'Asset flips' }
+    ]);
+  });
+  
+  it('counts each card an entry filters once', async () => {
+    const { chrome } = await loadPage('grid.html', {
+      filteredUsernames: ['StudioX', { name: 'castle', match: 'prefix' }]
+    });
+    // Any settings change refilters the whole page
+    await chrome.storage.sync.set({ displayMode: 'dim' });
+    await flush(2100);
+    
+    const stats = chrome.storage.local.data.sellerStats.filteredUsernames;
+    assert.deepEqual(Object.keys(stats).sort(), ['prefix:castle', 'slug:studiox']);
+    assert.equal(stats['slug:studiox'].hits, 1);
+    assert.equal(typeof stats['prefix:castle'].lastMatched, 'number');
+  });
+  
+  it('shows only allowed sellers in allowlist mode', async () => {
+    const { document } = await loadPage('grid.html', {
+      filterMode: 'allowlist',
+      allowedSellers: ['Quixel', { name: 'castle*', match: 'wildcard' }]
+    });
+    assert.deepEqual(filteredState(document), {
+      StudioX: true, PolyFarm2: true, 'Castle Works': false, Quixel: false
+    });
+  });
+  
+  it('hides library items when enabled', async () => {
+    const { document } = await loadPage('grid.html', { hideLibraryItems: true });
+    assert.equal(filteredState(document).Quixel, true);
+    assert.equal(document.querySelector('[data-filter-reason="library"]') !== null, true);
+  });
+  
+  it('hides listings whose title matches a keyword', async () => {
+    const { document } = await loadPage('grid.html', {
+      titleRules: [{ pattern: 'ai generated', isRegex: false, caseInsensitive: true, wholeWord: true }]
+    });
+    assert.deepEqual(filteredState(document), {
+      StudioX: false, PolyFarm2: true, 'Castle Works': false, Quixel: false
+    });
+  });
+  
+  it('uses the discounted price rather than the struck-through one', async () => {
+    const { document } = await loadPage('grid.html', { priceFilter: { mode: 'all', min: null, max: 10 } });
+    assert.deepEqual(filteredState(document), {
+      StudioX: true, PolyFarm2: false, 'Castle Works': false, Quixel: false
+    });
+  });
+  
+  it('does not mistake "Free" in a title for the price', async () => {
+    const { document } = await loadPage('search.html', { priceFilter: { mode: 'free', min: null, max: null } });
+    assert.equal(filteredState(document).TreeMaker, true);
+  });
+  
+  it('reads comma decimal prices', async () => {
+    const { document } = await loadPage('search.html', { priceFilter: { mode: 'all', min: 12.6, max: null } });
+    assert.equal(filteredState(document).StudioX, true);
+  });
+  
+  it('applies the display mode to the page', async () => {
+    const { document } = await loadPage('grid.html', { displayMode: 'collapse', filteredUsernames: ['StudioX'] });
+    assert.equal(document.documentElement.getAttribute('data-fab-filter-mode'), 'collapse');
+    assert.equal(document.querySelector('[data-filtered="true"] .fab-filter-reason').textContent.includes('StudioX'), true);
+  });
+});
+
+describe('FabFilter messages', () => {
+  it('refilters when the popup sends new usernames', async () => {
+    const page = await loadPage('grid.html');
+    await page.sendMessage({ action: 'updateFilters', usernames: ['Quixel'] });
+    assert.equal(filteredState(page.document).Quixel, true);
+  });
+  
+  it('lists filtered items with their reason', async () => {
+    const page = await loadPage('grid.html', { filteredUsernames: ['StudioX'] });
+    const response = await page.sendMessage({ action: 'getFilteredItems' });
+    assert.deepEqual(response.items, [{
+      listing: '/listings/0a1b2c3d-rock-pack',
+      title: 'Stylized Rock Pack',
+      seller: 'StudioX',
+      reason: 'username',
+      label: 'seller StudioX'
+    }]);
+  });
+  
+  it('shows a single filtered item on request', async () => {
+    const page = await loadPage('grid.html', { filteredUsernames: ['StudioX'] });
+    const response = await page.sendMessage({ action: 'showFilteredItem', listing: '/listings/0a1b2c3d-rock-pack' });
+    assert.deepEqual(response.items, []);
+    assert.equal(filteredState(page.document).StudioX, false);
+  });
+  
+  it('ignores invalid messages', async () => {
+    const page = await loadPage('grid.html', { filteredUsernames: ['StudioX'] });
+    await page.sendMessage({ action: 'updateFilters', usernames: 'StudioX' });
+    await page.sendMessage({ action: 'deleteEverything' });
+    assert.equal(filteredState(page.document).StudioX, true);
+    assert.equal(page.errors.length, 2);
+  });
+  
+  it('refilters when storage changes in another tab', async () => {
+    const page = await loadPage('grid.html');
+    await page.chrome.storage.sync.set({ filteredUsernames: ['Castle Works'] });
+    await flush(150);
+    assert.equal(filteredState(page.document)['Castle Works'], true);
+  });
+});
+
+describe('temporary entries and pausing', () => {
+  it('ignores entries that have run out', async () => {
+    const { document } = await loadPage('grid.html', {
+      filteredUsernames: [
+        { name: 'StudioX', match: 'exact', expiresAt: Date.now() - 1000 },
+        { name: 'Quixel', match: 'exact', expiresAt: Date.now() + 60000 }
+      ]
+    });
+    assert.equal(filteredState(document).StudioX, false);
+    assert.equal(filteredState(document).Quixel, true);
+  });
+  
+  it('shows everything while filtering is paused', async () => {
+    const pausedUntil = Date.now() + 60000;
+    const { document, window, chrome } = await loadPage('grid.html', { filteredUsernames: ['StudioX'] }, { pausedUntil });
+    
+    assert.equal(filteredState(document).StudioX, false);
+    assert.equal(chrome.runtime.sentMessages.at(-1).text, 'off');
+    assert.match(chrome.runtime.sentMessages.at(-1).title, /^Filtering paused until /);
+    
+    // Drop the pending end-of-pause timer
+    window.close();
+  });
+  
+  it('filters again once the pause is cleared', async () => {
+    const { document, chrome } = await loadPage('grid.html', { filteredUsernames: ['StudioX'] },
+      { pausedUntil: Date.now() + 60000 });
+    await chrome.storage.local.remove('pausedUntil');
+    await flush(10);
+    
+    assert.equal(filteredState(document).StudioX, true);
+    assert.equal(chrome.runtime.sentMessages.at(-1).text, '');
+  });
+  
+  it('pauses open pages as soon as the popup asks', async () => {
+    const { document, window, chrome } = await loadPage('grid.html', { filteredUsernames: ['StudioX'] });
+    await chrome.storage.local.set({ pausedUntil: Date.now() + 60000 });
+    await flush(10);
+    
+    assert.equal(filteredState(document).StudioX, false);
+    window.close();
+  });
+});
+
+describe('shared lists', () => {
+  const subscriptionData = {
+    list_a: { name: 'Asset flippers', entries: [{ name: 'PolyFarm', match: 'prefix' }], updatedAt: 1000, error: null }
+  };
+  
+  it('hides sellers on subscribed lists alongside personal entries', async () => {
+    const { document } = await loadPage('grid.html', { filteredUsernames: ['StudioX'] }, { subscriptionData });
+    assert.deepEqual(filteredState(document), { StudioX: true, PolyFarm2: true, 'Castle Works': false, Quixel: false });
+    
+    const card = document.querySelector('[data-filter-reason="subscription"]');
+    assert.equal(card.querySelector('.fab-filter-reason').textContent, 'seller PolyFarm2 (shared list "Asset flippers")');
+  });
+  
+  it('never writes shared entries back to the personal list', async () => {
+    // A personal name-only entry would have its slug recorded by now
+    const { document, chrome } = await loadPage('grid.html', {}, {
+      subscriptionData: { list_a: { name: null, entries: ['StudioX'], updatedAt: 1000, error: null } }
+    });
+    await flush(1100);
+    
+    assert.equal(filteredState(document).StudioX, true);
+    assert.equal('filteredUsernames' in chrome.storage.sync.data, false);
+  });
+  
+  it('refilters when the background worker fetches a list', async () => {
+    const { document, chrome } = await loadPage('grid.html');
+    await chrome.storage.local.set({ subscriptionData });
+    await flush(10);
+    
+    assert.equal(filteredState(document).PolyFarm2, true);
+  });
+});
+
+describe('categories, formats and tags', () => {
+  const attributeFilters = (filters) => ({ attributeFilters: { categories: [], formats: [], tags: [], ...filters } });
+  
+  it('hides listings in a hidden category or with a hidden tag', async () => {
+    const { document } = await loadPage('grid.html', attributeFilters({ categories: ['material'] }));
+    assert.deepEqual(filteredState(document), { StudioX: false, PolyFarm2: false, 'Castle Works': false, Quixel: true });
+    assert.equal(document.querySelector('[data-filter-reason="category"] .fab-filter-reason').textContent, 'category "Material"');
+    
+    const tagged = await loadPage('grid.html', attributeFilters({ tags: ['STYLIZED'] }));
+    assert.equal(filteredState(tagged.document).Quixel, true);
+  });
+  
+  it('hides listings only when every format they support is hidden', async () => {
+    const { document } = await loadPage('grid.html', attributeFilters({ formats: ['Unity'] }));
+    assert.deepEqual(filteredState(document), { StudioX: false, PolyFarm2: true, 'Castle Works': false, Quixel: false });
+    assert.equal(document.querySelector('[data-filter-reason="format"] .fab-filter-reason').textContent, 'Unity only');
+  });
+  
+  it('puts every card on a category page in that category', async () => {
+    const { document } = loadContentScript('grid.html', {
+      url: 'https://www.fab.com/category/3d-model',
+      sync: attributeFilters({ categories: ['3D Model'] })
+    });
+    await flush(10);
+    
+    assert.deepEqual(filteredState(document), { StudioX: true, PolyFarm2: true, 'Castle Works': true, Quixel: true });
+  });
+  
+  it('remembers the values it has seen for suggestions', async () => {
+    const { chrome } = await loadPage('grid.html');
+    await flush(2100);
+    
+    const seen = chrome.storage.local.data.seenListingAttributes;
+    assert.deepEqual(Object.keys(seen.categories).sort(), ['3D Model', 'Material']);
+    assert.deepEqual(Object.keys(seen.formats).sort(), ['Unity', 'Unreal Engine']);
+    assert.deepEqual(Object.keys(seen.tags), ['Stylized']);
+  });
+  
+  it('refilters when the filters change', async () => {
+    const page = await loadPage('grid.html');
+    await page.sendMessage({ action: 'updateAttributeFilters', attributeFilters: { categories: [], formats: ['unity'], tags: [] } });
+    await flush(10);
+    
+    assert.equal(filteredState(page.document).PolyFarm2, true);
+  });
+});
+
+describe('viewed, cart and wishlist listings', () => {
+  const statusFilters = filters => ({ listingStatusFilters: { viewed: 'show', cart: 'show', wishlist: 'show', ...filters } });
+  
+  it('hides listings in the cart or on the wishlist', async () => {
+    const { document } = await loadPage('grid.html', statusFilters({ cart: 'hide', wishlist: 'hide' }));
+    assert.deepEqual(filteredState(document), { StudioX: false, PolyFarm2: true, 'Castle Works': true, Quixel: false });
+    assert.equal(document.querySelector('[data-filter-reason="cart"] .fab-filter-reason').textContent, 'in cart');
+  });
+  
+  it('dims viewed listings whatever the display mode, forgetting views past the retention', async () => {
+    const now = Date.now();
+    const { document } = await loadPage('grid.html', { ...statusFilters({ viewed: 'dim' }), displayMode: 'hide' }, {
+      viewedListings: { '0a1b2c3d-rock-pack': now - 1000, '2c3d4e5f-castle': now - 40 * 24 * 60 * 60 * 1000 }
+    });
+    
+    assert.deepEqual(filteredState(document), { StudioX: true, PolyFarm2: false, 'Castle Works': false, Quixel: false });
+    const card = document.querySelector('[data-filter-reason="viewed"]');
+    assert.equal(card.getAttribute('data-filter-style'), 'dim');
+    assert.equal(card.querySelector('.fab-filter-reason').textContent, 'viewed before');
+  });
+  
+  it('records listing pages as they are opened', async () => {
+    const { chrome } = loadContentScript('listing.html', { url: 'https://www.fab.com/listings/0a1b2c3d-rock-pack?tab=reviews' });
+    await flush(10);
+    
+    const viewed = chrome.storage.local.data.viewedListings;
+    assert.deepEqual(Object.keys(viewed), ['0a1b2c3d-rock-pack']);
+    assert.equal(Math.abs(Date.now() - viewed['0a1b2c3d-rock-pack']) < 1000, true);
+  });
+  
+  it('refilters when another tab records a view', async () => {
+    const { document, chrome } = await loadPage('grid.html', statusFilters({ viewed: 'hide' }));
+    await chrome.storage.local.set({ viewedListings: { '3d4e5f6a-grass': Date.now() } });
+    await flush(10);
+    
+    assert.equal(filteredState(document).Quixel, true);
+  });
+});
+
+describe('in-page blocking', () => {
+  it('blocks a seller from the card and undoes it from the toast', async () => {
+    const page = await loadPage('grid.html');
+    const card = page.document.querySelector('a[href="/sellers/castle-works"]').closest('[data-filtered-processed]');
+    
+    card.querySelector('.fab-filter-block-btn').click();
+    await flush(10);
+    const [entry] = page.chrome.storage.sync.data.filteredUsernames;
+    assert.deepEqual(entry, { name: 'Castle Works', slug: 'castle-works', match: 'exact', addedAt: entry.addedAt });
+    assert.equal(typeof entry.addedAt, 'number');
+    assert.equal(card.getAttribute('data-filtered'), 'true');
+    
+    page.document.querySelector('.fab-filter-undo-btn').click();
+    await flush(10);
+    assert.deepEqual(page.chrome.storage.sync.data.filteredUsernames, []);
+    assert.equal(card.getAttribute('data-filtered'), null);
+  });
+});
+
+describe('keyboard commands', () => {
+  const hover = (page, element) => {
+    element.dispatchEvent(new page.window.MouseEvent('mouseover', { bubbles: true }));
+  };
+  
+  it('turns filtering off and on for the tab', async () => {
+    const page = await loadPage('grid.html', { filteredUsernames: ['StudioX'] });
+    
+    await page.sendMessage({ action: 'toggleFiltering' });
+    assert.equal(filteredState(page.document).StudioX, false);
+    assert.equal(page.chrome.runtime.sentMessages.at(-1).text, 'off');
+    assert.equal(page.document.querySelector('.fab-filter-toast').textContent, 'Filtering off for this tab');
+    
+    await page.sendMessage({ action: 'toggleFiltering' });
+    assert.equal(filteredState(page.document).StudioX, true);
+    assert.equal(page.chrome.runtime.sentMessages.at(-1).text, '');
+  });
+  
+  it('blocks the seller of the card under the pointer', async () => {
+    const page = await loadPage('grid.html');
+    const card = page.document.querySelector('a[href="/sellers/castle-works"]').closest('[data-filtered-processed]');
+    
+    hover(page, card.querySelector('img'));
+    await page.sendMessage({ action: 'blockHoveredSeller' });
+    await flush(10);
+    assert.deepEqual(page.chrome.storage.sync.data.filteredUsernames.map(entry => entry.slug), ['castle-works']);
+    assert.equal(card.getAttribute('data-filtered'), 'true');
+    
+    // Nothing happens once the pointer is off the cards
+    hover(page, page.document.body);
+    await page.sendMessage({ action: 'blockHoveredSeller' });
+    await flush(10);
+    assert.equal(page.chrome.storage.sync.data.filteredUsernames.length, 1);
+  });
+  
+  it('does not block from the keyboard in allowlist mode', async () => {
+    const page = await loadPage('grid.html', { filterMode: 'allowlist', allowedSellers: ['Castle Works'] });
+    const card = page.document.querySelector('a[href="/sellers/castle-works"]').closest('[data-filtered-processed]');
+    
+    hover(page, card.querySelector('img'));
+    await page.sendMessage({ action: 'blockHoveredSeller' });
+    await flush(10);
+    assert.equal('filteredUsernames' in page.chrome.storage.sync.data, false);
+    assert.equal(page.document.querySelector('.fab-filter-undo-btn'), null);
+    assert.equal(page.document.querySelector('.fab-filter-toast').textContent,
+      'Blocking sellers doesn\'t apply in allowlist mode');
+  });
+  
+  it('cycles the display mode and saves it', async () => {
+    const page = await loadPage('grid.html', { displayMode: 'collapse' });
+    
+    await page.sendMessage({ action: 'cycleDisplayMode' });
+    await flush(10);
+    assert.equal(page.document.documentElement.getAttribute('data-fab-filter-mode'), 'hide');
+    assert.equal(page.chrome.storage.sync.data.displayMode, 'hide');
+    
+    await page.sendMessage({ action: 'cycleDisplayMode' });
+    await flush(10);
+    assert.equal(page.chrome.storage.sync.data.displayMode, 'dim');
+    assert.equal(page.document.querySelector('.fab-filter-toast').textContent, 'Filtered items are now dimmed');
+  });
+});
+
+describe('seller and listing pages', () => {
+  const SELLER_URL = 'https://www.fab.com/sellers/StudioX';
+  const LISTING_URL = 'https://www.fab.com/listings/0a1b2c3d-rock-pack';
+  
+  async function openPage(fixture, url, sync = {}) {
+    const page = loadContentScript(fixture, { url, sync });
+    await flush(10);
+    return page;
+  }
+  
+  const banner = document => {
+    const element = document.querySelector('.fab-filter-seller-banner');
+    return element && {
+      text: element.querySelector('span').textContent,
+      actions: Array.from(element.querySelectorAll('button'), button => button.dataset.bannerAction)
+    };
+  };
+  
+  const clickAction = (document, action) => {
+    document.querySelector(`.fab-filter-seller-banner [data-banner-action="${action}"]`).click();
+  };
+  
+  it('says a seller is blocked and shows their listings on request', async () => {
+    const { document } = await openPage('seller.html', SELLER_URL, { filteredUsernames: ['StudioX'] });
+    assert.deepEqual(banner(document), { text: 'StudioX is blocked', actions: ['unblock', 'reveal', 'dismiss'] });
+    assert.deepEqual(filteredState(document), { StudioX: true });
+    
+    clickAction(document, 'reveal');
+    assert.deepEqual(filteredState(document), { StudioX: false });
+    assert.deepEqual(banner(document), { text: 'Showing listings from StudioX on this page', actions: ['hideAgain', 'dismiss'] });
+    
+    clickAction(document, 'hideAgain');
+    assert.deepEqual(filteredState(document), { StudioX: true });
+  });
+  
+  it('unblocks and blocks the seller from the banner', async () => {
+    const page = await openPage('seller.html', SELLER_URL, { filteredUsernames: ['StudioX', 'Quixel'] });
+    
+    clickAction(page.document, 'unblock');
+    await flush(10);
+    assert.deepEqual(page.chrome.storage.sync.data.filteredUsernames, ['Quixel']);
+    assert.deepEqual(banner(page.document), { text: 'StudioX isn\'t blocked', actions: ['block', 'dismiss'] });
+    
+    clickAction(page.document, 'block');
+    await flush(10);
+    assert.deepEqual(page.chrome.storage.sync.data.filteredUsernames.at(-1).slug, 'StudioX');
+    assert.equal(banner(page.document).text, 'StudioX is blocked');
+  });
+  
+  it('cannot unblock a seller matched by a pattern or shared list', async () => {
+    const { document } = await openPage('seller.html', SELLER_URL, {
+      filteredUsernames: [{ name: 'Studio*', match: 'wildcard' }]
+    });
+    assert.deepEqual(banner(document), { text: 'StudioX is blocked by "Studio*"', actions: ['reveal', 'dismiss'] });
+    
+    clickAction(document, 'dismiss');
+    assert.equal(banner(document), null);
+  });
+  
+  it('notes on a listing page when its seller is blocked', async () => {
+    const blocked = await openPage('listing.html', LISTING_URL, { filteredUsernames: ['StudioX'] });
+    assert.deepEqual(banner(blocked.document), {
+      text: 'This listing\'s seller, StudioX, is blocked',
+      actions: ['unblock', 'reveal', 'dismiss']
+    });
+    
+    const allowed = await openPage('listing.html', LISTING_URL);
+    assert.equal(banner(allowed.document), null);
+  });
+  
+  it('shows no banner on other pages or in allowlist mode', async () => {
+    const grid = await openPage('grid.html', 'https://www.fab.com/', { filteredUsernames: ['StudioX'] });
+    assert.equal(banner(grid.document), null);
+    
+    const allowlist = await openPage('seller.html', SELLER_URL, { filterMode: 'allowlist', allowedSellers: ['Quixel'] });
+    assert.equal(banner(allowlist.document), null);
+  });
+});
+
+describe('badge', () => {
+  it('reports the filtered count and a breakdown by reason', async () => {
+    const { chrome } = await loadPage('grid.html', {
+      showBlockedCount: true,
+      filteredUsernames: ['StudioX'],
+      priceFilter: { mode: 'paid', min: null, max: null }
+    });
+    assert.deepEqual(chrome.runtime.sentMessages.at(-1), {
+      action: 'updateBadge',
+      text: '2',
+      color: '#f44336',
+      title: '2 filtered: 1 seller, 1 price'
+    });
+  });
+  
+  it('clears the badge when the count is hidden', async () => {
+    const { chrome } = await loadPage('grid.html', { filteredUsernames: ['StudioX'] });
+    assert.deepEqual(chrome.runtime.sentMessages.at(-1), {
+      action: 'updateBadge', text: '', color: '#4CAF50', title: ''
+    });
+  });
+});
+
+describe('hidden listings', () => {
+  it('hides a listing from its card and undoes it from the toast', async () => {
+    const page = await loadPage('grid.html');
+    const card = page.document.querySelector('a[href="/sellers/StudioX"]').closest('[data-filtered-processed]');
+    
+    card.querySelector('.fab-filter-hide-listing-btn').click();
+    await flush(10);
+    const [entry] = page.chrome.storage.sync.data.blockedListings;
+    assert.deepEqual(entry, { id: '0a1b2c3d-rock-pack', addedAt: entry.addedAt, title: 'Stylized Rock Pack', seller: 'StudioX' });
+    assert.equal(card.getAttribute('data-filter-reason'), 'listing');
+    assert.equal(page.document.querySelector('.fab-filter-toast span').textContent, 'Listing hidden');
+    
+    page.document.querySelector('.fab-filter-undo-btn').click();
+    await flush(10);
+    assert.deepEqual(page.chrome.storage.sync.data.blockedListings, []);
+    assert.equal(card.getAttribute('data-filtered'), null);
+  });
+  
+  it('hides listings even from allowed sellers', async () => {
+    const { document } = await loadPage('grid.html', {
+      filterMode: 'allowlist',
+      allowedSellers: ['StudioX', 'Quixel'],
+      blockedListings: [{ id: '3d4e5f6a-grass' }]
+    });
+    assert.deepEqual(filteredState(document), { StudioX: false, PolyFarm2: true, 'Castle Works': true, Quixel: true });
+    assert.equal(document.querySelector('[data-filter-reason="listing"]').getAttribute('data-filter-match'), '3d4e5f6a-grass');
+  });
+});
+
+describe('selectors and layout health', () => {
+  it('uses selector overrides saved for the current definitions', async () => {
+    const { document } = await loadPage('grid.html', {
+      filteredUsernames: ['StudioX'],
+      selectorOverrides: { version: 2, selectors: { username: '.missing' } }
+    });
+    assert.equal(document.querySelector('[data-filtered="true"]'), null);
+  });
+  
+  it('ignores overrides saved for older definitions', async () => {
+    const { document } = await loadPage('grid.html', {
+      filteredUsernames: ['StudioX'],
+      selectorOverrides: { version: 0, selectors: { username: '.missing' } }
+    });
+    assert.equal(filteredState(document).StudioX, true);
+  });
+  
+  it('flags pages where seller names can no longer be found', async () => {
+    const page = await loadPage('grid.html', {
+      selectorOverrides: { version: 2, selectors: { username: '.missing' } }
+    });
+    await flush(2100);
+    
+    assert.deepEqual(page.chrome.runtime.sentMessages.at(-1), {
+      action: 'updateBadge',
+      text: '!',
+      color: '#FF9800',
+      title: 'Fab layout changed: Found 4 product cards but no seller names'
+    });
+    const response = await page.sendMessage({ action: 'getFilteredItems' });
+    assert.equal(response.layoutWarning, 'Found 4 product cards but no seller names');
+  });
+  
+  it('does not flag healthy pages', async () => {
+    const page = await loadPage('seller.html');
+    await flush(2100);
+    
+    const response = await page.sendMessage({ action: 'getFilteredItems' });
+    assert.equal(response.layoutWarning, null);
+  });
+});
+
+describe('content MessageValidator', () => {
+  const validate = async (message) => {
+    const { exports } = await loadPage('seller.html');
+    return () => exports.MessageValidator.validate(message);
+  };
+  
+  it('accepts well-formed messages', async () => {
+    assert.equal((await validate({ action: 'updateFilters', usernames: ['a', { name: 'b*', match: 'wildcard' }] }))(), true);
+    assert.equal((await validate({ action: 'updatePriceFilter', priceFilter: { mode: 'paid', min: 1, max: null } }))(), true);
+    assert.equal((await validate({ action: 'blockHoveredSeller' }))(), true);
+  });
+  
+  it('rejects unknown actions and malformed payloads', async () => {
+    assert.throws(await validate(null), /Invalid message format/);
+    assert.throws(await validate({ action: 'eval' }), /Invalid action/);
+    assert.throws(await validate({ action: 'updateFilters', usernames: [{ name: 'a', match: 'regex' }] }),
+      /Invalid username match mode/);
+    assert.throws(await validate({ action: 'updateDisplayMode', displayMode: 'blur' }), /Invalid displayMode/);
+    assert.throws(await validate({ action: 'showFilteredItem', listing: 'https://evil.example/' }), /Invalid listing/);
+  });
+  
+  it('checks every setting in a profile', async () => {
+    const settings = {
+      usernames: [], allowedSellers: [], filterMode: 'blocklist', showCount: false, hideLibrary: false,
+      titleRules: [], priceFilter: { mode: 'all', min: null, max: null }, displayMode: 'hide',
+      attributeFilters: { categories: [], formats: [], tags: [] },
+      statusFilters: { viewed: 'show', cart: 'show', wishlist: 'show' }, blockedListings: []
+    };
+    assert.equal((await validate({ action: 'applyProfile', settings }))(), true);
+    assert.throws(await validate({ action: 'applyProfile', settings: { ...settings, filterMode: 'both' } }),
+      /Invalid filterMode/);
+  });
+});
@@ -0,0 +1,264 @@
+// In-memory stand-in for the parts of the chrome.* API the extension uses
+
+// Same limits as chrome.storage.sync
+const SYNC_QUOTA_BYTES = 102400;
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+
+function createEvent() {
+  const listeners = [];
+  
+  return {
+    listeners,
+    addListener(listener) {
+      listeners.push(listener);
+    },
+    removeListener(listener) {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener(listener) {
+      return listeners.includes(listener);
+    },
+    dispatch(...args) {
+      return listeners.map(listener => listener(...args));
+    }
+  };
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function createStorageArea(areaName, initial, onChanged, quota) {
+  const data = clone(initial) || {};
+  
+  const itemBytes = (key, value) => key.length + Buffer.byteLength(JSON.stringify(value));
+  
+  const notify = (changes) => {
+    if (Object.keys(changes).length > 0) {
+      onChanged.dispatch(changes, areaName);
+    }
+  };
+  
+  return {
+    data,
+    
+    async get(keys) {
+      if (keys === null || keys === undefined) {
+        return clone(data);
+      }
+      
+      // An object supplies defaults for missing keys
+      const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+      const keyList = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const result = {};
+      
+      for (const key of keyList) {
+        if (key in data) {
+          result[key] = clone(data[key]);
+        } else if (key in defaults) {
+          result[key] = clone(defaults[key]);
+        }
+      }
+      
+      return result;
+    },
+    
+    async set(items) {
+      if (quota) {
+        for (const [key, value] of Object.entries(items)) {
+          if (itemBytes(key, value) > SYNC_QUOTA_BYTES_PER_ITEM) {
+            throw new Error('QUOTA_BYTES_PER_ITEM quota exceeded');
+          }
+        }
+        
+        const next = { ...data, ...items };
+        const total = Object.entries(next).reduce((sum, [key, value]) => sum + itemBytes(key, value), 0);
+        if (total > quota) {
+          throw new Error('QUOTA_BYTES quota exceeded');
+        }
+      }
+      
+      const changes = {};
+      for (const [key, value] of Object.entries(items)) {
+        changes[key] = { oldValue: clone(data[key]), newValue: clone(value) };
+        data[key] = clone(value);
+      }
+      notify(changes);
+    },
+    
+    async remove(keys) {
+      const changes = {};
+      for (const key of typeof keys === 'string' ? [keys] : keys) {
+        if (key in data) {
+          changes[key] = { oldValue: data[key] };
+          delete data[key];
+        }
+      }
+      notify(changes);
+    },
+    
+    async clear() {
+      await this.remove(Object.keys(data));
+    }
+  };
+}
+
+// Records every call so tests can assert on badge updates
+function createAction() {
+  const calls = [];
+  const record = (method) => async (details) => {
+    calls.push({ method, ...details });
+  };
+  
+  return {
+    calls,
+    setBadgeText: record('setBadgeText'),
+    setBadgeBackgroundColor: record('setBadgeBackgroundColor'),
+    setTitle: record('setTitle')
+  };
+}
+
+// Alarms never fire on their own; tests dispatch onAlarm when they want one to go off
+function createAlarms() {
+  const alarms = new Map();
+  
+  return {
+    alarms,
+    onAlarm: createEvent(),
+    async create(name, alarmInfo) {
+      alarms.set(name, { name, scheduledTime: alarmInfo.when, ...alarmInfo });
+    },
+    async get(name) {
+      return alarms.get(name);
+    },
+    async getAll() {
+      return Array.from(alarms.values());
+    },
+    async clear(name) {
+      return alarms.delete(name);
+    }
+  };
+}
+
+// Menu entries by id; tests dispatch onClicked the way a right-click on a link would
+function createContextMenus() {
+  const items = new Map();
+  
+  return {
+    items,
+    onClicked: createEvent(),
+    create(properties, callback) {
+      if (items.has(properties.id)) {
+        throw new Error(`Cannot create item with duplicate id ${properties.id}`);
+      }
+      items.set(properties.id, clone(properties));
+      if (callback) callback();
+    },
+    removeAll(callback) {
+      items.clear();
+      if (callback) callback();
+    }
+  };
+}
+
+// Host permission prompts answer with `granted`, the way the user would click. Like Chrome,
+// a request outside a user gesture is rejected; loadPopup sets userGesture during clicks.
+function createPermissions(granted) {
+  const origins = [];
+  
+  const permissions = {
+    origins,
+    userGesture: false,
+    async request(requested) {
+      if (!permissions.userGesture) {
+        throw new Error('This function must be called during a user gesture');
+      }
+      if (granted) origins.push(...(requested.origins || []));
+      return granted;
+    },
+    async remove(removed) {
+      (removed.origins || []).forEach(origin => {
+        if (origins.includes(origin)) origins.splice(origins.indexOf(origin), 1);
+      });
+      return true;
+    },
+    async contains(requested) {
+      return (requested.origins || []).every(origin => origins.includes(origin));
+    }
+  };
+  
+  return permissions;
+}
+
+/**
+ * Build a fake `chrome` object.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.sync] - Initial chrome.storage.sync contents
+ * @param {Object} [options.local] - Initial chrome.storage.local contents
+ * @param {number} [options.syncQuota] - Total sync quota in bytes, or 0 for unlimited
+ * @param {Array} [options.tabs] - Tabs returned by chrome.tabs.query
+ * @param {boolean} [options.grantPermissions=true] - Answer to chrome.permissions.request
+ */
+function createChrome(options = {}) {
+  const onChanged = createEvent();
+  const syncQuota = options.syncQuota === undefined ? SYNC_QUOTA_BYTES : options.syncQuota;
+  const tabs = options.tabs || [];
+  
+  const runtime = {
+    id: 'test-extension-id',
+    sentMessages: [],
+    onMessage: createEvent(),
+    onInstalled: createEvent(),
+    onStartup: createEvent(),
+    onSuspend: createEvent(),
+    async sendMessage(message) {
+      runtime.sentMessages.push(clone(message));
+    },
+    getManifest() {
+      return { version: '1.1.0' };
+    }
+  };
+  
+  const chromeTabs = {
+    sentMessages: [],
+    // Set by tests to answer chrome.tabs.sendMessage, e.g. by forwarding to a content script
+    messageHandler: null,
+    onRemoved: createEvent(),
+    onUpdated: createEvent(),
+    async query(queryInfo = {}) {
+      return tabs.filter(tab => {
+        if (queryInfo.active !== undefined && tab.active !== queryInfo.active) return false;
+        if (queryInfo.url && !new RegExp(`^${queryInfo.url.replace(/[.]/g, '\\.').replace(/\*/g, '.*')}$`).test(tab.url)) {
+          return false;
+        }
+        return true;
+      });
+    },
+    async sendMessage(tabId, message) {
+      chromeTabs.sentMessages.push({ tabId, message: clone(message) });
+      if (!chromeTabs.messageHandler) {
+        throw new Error('Could not establish connection. Receiving end does not exist.');
+      }
+      return chromeTabs.messageHandler(tabId, clone(message));
+    }
+  };
+  
+  return {
+    runtime,
+    tabs: chromeTabs,
+    action: createAction(),
+    alarms: createAlarms(),
+    contextMenus: createContextMenus(),
+    commands: { onCommand: createEvent() },
+    permissions: createPermissions(options.grantPermissions !== false),
+    storage: {
+      onChanged,
+      sync: createStorageArea('sync', options.sync, onChanged, syncQuota),
+      local: createStorageArea('local', options.local, onChanged, 0)
+    }
+  };
+}
+
+module.exports = { createChrome, createEvent };
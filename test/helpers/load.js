@@ -0,0 +1,189 @@
+// Loads the extension scripts the way Chrome does: plain scripts sharing one global scope
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { createChrome } = require('./chrome');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+function runScript(context, file) {
+  const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  new vm.Script(source, { filename: file }).runInContext(context);
+}
+
+// Evaluated after the scripts so tests can reach their top-level classes and constants
+function collect(context, names) {
+  return new vm.Script(`({ ${names.join(', ')} })`).runInContext(context);
+}
+
+// Scripts under test log freely, so keep their errors for assertions rather than printing them
+function createConsole(errors) {
+  const ignore = () => {};
+  return { log: ignore, debug: ignore, info: ignore, warn: ignore, error: (...args) => errors.push(args) };
+}
+
+function createDom(html, url, errors) {
+  // Not forwarding jsdomError also hides expected "not implemented" notices such as link navigation
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('error', (...args) => errors.push(args));
+  
+  const dom = new JSDOM(html, { url, virtualConsole, runScripts: 'outside-only', pretendToBeVisual: true });
+  
+  // Browser globals jsdom leaves out
+  dom.window.TextEncoder = TextEncoder;
+  return dom;
+}
+
+/**
+ * Run storage.js and content.js against a saved Fab page.
+ *
+ * @param {string} fixture - File name in test/fixtures
+ * @param {Object} [options] - Passed to createChrome, plus `url` for the page address
+ */
+function loadContentScript(fixture, options = {}) {
+  const html = fs.readFileSync(path.join(FIXTURES, fixture), 'utf8');
+  const errors = [];
+  const dom = createDom(html, options.url || 'https://www.fab.com/', errors);
+  const chrome = createChrome(options);
+  dom.window.chrome = chrome;
+  
+  const context = dom.getInternalVMContext();
+  runScript(context, 'storage.js');
+  runScript(context, 'selectors.js');
+  runScript(context, 'attributes.js');
+  runScript(context, 'content.js');
+  
+  return {
+    window: dom.window,
+    document: dom.window.document,
+    chrome,
+    errors,
+    exports: collect(context, [
+      'FabFilter', 'MessageValidator', 'SellerMatcher', 'ElementCache', 'FilterStorage',
+      'STORAGE_KEYS', 'settingsFromStorage', 'parsePriceAmount'
+    ]),
+    // Send a message the way the popup would and wait for the reply, if any
+    sendMessage(message) {
+      return new Promise(resolve => {
+        // Replies are serialized between extension contexts, which also drops the page's prototypes
+        chrome.runtime.onMessage.dispatch(message, {}, response => resolve(plain(response)));
+        setTimeout(() => resolve(undefined), 0);
+      });
+    }
+  };
+}
+
+/**
+ * Run popup.js and the scripts popup.html loads before it.
+ *
+ * @param {Object} [options] - Passed to createChrome
+ */
+function loadPopup(options = {}) {
+  const html = fs.readFileSync(path.join(ROOT, 'popup.html'), 'utf8');
+  const errors = [];
+  const dom = createDom(html, 'chrome-extension://test-extension-id/popup.html', errors);
+  const chrome = createChrome(options);
+  dom.window.chrome = chrome;
+  
+  // Exports go through an object URL and a synthetic link click
+  const downloads = [];
+  dom.window.URL.createObjectURL = blob => {
+    downloads.push(blob);
+    return `blob:${downloads.length}`;
+  };
+  dom.window.URL.revokeObjectURL = () => {};
+  
+  // Clicks count as user gestures only while their handlers run synchronously
+  const click = dom.window.HTMLElement.prototype.click;
+  dom.window.HTMLElement.prototype.click = function () {
+    chrome.permissions.userGesture = true;
+    try {
+      return click.call(this);
+    } finally {
+      chrome.permissions.userGesture = false;
+    }
+  };
+  
+  const context = dom.getInternalVMContext();
+  runScript(context, 'storage.js');
+  runScript(context, 'attributes.js');
+  runScript(context, 'validation.js');
+  runScript(context, 'export-format.js');
+  runScript(context, 'popup.js');
+  
+  return {
+    window: dom.window,
+    document: dom.window.document,
+    chrome,
+    errors,
+    downloads,
+    exports: collect(context, ['InputValidator', 'STORAGE_KEYS', 'migrateExportData', 'EXPORT_FORMAT_VERSION'])
+  };
+}
+
+/**
+ * Run storage.js, selectors.js and options.js in options.html.
+ *
+ * @param {Object} [options] - Passed to createChrome
+ */
+function loadOptions(options = {}) {
+  const html = fs.readFileSync(path.join(ROOT, 'options.html'), 'utf8');
+  const errors = [];
+  const dom = createDom(html, 'chrome-extension://test-extension-id/options.html', errors);
+  const chrome = createChrome(options);
+  dom.window.chrome = chrome;
+  
+  const context = dom.getInternalVMContext();
+  runScript(context, 'storage.js');
+  runScript(context, 'selectors.js');
+  runScript(context, 'attributes.js');
+  runScript(context, 'validation.js');
+  runScript(context, 'options.js');
+  
+  return {
+    window: dom.window,
+    document: dom.window.document,
+    chrome,
+    errors
+  };
+}
+
+// Tests never reach the network; they pass their own fetch to serve list fixtures
+async function offlineFetch() {
+  throw new TypeError('Failed to fetch');
+}
+
+/**
+ * Run background.js in a bare service worker-like context.
+ *
+ * @param {Object} [options] - Passed to createChrome, plus `fetch` to stand in for the network
+ */
+function loadBackground(options = {}) {
+  const chrome = createChrome(options);
+  const errors = [];
+  const fetch = options.fetch || offlineFetch;
+  const context = vm.createContext({ chrome, console: createConsole(errors), TextEncoder, URL, fetch });
+  context.importScripts = (...files) => files.forEach(file => runScript(context, file));
+  
+  runScript(context, 'background.js');
+  
+  return {
+    chrome,
+    errors,
+    exports: collect(context, ['MessageValidator', 'FilterStorage', 'tabBadgeStates'])
+  };
+}
+
+// Copy a value out of a script context so deepEqual doesn't trip over the other realm's prototypes
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Let pending promises, storage writes and zero-delay timers run
+function flush(ms = 0) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { loadContentScript, loadPopup, loadOptions, loadBackground, flush, plain };
@@ -0,0 +1,222 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadOptions, flush } = require('./helpers/load');
+
+async function openOptions(sync = {}, local = {}) {
+  const page = loadOptions({ sync, local });
+  await flush(10);
+  return page;
+}
+
+function selectorInput(document, key) {
+  return document.querySelector(`input[data-key="${key}"]`);
+}
+
+// Seller names in the order the table shows them
+function shownNames(document) {
+  return Array.from(document.querySelectorAll('#entryList .entry-name'), name => name.firstChild.textContent);
+}
+
+const SELLERS = [
+  { name: 'castle', match: 'prefix', addedAt: 3000 },
+  'StudioX',
+  { name: 'Poly Farm', slug: 'polyfarm', match: 'exact', addedAt: 1000, note: 'Reuploads' }
+];
+
+const STATS = {
+  sellerStats: {
+    filteredUsernames: { 'slug:polyfarm': { hits: 12, lastMatched: 5000 }, 'exact:StudioX': { hits: 4, lastMatched: 4000 } }
+  }
+};
+
+describe('seller lists', () => {
+  it('lists entries with their note, date added and hits', async () => {
+    const { document } = await openOptions({ filteredUsernames: SELLERS }, STATS);
+    
+    assert.deepEqual(shownNames(document), ['castle', 'Poly Farm', 'StudioX']);
+    const row = document.querySelector('tr[data-key="slug:polyfarm"]');
+    assert.equal(row.querySelector('.entry-note').textContent, 'Reuploads');
+    assert.equal(row.querySelector('.entry-hits').textContent, '12');
+    assert.equal(document.getElementById('listSummary').textContent, '3 sellers');
+  });
+  
+  it('searches names, profiles and notes', async () => {
+    const { document } = await openOptions({ filteredUsernames: SELLERS }, STATS);
+    const search = document.getElementById('searchInput');
+    
+    search.value = 'reupload';
+    search.dispatchEvent(new document.defaultView.Event('input'));
+    assert.deepEqual(shownNames(document), ['Poly Farm']);
+    assert.equal(document.getElementById('listSummary').textContent, 'Showing 1 of 3 sellers');
+    
+    search.value = 'nobody';
+    search.dispatchEvent(new document.defaultView.Event('input'));
+    assert.equal(document.getElementById('entryEmptyMessage').textContent, 'No sellers match your search');
+  });
+  
+  it('sorts by date added and by hit count', async () => {
+    const { document } = await openOptions({ filteredUsernames: SELLERS }, STATS);
+    const sort = document.getElementById('sortSelect');
+    
+    sort.value = 'added';
+    sort.dispatchEvent(new document.defaultView.Event('change'));
+    assert.deepEqual(shownNames(document), ['castle', 'Poly Farm', 'StudioX']);
+    
+    sort.value = 'hits';
+    sort.dispatchEvent(new document.defaultView.Event('change'));
+    assert.deepEqual(shownNames(document), ['Poly Farm', 'StudioX', 'castle']);
+  });
+  
+  it('switches to the allowlist', async () => {
+    const { document } = await openOptions({ filteredUsernames: SELLERS, allowedSellers: ['Quixel'] });
+    const list = document.getElementById('listSelect');
+    list.value = 'allowed';
+    list.dispatchEvent(new document.defaultView.Event('change'));
+    await flush(10);
+    
+    assert.deepEqual(shownNames(document), ['Quixel']);
+  });
+  
+  it('removes the selected entries and their hit counts', async () => {
+    const { document, window, chrome } = await openOptions({ filteredUsernames: SELLERS }, STATS);
+    window.confirm = () => true;
+    
+    const selectAll = document.getElementById('selectAllCheckbox');
+    selectAll.checked = true;
+    selectAll.dispatchEvent(new window.Event('change'));
+    const keep = document.querySelector('tr[data-key="exact:StudioX"] input[type="checkbox"]');
+    keep.checked = false;
+    keep.dispatchEvent(new window.Event('change'));
+    
+    const removeButton = document.getElementById('removeSelectedButton');
+    assert.equal(removeButton.textContent, 'Remove selected (2)');
+    removeButton.click();
+    await flush(10);
+    
+    assert.deepEqual(chrome.storage.sync.data.filteredUsernames, ['StudioX']);
+    assert.deepEqual(Object.keys(chrome.storage.local.data.sellerStats.filteredUsernames), ['exact:StudioX']);
+    assert.deepEqual(shownNames(document), ['StudioX']);
+  });
+  
+  it('edits an entry inline and keeps its hit count', async () => {
+    const { document, chrome } = await openOptions({ filteredUsernames: SELLERS }, STATS);
+    
+    document.querySelector('tr[data-key="exact:StudioX"] button').click();
+    const row = document.querySelector('tr.editing');
+    row.querySelector('.edit-name').value = 'studiox';
+    row.querySelector('.edit-match').value = 'ignoreCase';
+    row.querySelector('.edit-note').value = 'Low effort kitbashes';
+    row.querySelector('.edit-tag').value = 'kitbash';
+    row.querySelector('.actions button').click();
+    await flush(10);
+    
+    assert.deepEqual(chrome.storage.sync.data.filteredUsernames[1],
+      { name: 'studiox', match: 'ignoreCase', note: 'Low effort kitbashes', tag: 'kitbash' });
+    assert.deepEqual(chrome.storage.local.data.sellerStats.filteredUsernames['ignoreCase:studiox'],
+      { hits: 4, lastMatched: 4000 });
+    assert.equal(document.getElementById('status').textContent, 'Seller updated');
+  });
+  
+  it('only lets the note of slug entries be edited', async () => {
+    const { document, chrome } = await openOptions({ filteredUsernames: SELLERS });
+    
+    document.querySelector('tr[data-key="slug:polyfarm"] button').click();
+    const row = document.querySelector('tr.editing');
+    assert.equal(row.querySelector('.edit-name').disabled, true);
+    row.querySelector('.edit-note').value = '';
+    row.querySelector('.actions button').click();
+    await flush(10);
+    
+    assert.deepEqual(chrome.storage.sync.data.filteredUsernames[2],
+      { name: 'Poly Farm', slug: 'polyfarm', match: 'exact', addedAt: 1000 });
+  });
+  
+  it('sets and clears the expiry of an entry', async () => {
+    const { document, chrome } = await openOptions({ filteredUsernames: SELLERS });
+    const nextYear = new Date().getFullYear() + 1;
+    
+    document.querySelector('tr[data-key="prefix:castle"] button').click();
+    document.querySelector('tr.editing .edit-expiry').value = `${nextYear}-01-15`;
+    document.querySelector('tr.editing .actions button').click();
+    await flush(10);
+    
+    const { expiresAt } = chrome.storage.sync.data.filteredUsernames[0];
+    assert.equal(expiresAt, new Date(nextYear, 0, 15).getTime());
+    assert.match(document.querySelector('tr[data-key="prefix:castle"] .entry-expiry').textContent, /^until /);
+    
+    document.querySelector('tr[data-key="prefix:castle"] button').click();
+    document.querySelector('tr.editing .edit-expiry').value = '';
+    document.querySelector('tr.editing .actions button').click();
+    await flush(10);
+    assert.deepEqual(chrome.storage.sync.data.filteredUsernames[0], SELLERS[0]);
+  });
+  
+  it('refuses edits that would duplicate another entry', async () => {
+    const { document, chrome } = await openOptions({ filteredUsernames: SELLERS });
+    
+    document.querySelector('tr[data-key="prefix:castle"] button').click();
+    const row = document.querySelector('tr.editing');
+    row.querySelector('.edit-name').value = 'StudioX';
+    row.querySelector('.edit-match').value = 'exact';
+    row.querySelector('.actions button').click();
+    await flush(10);
+    
+    assert.equal(row.querySelector('.entry-error').textContent, 'Username already in filter list');
+    assert.deepEqual(chrome.storage.sync.data.filteredUsernames[0], SELLERS[0]);
+  });
+  
+  it('picks up changes made elsewhere', async () => {
+    const { document, chrome } = await openOptions({ filteredUsernames: ['StudioX'] });
+    await chrome.storage.sync.set({ filteredUsernames: ['StudioX', 'Quixel'] });
+    await flush(10);
+    
+    assert.deepEqual(shownNames(document), ['Quixel', 'StudioX']);
+  });
+});
+
+describe('selector overrides', () => {
+  it('shows the built-in selectors as placeholders', async () => {
+    const { document } = await openOptions();
+    assert.equal(selectorInput(document, 'username').placeholder, '.fabkit-Typography-ellipsisWrapper');
+    assert.equal(selectorInput(document, 'libraryText').placeholder, 'Saved in My Library');
+  });
+  
+  it('saves non-empty fields against the current definitions version', async () => {
+    const { document, chrome } = await openOptions();
+    selectorInput(document, 'username').value = ' .seller-name ';
+    selectorInput(document, 'libraryText').value = 'In your library';
+    document.getElementById('saveSelectorsButton').click();
+    await flush(10);
+    
+    assert.deepEqual(chrome.storage.sync.data.selectorOverrides, {
+      version: 2,
+      selectors: { username: '.seller-name', libraryText: 'In your library' }
+    });
+  });
+  
+  it('refuses selectors the browser cannot parse', async () => {
+    const { document, chrome } = await openOptions();
+    selectorInput(document, 'username').value = 'div[';
+    document.getElementById('saveSelectorsButton').click();
+    await flush(10);
+    
+    assert.equal(document.getElementById('status').textContent, 'Invalid selector: Seller name');
+    assert.equal(selectorInput(document, 'username').classList.contains('invalid'), true);
+    assert.equal('selectorOverrides' in chrome.storage.sync.data, false);
+  });
+  
+  it('points out overrides saved for older definitions', async () => {
+    const { document } = await openOptions({ selectorOverrides: { version: 0, selectors: { username: '.old' } } });
+    assert.equal(selectorInput(document, 'username').value, '.old');
+    assert.equal(document.getElementById('staleOverridesNote').classList.contains('show'), true);
+  });
+  
+  it('resets to the built-in selectors', async () => {
+    const { document, chrome } = await openOptions({ selectorOverrides: { version: 2, selectors: { username: '.x' } } });
+    document.getElementById('resetSelectorsButton').click();
+    await flush(10);
+    
+    assert.equal(selectorInput(document, 'username').value, '');
+    assert.equal('selectorOverrides' in chrome.storage.sync.data, false);
+  });
+});
@@ -0,0 +1,829 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPopup, flush, plain } = require('./helpers/load');
+
+const FAB_TAB = { id: 7, url: 'https://www.fab.com/search?q=rock', active: true };
+
+async function openPopup(sync = {}, options = {}) {
+  const popup = loadPopup({ sync, tabs: [FAB_TAB], ...options });
+  await flush(10);
+  return popup;
+}
+
+// importList only needs the file's name and text, so a minimal File stand-in will do
+function previewImport(popup, contents, name = 'filters.json') {
+  const text = typeof contents === 'string' ? contents : JSON.stringify(contents);
+  return popup.window.importList({ target: { files: [{ name, text: async () => text }] } });
+}
+
+// Preview a file, then confirm it with the chosen mode
+async function importFile(popup, contents, { mode = 'merge', name } = {}) {
+  await previewImport(popup, contents, name);
+  popup.document.getElementById('importModeSelect').value = mode;
+  popup.document.getElementById('confirmImportButton').click();
+  await flush(10);
+}
+
+function readBlob(window, blob) {
+  return new Promise(resolve => {
+    const reader = new window.FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+}
+
+describe('InputValidator', () => {
+  const getValidator = async () => (await openPopup()).exports.InputValidator;
+  
+  it('trims usernames and rejects unsupported characters', async () => {
+    const InputValidator = await getValidator();
+    assert.equal(InputValidator.sanitizeUsername('  StudioX  '), 'StudioX');
+    assert.throws(() => InputValidator.sanitizeUsername(''), /cannot be empty/);
+    assert.throws(() => InputValidator.sanitizeUsername('<script>'), /can only contain/);
+    assert.throws(() => InputValidator.sanitizeUsername('Poly*'), /can only contain/);
+    assert.throws(() => InputValidator.sanitizeUsername('a'.repeat(101)), /cannot exceed 100/);
+  });
+  
+  it('allows wildcards only in patterns that still name something', async () => {
+    const InputValidator = await getValidator();
+    assert.equal(InputValidator.sanitizeUsername('Poly*', true), 'Poly*');
+    assert.throws(() => InputValidator.sanitizeUsername('*?*', true), /at least one letter/);
+  });
+  
+  it('normalizes seller entries', async () => {
+    const InputValidator = await getValidator();
+    assert.deepEqual({ ...InputValidator.sanitizeSellerEntry('StudioX') }, { name: 'StudioX', match: 'exact' });
+    assert.deepEqual({ ...InputValidator.sanitizeSellerEntry({ name: 'studio', match: 'prefix' }) },
+      { name: 'studio', match: 'prefix' });
+    assert.deepEqual({ ...InputValidator.sanitizeSellerEntry({ name: ' Studio X ', slug: 'studio-x', match: 'exact' }) },
+      { name: 'Studio X', slug: 'studio-x', match: 'exact' });
+    assert.throws(() => InputValidator.sanitizeSellerEntry({ name: 'a', slug: 'a/b', match: 'exact' }), /Invalid seller slug/);
+    assert.throws(() => InputValidator.sanitizeSellerEntry({ name: 'a', slug: 'a', match: 'prefix' }), /Only exact/);
+    assert.throws(() => InputValidator.sanitizeSellerEntry({ name: 'a', match: 'regex' }), /Invalid match mode/);
+  });
+  
+  it('keeps the date added, note and tag of seller entries', async () => {
+    const InputValidator = await getValidator();
+    assert.deepEqual({ ...InputValidator.sanitizeSellerEntry({ name: 'StudioX', match: 'exact', addedAt: 1500.5, note: ' Asset flips\n', tag: ' reuploads ' }) },
+      { name: 'StudioX', match: 'exact', addedAt: 1500, note: 'Asset flips', tag: 'reuploads' });
+    assert.deepEqual({ ...InputValidator.sanitizeSellerEntry({ name: 'StudioX', match: 'exact', note: '  ', tag: '' }) },
+      { name: 'StudioX', match: 'exact' });
+    assert.throws(() => InputValidator.sanitizeSellerEntry({ name: 'a', match: 'exact', addedAt: 'today' }), /Invalid date added/);
+    assert.throws(() => InputValidator.sanitizeSellerEntry({ name: 'a', match: 'exact', note: 'x'.repeat(201) }), /cannot exceed 200/);
+    assert.throws(() => InputValidator.sanitizeSellerEntry({ name: 'a', match: 'exact', tag: '<b>' }), /Tag can only contain/);
+  });
+  
+  it('validates title rules and price filters', async () => {
+    const InputValidator = await getValidator();
+    assert.deepEqual({ ...InputValidator.sanitizeTitleRule({ pattern: ' AI ' }) },
+      { pattern: 'AI', isRegex: false, caseInsensitive: true, wholeWord: false });
+    assert.throws(() => InputValidator.sanitizeTitleRule({ pattern: '(', isRegex: true }), /Invalid regular expression/);
+    assert.deepEqual({ ...InputValidator.sanitizePriceFilter({ mode: 'paid', min: '5', max: '' }) },
+      { mode: 'paid', min: 5, max: null });
+    assert.throws(() => InputValidator.sanitizePriceFilter({ mode: 'all', min: 10, max: 5 }), /cannot be greater/);
+    assert.throws(() => InputValidator.sanitizePriceFilter({ mode: 'cheap' }), /Price mode/);
+  });
+  
+  it('validates hidden listings', async () => {
+    const InputValidator = await getValidator();
+    assert.deepEqual({ ...InputValidator.sanitizeListingEntry({ id: ' 0a1b-rock ', title: ' Rock\n', seller: 'StudioX', addedAt: 1500.5 }) },
+      { id: '0a1b-rock', title: 'Rock', seller: 'StudioX', addedAt: 1500 });
+    assert.throws(() => InputValidator.sanitizeListingEntry('0a1b-rock'), /Invalid listing entry/);
+    assert.throws(() => InputValidator.sanitizeListingEntry({ id: '../library' }), /Invalid listing id/);
+    assert.throws(() => InputValidator.sanitizeListingEntry({ id: 'a', title: 5 }), /title must be a string/);
+  });
+});
+
+describe('seller lists', () => {
+  it('adds a username and tells the active Fab tab', async () => {
+    const popup = await openPopup();
+    const received = [];
+    popup.chrome.tabs.messageHandler = (tabId, message) => {
+      received.push({ tabId, message });
+      return { items: [] };
+    };
+    
+    popup.document.getElementById('usernameInput').value = 'StudioX';
+    popup.document.getElementById('addButton').click();
+    await flush(10);
+    
+    const [entry] = popup.chrome.storage.sync.data.filteredUsernames;
+    assert.deepEqual(entry, { name: 'StudioX', match: 'exact', addedAt: entry.addedAt });
+    assert.equal(Math.abs(Date.now() - entry.addedAt) < 1000, true);
+    assert.equal(popup.document.getElementById('usernameCount').textContent, '1');
+    assert.deepEqual(received[0], { tabId: 7, message: { action: 'updateFilters', usernames: [entry] } });
+  });
+  
+  it('adds temporary entries that expire after the chosen number of days', async () => {
+    const popup = await openPopup();
+    const { document } = popup;
+    document.getElementById('usernameInput').value = 'StudioX';
+    document.getElementById('expirySelect').value = '7';
+    document.getElementById('addButton').click();
+    await flush(10);
+    
+    const [entry] = popup.chrome.storage.sync.data.filteredUsernames;
+    assert.equal(entry.expiresAt - entry.addedAt, 7 * 24 * 60 * 60 * 1000);
+    assert.match(document.querySelector('#usernameList .entry-meta').textContent, / · until /);
+  });
+  
+  it('checks custom expiry days', async () => {
+    const popup = await openPopup();
+    const { document } = popup;
+    const expirySelect = document.getElementById('expirySelect');
+    expirySelect.value = 'custom';
+    expirySelect.dispatchEvent(new popup.window.Event('change'));
+    assert.equal(document.getElementById('expiryDaysInput').classList.contains('show'), true);
+    
+    document.getElementById('usernameInput').value = 'StudioX';
+    document.getElementById('expiryDaysInput').value = '0';
+    document.getElementById('addButton').click();
+    await flush(10);
+    assert.equal(document.getElementById('inputError').textContent, 'Days must be a whole number between 1 and 365');
+    
+    document.getElementById('expiryDaysInput').value = '3';
+    document.getElementById('addButton').click();
+    await flush(10);
+    const [entry] = popup.chrome.storage.sync.data.filteredUsernames;
+    assert.equal(entry.expiresAt - entry.addedAt, 3 * 24 * 60 * 60 * 1000);
+  });
+  
+  it('refuses duplicates', async () => {
+    const popup = await openPopup({ filteredUsernames: ['StudioX'] });
+    popup.document.getElementById('usernameInput').value = 'StudioX';
+    popup.document.getElementById('addButton').click();
+    await flush(10);
+    
+    assert.equal(popup.document.getElementById('inputError').textContent, 'Username already in filter list');
+    assert.deepEqual(popup.chrome.storage.sync.data.filteredUsernames, ['StudioX']);
+  });
+});
+
+describe('categories and formats', () => {
+  it('hides a format and tells the active Fab tab', async () => {
+    const popup = await openPopup();
+    const received = [];
+    popup.chrome.tabs.messageHandler = (tabId, message) => {
+      received.push(message);
+      return { items: [] };
+    };
+    
+    const { document } = popup;
+    document.getElementById('attributeKindSelect').value = 'formats';
+    document.getElementById('attributeInput').value = '  Unity ';
+    document.getElementById('addAttributeRuleButton').click();
+    await flush(10);
+    
+    const attributeFilters = { categories: [], formats: ['Unity'], tags: [] };
+    assert.deepEqual(popup.chrome.storage.sync.data.attributeFilters, attributeFilters);
+    assert.equal(document.getElementById('attributeRuleCount').textContent, '1');
+    assert.deepEqual(received[0], { action: 'updateAttributeFilters', attributeFilters });
+    
+    document.getElementById('attributeInput').value = 'unity';
+    document.getElementById('addAttributeRuleButton').click();
+    await flush(10);
+    assert.equal(document.getElementById('attributeRuleError').textContent, 'Format already hidden');
+  });
+  
+  it('suggests values seen on pages that are not hidden yet, newest first', async () => {
+    const popup = await openPopup({ attributeFilters: { categories: ['Material'], formats: [], tags: [] } }, {
+      local: { seenListingAttributes: { categories: { Material: 3000, Audio: 1000, '3D Model': 2000 } } }
+    });
+    
+    const options = () => Array.from(popup.document.querySelectorAll('#attributeSuggestions option'), option => option.value);
+    assert.deepEqual(options(), ['3D Model', 'Audio']);
+    
+    const kindSelect = popup.document.getElementById('attributeKindSelect');
+    kindSelect.value = 'tags';
+    kindSelect.dispatchEvent(new popup.window.Event('change'));
+    assert.deepEqual(options(), []);
+  });
+  
+  it('shows a category again when removed', async () => {
+    const popup = await openPopup({ attributeFilters: { categories: ['Material'], formats: ['Unity'], tags: [] } });
+    popup.document.querySelector('#attributeRuleList .remove-btn').click();
+    await flush(10);
+    
+    assert.deepEqual(popup.chrome.storage.sync.data.attributeFilters, { categories: [], formats: ['Unity'], tags: [] });
+    assert.equal(popup.document.getElementById('attributeRuleCount').textContent, '1');
+  });
+});
+
+describe('viewed, cart and wishlist listings', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  
+  it('saves what to do with each kind and tells the active Fab tab', async () => {
+    const popup = await openPopup();
+    const received = [];
+    popup.chrome.tabs.messageHandler = (tabId, message) => {
+      received.push(message);
+      return { items: [] };
+    };
+    
+    const select = popup.document.getElementById('viewedFilterSelect');
+    select.value = 'dim';
+    select.dispatchEvent(new popup.window.Event('change'));
+    await flush(10);
+    
+    const statusFilters = { viewed: 'dim', cart: 'show', wishlist: 'show' };
+    assert.deepEqual(popup.chrome.storage.sync.data.listingStatusFilters, statusFilters);
+    assert.deepEqual(received[0], { action: 'updateStatusFilters', statusFilters });
+  });
+  
+  it('forgets views past a shorter retention and clears the history', async () => {
+    const now = Date.now();
+    const popup = await openPopup({}, {
+      local: { viewedListings: { recent: now - DAY, older: now - 20 * DAY, expired: now - 40 * DAY } }
+    });
+    const { document } = popup;
+    assert.equal(document.getElementById('viewedCount').textContent, '2');
+    
+    const retention = document.getElementById('viewedRetentionSelect');
+    retention.value = '7';
+    retention.dispatchEvent(new popup.window.Event('change'));
+    await flush(10);
+    assert.equal(popup.chrome.storage.local.data.viewedRetentionDays, 7);
+    assert.deepEqual(Object.keys(popup.chrome.storage.local.data.viewedListings), ['recent']);
+    assert.equal(document.getElementById('viewedCount').textContent, '1');
+    
+    popup.window.confirm = () => true;
+    document.getElementById('clearViewedButton').click();
+    await flush(10);
+    assert.equal('viewedListings' in popup.chrome.storage.local.data, false);
+    assert.equal(document.getElementById('viewedCount').textContent, '0');
+  });
+});
+
+describe('hidden listings', () => {
+  it('lists hidden listings newest first and unhides them', async () => {
+    const popup = await openPopup({
+      blockedListings: [
+        { id: '0a1b2c3d-rock-pack', title: 'Stylized Rock Pack', seller: 'StudioX', addedAt: 1000 },
+        { id: '1b2c3d4e-forest' }
+      ]
+    });
+    const received = [];
+    popup.chrome.tabs.messageHandler = (tabId, message) => {
+      received.push(message);
+      return { items: [] };
+    };
+    
+    const { document } = popup;
+    const links = Array.from(document.querySelectorAll('#blockedListingList a'));
+    assert.deepEqual(links.map(link => link.textContent), ['1b2c3d4e-forest', 'Stylized Rock Pack']);
+    assert.equal(links[1].href, 'https://www.fab.com/listings/0a1b2c3d-rock-pack');
+    assert.match(document.querySelector('#blockedListingList .entry-meta').textContent, /^by StudioX · hidden /);
+    
+    document.querySelector('#blockedListingList .remove-btn').click();
+    await flush(10);
+    
+    const blockedListings = [{ id: '0a1b2c3d-rock-pack', title: 'Stylized Rock Pack', seller: 'StudioX', addedAt: 1000 }];
+    assert.deepEqual(popup.chrome.storage.sync.data.blockedListings, blockedListings);
+    assert.deepEqual(received[0], { action: 'updateBlockedListings', blockedListings });
+  });
+});
+
+describe('profiles', () => {
+  const STUDIO_X = { name: 'StudioX', match: 'exact', addedAt: 1000 };
+  
+  // Pick a profile from the dropdown the way the user would
+  async function selectProfile(popup, id) {
+    const select = popup.document.getElementById('profileSelect');
+    select.value = id;
+    select.dispatchEvent(new popup.window.Event('change'));
+    await flush(10);
+  }
+  
+  const profileNames = document =>
+    Array.from(document.querySelectorAll('#profileSelect option'), option => option.textContent);
+  
+  it('keeps each profile\'s lists and settings when switching between them', async () => {
+    const popup = await openPopup({ filteredUsernames: [STUDIO_X], displayMode: 'dim', hideLibraryItems: true });
+    const received = [];
+    popup.chrome.tabs.messageHandler = (tabId, message) => {
+      received.push(message);
+      return { items: [] };
+    };
+    const { document, chrome } = popup;
+    
+    popup.window.prompt = () => 'Work';
+    document.getElementById('newProfileButton').click();
+    await flush(10);
+    
+    const workId = chrome.storage.sync.data.activeProfileId;
+    assert.notEqual(workId, 'default');
+    assert.deepEqual(profileNames(document), ['Default', 'Work']);
+    assert.deepEqual(chrome.storage.sync.data.filterProfile_default,
+      { filteredUsernames: [STUDIO_X], displayMode: 'dim', hideLibraryItems: true });
+    
+    // Settings the new profile lacks are removed rather than carried over
+    ['filteredUsernames', 'displayMode', 'hideLibraryItems'].forEach(key => assert.equal(key in chrome.storage.sync.data, false));
+    assert.equal(document.getElementById('usernameCount').textContent, '0');
+    const applied = received.find(message => message.action === 'applyProfile');
+    assert.deepEqual(applied.settings.usernames, []);
+    assert.equal(applied.settings.displayMode, 'hide');
+    assert.equal(applied.settings.hideLibrary, false);
+    
+    document.getElementById('usernameInput').value = 'Quixel';
+    document.getElementById('addButton').click();
+    await flush(10);
+    
+    await selectProfile(popup, 'default');
+    assert.deepEqual(chrome.storage.sync.data.filteredUsernames, [STUDIO_X]);
+    assert.equal(chrome.storage.sync.data.displayMode, 'dim');
+    assert.equal(chrome.storage.sync.data.hideLibraryItems, true);
+    assert.equal(document.getElementById('displayModeSelect').value, 'dim');
+    assert.deepEqual(chrome.storage.sync.data[`filterProfile_${workId}`].filteredUsernames.map(entry => entry.name), ['Quixel']);
+    assert.deepEqual(received.filter(message => message.action === 'applyProfile').at(-1).settings.usernames, [STUDIO_X]);
+    
+    await selectProfile(popup, workId);
+    assert.deepEqual(chrome.storage.sync.data.filteredUsernames.map(entry => entry.name), ['Quixel']);
+    assert.equal('displayMode' in chrome.storage.sync.data, false);
+  });
+  
+  it('copies the active profile and renames it', async () => {
+    const popup = await openPopup({ filteredUsernames: [STUDIO_X], filterMode: 'allowlist', allowedSellers: [STUDIO_X] });
+    const { document, chrome } = popup;
+    
+    popup.window.prompt = (message, value) => `${value} 2`;
+    document.getElementById('duplicateProfileButton').click();
+    await flush(10);
+    assert.deepEqual(profileNames(document), ['Default', 'Default copy 2']);
+    assert.deepEqual(chrome.storage.sync.data.filteredUsernames, [STUDIO_X]);
+    assert.equal(chrome.storage.sync.data.filterMode, 'allowlist');
+    
+    popup.window.prompt = () => ' Sale ';
+    document.getElementById('renameProfileButton').click();
+    await flush(10);
+    assert.deepEqual(profileNames(document), ['Default', 'Sale']);
+    
+    // Names must stay unique
+    popup.window.prompt = () => 'Default';
+    document.getElementById('renameProfileButton').click();
+    await flush(10);
+    assert.deepEqual(profileNames(document), ['Default', 'Sale']);
+  });
+  
+  it('deletes the active profile and falls back to the first one left', async () => {
+    const popup = await openPopup({
+      filterProfiles: [{ id: 'default', name: 'Default' }, { id: 'work', name: 'Work' }],
+      activeProfileId: 'work',
+      filteredUsernames: [{ name: 'Quixel', match: 'exact' }],
+      filterProfile_default: { filteredUsernames: [STUDIO_X], displayMode: 'collapse' }
+    });
+    const { document, chrome } = popup;
+    
+    popup.window.confirm = () => true;
+    document.getElementById('deleteProfileButton').click();
+    await flush(10);
+    
+    const data = chrome.storage.sync.data;
+    assert.deepEqual(data.filterProfiles, [{ id: 'default', name: 'Default' }]);
+    assert.equal(data.activeProfileId, 'default');
+    assert.equal('filterProfile_work' in data, false);
+    assert.deepEqual(data.filteredUsernames, [STUDIO_X]);
+    assert.equal(data.displayMode, 'collapse');
+    assert.deepEqual(profileNames(document), ['Default']);
+    assert.equal(document.getElementById('deleteProfileButton').disabled, true);
+  });
+});
+
+describe('pause', () => {
+  it('pauses filtering for the chosen time and resumes early', async () => {
+    const popup = await openPopup();
+    const { document } = popup;
+    document.getElementById('pauseDurationSelect').value = '30';
+    document.getElementById('pauseButton').click();
+    await flush(10);
+    
+    const { pausedUntil } = popup.chrome.storage.local.data;
+    assert.equal(Math.abs(pausedUntil - (Date.now() + 30 * 60 * 1000)) < 1000, true);
+    assert.match(document.getElementById('pauseStatus').textContent, /^Paused until /);
+    assert.equal(document.getElementById('pauseButton').textContent, 'Resume');
+    
+    document.getElementById('pauseButton').click();
+    await flush(10);
+    assert.equal('pausedUntil' in popup.chrome.storage.local.data, false);
+    assert.equal(document.getElementById('pauseStatus').textContent, 'Filtering is on');
+  });
+  
+  it('shows when the pause ended elsewhere', async () => {
+    const popup = await openPopup({}, { local: { pausedUntil: Date.now() + 60000 } });
+    assert.equal(popup.document.getElementById('pauseButton').textContent, 'Resume');
+    
+    await popup.chrome.storage.local.remove('pausedUntil');
+    assert.equal(popup.document.getElementById('pauseButton').textContent, 'Pause');
+  });
+});
+
+describe('shared lists', () => {
+  const LIST_URL = 'https://lists.example.com/flippers.json';
+  
+  function subscriptionRows(document) {
+    return Array.from(document.querySelectorAll('#subscriptionList .username-item'), item => ({
+      name: item.querySelector('.username-text').textContent,
+      meta: Array.from(item.querySelectorAll('.entry-meta'), meta => meta.textContent)
+    }));
+  }
+  
+  it('asks for access to the list site before subscribing', async () => {
+    const popup = await openPopup();
+    const { document } = popup;
+    document.getElementById('subscriptionInput').value = LIST_URL;
+    document.getElementById('subscribeButton').click();
+    await flush(10);
+    
+    assert.deepEqual(popup.chrome.permissions.origins, ['https://lists.example.com/*']);
+    const [subscription] = popup.chrome.storage.sync.data.listSubscriptions;
+    assert.equal(subscription.url, LIST_URL);
+    assert.deepEqual(subscriptionRows(document), [{ name: LIST_URL, meta: ['Not fetched yet'] }]);
+    assert.equal(document.getElementById('subscriptionCount').textContent, '1');
+  });
+  
+  it('does not subscribe without permission or to non-web addresses', async () => {
+    const popup = await openPopup({}, { grantPermissions: false });
+    const { document } = popup;
+    const error = document.getElementById('subscriptionError');
+    
+    document.getElementById('subscriptionInput').value = LIST_URL;
+    document.getElementById('subscribeButton').click();
+    await flush(10);
+    assert.equal(error.textContent, 'Permission to read the list was not granted');
+    
+    document.getElementById('subscriptionInput').value = 'javascript:alert(1)';
+    document.getElementById('subscribeButton').click();
+    await flush(10);
+    assert.equal(error.textContent, 'List address must start with https:// or http://');
+    assert.equal('listSubscriptions' in popup.chrome.storage.sync.data, false);
+  });
+  
+  it('gives up access to a list site once no list comes from it', async () => {
+    const otherUrl = 'https://lists.example.com/reuploaders.json';
+    const popup = await openPopup({
+      listSubscriptions: [
+        { id: 'list_a', url: LIST_URL, addedAt: 1000 },
+        { id: 'list_b', url: otherUrl, addedAt: 2000 }
+      ]
+    });
+    popup.chrome.permissions.origins.push('https://lists.example.com/*');
+    
+    await popup.window.removeSubscription('list_a');
+    assert.deepEqual(popup.chrome.permissions.origins, ['https://lists.example.com/*']);
+    
+    await popup.window.removeSubscription('list_b');
+    assert.deepEqual(popup.chrome.permissions.origins, []);
+    assert.deepEqual(popup.chrome.storage.sync.data.listSubscriptions, []);
+  });
+  
+  it('shows entry counts, update times and fetch errors', async () => {
+    const popup = await openPopup({ listSubscriptions: [{ id: 'list_a', url: LIST_URL, addedAt: 1000 }] });
+    await popup.chrome.storage.local.set({
+      subscriptionData: {
+        list_a: { name: 'Asset flippers', entries: [{ name: 'StudioX', match: 'exact' }], updatedAt: 1000, error: 'Server responded with 404' }
+      }
+    });
+    await flush(10);
+    
+    const [row] = subscriptionRows(popup.document);
+    assert.equal(row.name, 'Asset flippers');
+    assert.match(row.meta[0], /^1 seller · updated /);
+    assert.equal(row.meta[1], 'Last check failed: Server responded with 404');
+  });
+  
+  it('loads a list from a file', async () => {
+    const popup = await openPopup();
+    const text = JSON.stringify({ name: 'Offline list', usernames: ['StudioX', 'Quixel'] });
+    await popup.window.loadSubscriptionFile({ target: { files: [{ name: 'offline.json', text: async () => text }] } });
+    await flush(10);
+    
+    const [subscription] = popup.chrome.storage.sync.data.listSubscriptions;
+    assert.equal(subscription.file, 'offline.json');
+    assert.equal(popup.chrome.storage.local.data.subscriptionData[subscription.id].entries.length, 2);
+    assert.equal(subscriptionRows(popup.document)[0].name, 'Offline list');
+  });
+  
+  it('asks the background worker to check for updates', async () => {
+    const popup = await openPopup({ listSubscriptions: [{ id: 'list_a', url: LIST_URL, addedAt: 1000 }] });
+    popup.document.getElementById('refreshSubscriptionsButton').click();
+    await flush();
+    
+    assert.deepEqual(popup.chrome.runtime.sentMessages, [{ action: 'refreshSubscriptions' }]);
+  });
+});
+
+describe('import and export', () => {
+  it('exports lists, their hit counts and settings as JSON', async () => {
+    const popup = await openPopup({
+      filteredUsernames: [{ name: 'StudioX', match: 'exact', addedAt: 1000, note: 'Flips' }, { name: 'poly*', match: 'wildcard' }],
+      titleRules: [{ pattern: 'AI', isRegex: false, caseInsensitive: true, wholeWord: true }],
+      displayMode: 'dim'
+    }, {
+      local: {
+        sellerStats: {
+          filteredUsernames: { 'exact:StudioX': { hits: 3, lastMatched: 2000 }, 'exact:Removed': { hits: 9 } }
+        }
+      }
+    });
+    
+    await popup.window.exportList();
+    const exported = JSON.parse(await readBlob(popup.window, popup.downloads[0]));
+    
+    assert.equal(Math.abs(Date.parse(exported.exportedAt) - Date.now()) < 5000, true);
+    delete exported.exportedAt;
+    assert.deepEqual(exported, {
+      formatVersion: 5,
+      extensionVersion: '1.1.0',
+      usernames: [{ name: 'StudioX', match: 'exact', addedAt: 1000, note: 'Flips' }, { name: 'poly*', match: 'wildcard' }],
+      allowedSellers: [],
+      titleRules: [{ pattern: 'AI', isRegex: false, caseInsensitive: true, wholeWord: true }],
+      attributeFilters: { categories: [], formats: [], tags: [] },
+      blockedListings: [],
+      stats: {
+        usernames: { 'exact:StudioX': { hits: 3, lastMatched: 2000 } },
+        allowedSellers: {}
+      },
+      settings: {
+        showCount: false,
+        hideLibrary: false,
+        priceFilter: { mode: 'all', min: null, max: null },
+        displayMode: 'dim',
+        filterMode: 'blocklist',
+        statusFilters: { viewed: 'show', cart: 'show', wishlist: 'show' }
+      }
+    });
+  });
+  
+  it('imports the current format and skips invalid entries', async () => {
+    const popup = await openPopup();
+    await importFile(popup, {
+      usernames: ['StudioX', 'StudioX', '<bad>', { name: 'castle', match: 'prefix' }, { name: 'old', match: 'exact', expiresAt: 1000 }],
+      allowedSellers: ['Quixel'],
+      titleRules: [{ pattern: '(', isRegex: true }, { pattern: 'AI' }],
+      settings: { hideLibrary: true, displayMode: 'collapse', filterMode: 'allowlist' }
+    });
+    
+    const data = popup.chrome.storage.sync.data;
+    assert.deepEqual(data.filteredUsernames, [{ name: 'StudioX', match: 'exact' }, { name: 'castle', match: 'prefix' }]);
+    assert.deepEqual(data.allowedSellers, [{ name: 'Quixel', match: 'exact' }]);
+    assert.deepEqual(data.titleRules, [{ pattern: 'AI', isRegex: false, caseInsensitive: true, wholeWord: false }]);
+    assert.equal(data.hideLibraryItems, true);
+    assert.equal(data.displayMode, 'collapse');
+    assert.equal(data.filterMode, 'allowlist');
+  });
+  
+  it('saves an import in one write and sends the page one update', async () => {
+    const popup = await openPopup();
+    const changes = [];
+    popup.chrome.storage.onChanged.addListener((change, areaName) => {
+      if (areaName === 'sync') changes.push(Object.keys(change));
+    });
+    popup.chrome.tabs.sentMessages.length = 0;
+    await importFile(popup, {
+      usernames: ['StudioX'],
+      allowedSellers: ['Quixel'],
+      blockedListings: [{ id: 'abc-123', title: 'Rock pack' }],
+      settings: { hideLibrary: true, displayMode: 'collapse' }
+    });
+    
+    assert.equal(changes.length, 1);
+    assert.deepEqual(changes[0].sort(),
+      ['allowedSellers', 'blockedListings', 'displayMode', 'filteredUsernames', 'hideLibraryItems']);
+    const actions = popup.chrome.tabs.sentMessages.map(({ message }) => message.action)
+      .filter(action => action !== 'getFilteredItems');
+    assert.deepEqual(actions, ['applyProfile']);
+    const { settings } = popup.chrome.tabs.sentMessages.find(({ message }) => message.action === 'applyProfile').message;
+    assert.deepEqual(plain(settings.usernames), [{ name: 'StudioX', match: 'exact' }]);
+    assert.equal(settings.hideLibrary, true);
+    assert.equal(settings.displayMode, 'collapse');
+  });
+  
+  it('imports the original plain array format as entry objects', async () => {
+    const popup = await openPopup();
+    await importFile(popup, ['StudioX', 'Quixel']);
+    assert.deepEqual(popup.chrome.storage.sync.data.filteredUsernames, [
+      { name: 'StudioX', match: 'exact' },
+      { name: 'Quixel', match: 'exact' }
+    ]);
+  });
+  
+  it('restores entry metadata and hit counts', async () => {
+    const popup = await openPopup({}, { local: { sellerStats: { filteredUsernames: { 'exact:Other': { hits: 1 } } } } });
+    await importFile(popup, {
+      usernames: [{ name: 'StudioX', match: 'exact', addedAt: 1000, tag: 'flips' }, { name: 'castle', match: 'prefix' }],
+      stats: { usernames: { 'exact:StudioX': { hits: 3, lastMatched: 2000 }, 'prefix:castle': { hits: -1 } } }
+    });
+    
+    assert.deepEqual(popup.chrome.storage.sync.data.filteredUsernames[0],
+      { name: 'StudioX', match: 'exact', addedAt: 1000, tag: 'flips' });
+    assert.deepEqual(popup.chrome.storage.local.data.sellerStats.filteredUsernames, {
+      'exact:Other': { hits: 1 },
+      'exact:StudioX': { hits: 3, lastMatched: 2000 }
+    });
+    assert.match(popup.document.querySelector('#usernameList .entry-meta').textContent, /^Added .+ · 3 hidden, last /);
+  });
+  
+  it('previews new, duplicate and invalid entries before importing', async () => {
+    const popup = await openPopup({ filteredUsernames: [{ name: 'StudioX', match: 'exact' }] });
+    const { document } = popup;
+    await previewImport(popup, { usernames: ['StudioX', 'Quixel', 'Quixel', '<bad>'], titleRules: [{ pattern: '(', isRegex: true }] });
+    
+    assert.equal(document.getElementById('importPreview').classList.contains('show'), true);
+    assert.deepEqual(Array.from(document.querySelectorAll('#importSummary li'), item => item.textContent), [
+      'Usernames: 1 new, 2 duplicate, 1 invalid',
+      'Title keywords: 0 new, 0 duplicate, 1 invalid'
+    ]);
+    const invalid = Array.from(document.querySelectorAll('#importInvalidList li'), item => item.textContent);
+    assert.match(invalid[0], /^<bad>: Username can only contain/);
+    assert.match(invalid[1], /^\(: /);
+    
+    document.getElementById('cancelImportButton').click();
+    await flush(10);
+    assert.equal(document.getElementById('importPreview').classList.contains('show'), false);
+    assert.deepEqual(popup.chrome.storage.sync.data.filteredUsernames, [{ name: 'StudioX', match: 'exact' }]);
+  });
+  
+  it('merges into the current lists, updating matching entries', async () => {
+    const popup = await openPopup({
+      filteredUsernames: [{ name: 'StudioX', match: 'exact', note: 'Mine' }, { name: 'castle', match: 'prefix' }],
+      displayMode: 'hide'
+    });
+    await importFile(popup, {
+      usernames: [{ name: 'StudioX', match: 'exact', note: 'Theirs' }, 'Quixel'],
+      settings: { displayMode: 'dim' }
+    });
+    
+    assert.deepEqual(popup.chrome.storage.sync.data.filteredUsernames, [
+      { name: 'StudioX', match: 'exact', note: 'Theirs' },
+      { name: 'castle', match: 'prefix' },
+      { name: 'Quixel', match: 'exact' }
+    ]);
+    assert.equal(popup.chrome.storage.sync.data.displayMode, 'dim');
+  });
+  
+  it('only adds new entries and leaves settings alone when asked', async () => {
+    const popup = await openPopup({ filteredUsernames: [{ name: 'StudioX', match: 'exact', note: 'Mine' }], displayMode: 'hide' });
+    await importFile(popup, {
+      usernames: [{ name: 'StudioX', match: 'exact', note: 'Theirs' }, 'Quixel'],
+      settings: { displayMode: 'dim' }
+    }, { mode: 'add' });
+    
+    assert.deepEqual(popup.chrome.storage.sync.data.filteredUsernames, [
+      { name: 'StudioX', match: 'exact', note: 'Mine' },
+      { name: 'Quixel', match: 'exact' }
+    ]);
+    assert.equal(popup.chrome.storage.sync.data.displayMode, 'hide');
+  });
+  
+  it('merges hidden categories and formats', async () => {
+    const popup = await openPopup({ attributeFilters: { categories: ['Material'], formats: [], tags: [] } });
+    await importFile(popup, {
+      formatVersion: 3, exportedAt: null, extensionVersion: null, usernames: [],
+      attributeFilters: { categories: ['material', 'Audio'], formats: ['Unity', ''] }
+    });
+    
+    assert.deepEqual(popup.chrome.storage.sync.data.attributeFilters, {
+      categories: ['material', 'Audio'], formats: ['Unity'], tags: []
+    });
+    assert.equal(popup.document.getElementById('attributeRuleCount').textContent, '3');
+  });
+  
+  it('round-trips hidden listings', async () => {
+    const blockedListings = [{ id: '0a1b2c3d-rock-pack', title: 'Stylized Rock Pack', seller: 'StudioX', addedAt: 1000 }];
+    const source = await openPopup({ blockedListings });
+    await source.window.exportList();
+    const text = await readBlob(source.window, source.downloads[0]);
+    
+    const popup = await openPopup({ blockedListings: [{ id: '1b2c3d4e-forest' }] });
+    await previewImport(popup, text);
+    assert.match(popup.document.getElementById('importSummary').textContent, /Hidden listings: 1 new, 0 duplicate, 0 invalid/);
+    
+    popup.document.getElementById('confirmImportButton').click();
+    await flush(10);
+    assert.deepEqual(popup.chrome.storage.sync.data.blockedListings, [{ id: '1b2c3d4e-forest' }, ...blockedListings]);
+    assert.equal(popup.document.getElementById('blockedListingCount').textContent, '2');
+  });
+  
+  it('replaces the current lists when asked', async () => {
+    const popup = await openPopup({ filteredUsernames: [{ name: 'StudioX', match: 'exact' }, { name: 'castle', match: 'prefix' }] });
+    await previewImport(popup, ['Quixel', 'StudioX']);
+    
+    const { document } = popup;
+    document.getElementById('importModeSelect').value = 'replace';
+    document.getElementById('importModeSelect').dispatchEvent(new popup.window.Event('change'));
+    assert.equal(document.getElementById('importModeHint').textContent, 'Replacing removes 1 entry that is not in the file');
+    
+    document.getElementById('confirmImportButton').click();
+    await flush(10);
+    assert.deepEqual(popup.chrome.storage.sync.data.filteredUsernames, [
+      { name: 'Quixel', match: 'exact' },
+      { name: 'StudioX', match: 'exact' }
+    ]);
+  });
+  
+  it('imports CSV with a header row', async () => {
+    const popup = await openPopup();
+    await importFile(popup, 'Seller,Match,Note\nStudioX,exact,"Reuploads, mostly"\npoly*,wildcard,\n', { name: 'sellers.csv' });
+    
+    assert.deepEqual(popup.chrome.storage.sync.data.filteredUsernames, [
+      { name: 'StudioX', match: 'exact', note: 'Reuploads, mostly' },
+      { name: 'poly*', match: 'wildcard' }
+    ]);
+  });
+  
+  it('imports one seller per line from plain text', async () => {
+    const popup = await openPopup();
+    await importFile(popup, '# Flippers\nStudioX\r\n\nCastle Works\n', { name: 'sellers.txt' });
+    
+    assert.deepEqual(popup.chrome.storage.sync.data.filteredUsernames, [
+      { name: 'StudioX', match: 'exact' },
+      { name: 'Castle Works', match: 'exact' }
+    ]);
+  });
+  
+  it('reads plain text with commas in comments as one seller per line', async () => {
+    const popup = await openPopup();
+    await previewImport(popup, '# Flippers, reuploaders and the like\nStudioX\nQuixel\n', 'sellers.txt');
+    assert.deepEqual(Array.from(popup.document.querySelectorAll('#importSummary li'), item => item.textContent),
+      ['Usernames: 2 new, 0 duplicate, 0 invalid']);
+    
+    popup.document.getElementById('confirmImportButton').click();
+    await flush(10);
+    assert.deepEqual(popup.chrome.storage.sync.data.filteredUsernames, [
+      { name: 'StudioX', match: 'exact' },
+      { name: 'Quixel', match: 'exact' }
+    ]);
+  });
+  
+  it('recognizes CSV by its header row whatever the file is called', async () => {
+    const popup = await openPopup();
+    await importFile(popup, 'username,match\nstudio,prefix\n', { name: 'sellers.txt' });
+    
+    assert.deepEqual(popup.chrome.storage.sync.data.filteredUsernames, [{ name: 'studio', match: 'prefix' }]);
+  });
+  
+  it('reports files that are not filter lists', async () => {
+    const popup = await openPopup({ filteredUsernames: ['StudioX'] });
+    await importFile(popup, { hello: 'world' });
+    assert.equal(popup.document.getElementById('status').textContent, 'Unknown field "hello" in file');
+    assert.deepEqual(popup.chrome.storage.sync.data.filteredUsernames, ['StudioX']);
+  });
+});
+
+describe('export format', () => {
+  const getMigrate = async () => (await openPopup()).exports.migrateExportData;
+  
+  it('upgrades files from every earlier version', async () => {
+    const migrateExportData = await getMigrate();
+    
+    assert.deepEqual(plain(migrateExportData(['StudioX'])), {
+      formatVersion: 5, exportedAt: null, extensionVersion: null, usernames: ['StudioX']
+    });
+    assert.deepEqual(plain(migrateExportData({ usernames: [], settings: { hideLibrary: true } })), {
+      formatVersion: 5, exportedAt: null, extensionVersion: null, usernames: [], settings: { hideLibrary: true }
+    });
+    assert.deepEqual(plain(migrateExportData({ formatVersion: 2, exportedAt: null, extensionVersion: '1.1.0', usernames: [] })), {
+      formatVersion: 5, exportedAt: null, extensionVersion: '1.1.0', usernames: []
+    });
+  });
+  
+  it('explains what is wrong with a file', async () => {
+    const migrateExportData = await getMigrate();
+    const file = settings => ({ formatVersion: 5, exportedAt: '2026-01-01T00:00:00.000Z', extensionVersion: '1.1.0', usernames: [], settings });
+    
+    assert.throws(() => migrateExportData({ ...file(), formatVersion: 6 }), /newer version of the extension \(format 6\)/);
+    assert.throws(() => migrateExportData({ ...file(), formatVersion: '2' }), /formatVersion must be a whole number/);
+    assert.throws(() => migrateExportData({ ...file(), usernames: 'StudioX' }), /File has no usernames list/);
+    assert.throws(() => migrateExportData({ ...file(), exportedAt: 'yesterday' }), /exportedAt must be a date/);
+    assert.throws(() => migrateExportData({ ...file(), attributeFilters: { formats: 'Unity' } }), /attributeFilters.formats must be a list/);
+    assert.throws(() => migrateExportData({ ...file(), attributeFilters: { licenses: [] } }), /Unknown field "attributeFilters.licenses"/);
+    assert.throws(() => migrateExportData(file({ displayMode: 'blur' })), /settings.displayMode must be one of: hide, dim, collapse/);
+    assert.throws(() => migrateExportData(file({ showCount: 'yes' })), /settings.showCount must be true or false/);
+    assert.throws(() => migrateExportData(file({ priceFilter: { mode: 'all', min: -1 } })), /settings.priceFilter: Minimum price/);
+    assert.throws(() => migrateExportData(file({ theme: 'dark' })), /Unknown setting "theme"/);
+    assert.throws(() => migrateExportData(file({ statusFilters: { viewed: 'hide', cart: 'show' } })),
+      /settings.statusFilters has no wishlist setting/);
+    assert.throws(() => migrateExportData(file({ statusFilters: { viewed: 'blur', cart: 'show', wishlist: 'show' } })),
+      /settings.statusFilters.viewed must be one of: show, hide, dim/);
+    assert.throws(() => migrateExportData('StudioX'), /File does not contain filter settings/);
+  });
+  
+  it('restores every exported setting', async () => {
+    const source = await openPopup({
+      showBlockedCount: true, hideLibraryItems: true, filterMode: 'allowlist',
+      listingStatusFilters: { viewed: 'dim', cart: 'hide', wishlist: 'show' }
+    });
+    await source.window.exportList();
+    const text = await readBlob(source.window, source.downloads[0]);
+    
+    const popup = await openPopup();
+    await importFile(popup, text);
+    
+    const data = popup.chrome.storage.sync.data;
+    assert.equal(data.showBlockedCount, true);
+    assert.equal(data.hideLibraryItems, true);
+    assert.equal(data.filterMode, 'allowlist');
+    assert.deepEqual(data.listingStatusFilters, { viewed: 'dim', cart: 'hide', wishlist: 'show' });
+    assert.equal(popup.document.getElementById('showCountCheckbox').checked, true);
+    assert.equal(popup.document.getElementById('cartFilterSelect').value, 'hide');
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, plain } = require('./helpers/load');
+
+// background.js pulls in storage.js, so its context doubles as a bare storage test bed
+function createStorage(options) {
+  const { chrome, exports } = loadBackground(options);
+  return { chrome, FilterStorage: exports.FilterStorage };
+}
+
+const manySellers = (count) => Array.from({ length: count }, (_, index) => `seller_"é_${index}`);
+
+describe('FilterStorage', () => {
+  it('stores small values as plain keys', async () => {
+    const { chrome, FilterStorage } = createStorage();
+    await FilterStorage.set({ filteredUsernames: ['StudioX'] });
+    
+    assert.deepEqual(chrome.storage.sync.data, { filteredUsernames: ['StudioX'] });
+    assert.deepEqual(plain(await FilterStorage.get('filteredUsernames')).filteredUsernames, ['StudioX']);
+  });
+  
+  it('splits values over the per-item limit and reassembles them', async () => {
+    const { chrome, FilterStorage } = createStorage();
+    const usernames = manySellers(1500);
+    await FilterStorage.set({ filteredUsernames: usernames });
+    
+    assert.equal(Object.keys(chrome.storage.sync.data).length > 2, true);
+    assert.deepEqual(plain(await FilterStorage.get(['filteredUsernames'])).filteredUsernames, usernames);
+  });
+  
+  it('drops leftover shards when a value shrinks', async () => {
+    const { chrome, FilterStorage } = createStorage();
+    await FilterStorage.set({ filteredUsernames: manySellers(1500) });
+    await FilterStorage.set({ filteredUsernames: ['StudioX'] });
+    
+    assert.deepEqual(chrome.storage.sync.data, { filteredUsernames: ['StudioX'] });
+  });
+  
+  it('falls back to local storage with a warning when sync is full', async () => {
+    const { chrome, FilterStorage } = createStorage();
+    await FilterStorage.set({ showBlockedCount: true });
+    await FilterStorage.set({ filteredUsernames: manySellers(10000) });
+    
+    assert.equal(await FilterStorage.getAreaName(), 'local');
+    assert.match((await FilterStorage.getWarning()).message, /QUOTA_BYTES/);
+    assert.equal((await FilterStorage.get('filteredUsernames')).filteredUsernames.length, 10000);
+    assert.equal((await FilterStorage.get('showBlockedCount')).showBlockedCount, true);
+    assert.equal('filteredUsernames' in chrome.storage.sync.data, false);
+  });
+  
+  it('moves back to sync once the data fits again', async () => {
+    const { chrome, FilterStorage } = createStorage();
+    await FilterStorage.set({ filteredUsernames: manySellers(10000) });
+    assert.equal(await FilterStorage.retrySync(), false);
+    
+    await FilterStorage.set({ filteredUsernames: ['StudioX'] });
+    assert.equal(await FilterStorage.retrySync(), true);
+    
+    assert.equal(await FilterStorage.getAreaName(), 'sync');
+    assert.equal(await FilterStorage.getWarning(), null);
+    assert.deepEqual(chrome.storage.sync.data.filteredUsernames, ['StudioX']);
+    assert.deepEqual(chrome.storage.local.data, {});
+  });
+  
+  it('keeps settings other devices synced while this one was on local storage', async () => {
+    const { chrome, FilterStorage } = createStorage();
+    await FilterStorage.set({ showBlockedCount: true, hideLibrary: true });
+    await FilterStorage.set({ filteredUsernames: manySellers(10000) });
+    
+    // Written by another device, then a setting this device removed while on local storage
+    await chrome.storage.sync.set({ displayMode: 'dim' });
+    await FilterStorage.remove('hideLibrary');
+    
+    await FilterStorage.set({ filteredUsernames: ['StudioX'] });
+    assert.equal(await FilterStorage.retrySync(), true);
+    
+    assert.deepEqual(chrome.storage.sync.data, { showBlockedCount: true, displayMode: 'dim', filteredUsernames: ['StudioX'] });
+  });
+  
+  it('removes a sharded value with its shards', async () => {
+    const { chrome, FilterStorage } = createStorage();
+    await FilterStorage.set({ filteredUsernames: manySellers(1500), displayMode: 'dim' });
+    await FilterStorage.remove('filteredUsernames');
+    
+    assert.deepEqual(chrome.storage.sync.data, { displayMode: 'dim' });
+  });
+});
@@ -0,0 +1,492 @@
+// Validation shared by the popup, the options page and the background worker, so all of them
+// store lists the same way.
+
+// Seller entries are { name, match } for these modes, optionally with addedAt (ms timestamp),
+// note, tag and expiresAt (ms timestamp, after which the background worker removes the entry).
+// Exact entries seen on a page are upgraded to { name, slug, match: 'exact' } by
+// the content script. Earlier versions stored exact entries as plain strings; those are still
+// read everywhere and upgraded to objects on install (see upgradeSellerEntries).
+const MATCH_MODES = ['exact', 'ignoreCase', 'prefix', 'wildcard'];
+
+// Labels shown next to non-exact seller entries
+const MATCH_MODE_LABELS = {
+  ignoreCase: 'ignore case',
+  prefix: 'starts with',
+  wildcard: 'wildcard'
+};
+
+// Kinds of listing attribute that can be hidden, as keys of the attributeFilters setting
+const ATTRIBUTE_KINDS = ['categories', 'formats', 'tags'];
+
+// Limits for a shared list, so a wrong address can't fill up local storage
+const MAX_SHARED_LIST_BYTES = 1024 * 1024;
+const MAX_SHARED_LIST_ENTRIES = 10000;
+const MAX_SHARED_LIST_NAME_LENGTH = 60;
+
+// Input sanitization
+class InputValidator {
+  static sanitizeUsername(username, allowWildcards = false) {
+    if (typeof username !== 'string') {
+      throw new Error('Username must be a string');
+    }
+    
+    // Trim whitespace
+    username = username.trim();
+    
+    // Check if empty
+    if (!username) {
+      throw new Error('Username cannot be empty');
+    }
+    
+    // Check length
+    const maxLength = 100;
+    if (username.length > maxLength) {
+      throw new Error(`Username cannot exceed ${maxLength} characters`);
+    }
+    
+    // Validate characters (alphanumeric, underscore, hyphen, dot, plus * and ? in patterns)
+    if (allowWildcards) {
+      const validPattern = /^[a-zA-Z0-9_\-\. *?]+$/;
+      if (!validPattern.test(username)) {
+        throw new Error('Pattern can only contain letters, numbers, underscores, hyphens, dots, * and ?');
+      }
+      
+      // A pattern of only wildcards would hide every seller
+      if (!/[^*? ]/.test(username)) {
+        throw new Error('Pattern must contain at least one letter or number');
+      }
+    } else {
+      const validPattern = /^[a-zA-Z0-9_\-\. ]+$/;
+      if (!validPattern.test(username)) {
+        throw new Error('Username can only contain letters, numbers, underscores, hyphens, and dots');
+      }
+    }
+    
+    return username;
+  }
+  
+  static sanitizeSlug(slug) {
+    if (typeof slug !== 'string') {
+      throw new Error('Seller slug must be a string');
+    }
+    
+    slug = slug.trim();
+    
+    if (!slug || slug.length > 100) {
+      throw new Error('Seller slug must be between 1 and 100 characters');
+    }
+    
+    // Slugs come from fab.com URLs, so no slashes, spaces or query characters
+    if (!/^[^\s/?#]+$/.test(slug)) {
+      throw new Error('Invalid seller slug');
+    }
+    
+    return slug;
+  }
+  
+  static sanitizeDisplayName(name) {
+    if (typeof name !== 'string') {
+      throw new Error('Seller name must be a string');
+    }
+    
+    // Display names are read from the page, so they only need to be printable
+    name = name.replace(/[\u0000-\u001f\u007f]/g, '').trim();
+    
+    if (!name || name.length > 100) {
+      throw new Error('Seller name must be between 1 and 100 characters');
+    }
+    
+    return name;
+  }
+  
+  static sanitizeSellerEntry(entry) {
+    // Plain strings are exact matches, as stored by earlier versions
+    if (typeof entry === 'string') {
+      return { name: InputValidator.sanitizeUsername(entry), match: 'exact' };
+    }
+    
+    if (!entry || typeof entry !== 'object') {
+      throw new Error('Invalid seller entry');
+    }
+    
+    if (!MATCH_MODES.includes(entry.match)) {
+      throw new Error('Invalid match mode');
+    }
+    
+    const metadata = InputValidator.sanitizeEntryMetadata(entry);
+    
+    // Slug entries match on the profile URL; the name is just the last one seen
+    if (entry.slug !== undefined) {
+      if (entry.match !== 'exact') {
+        throw new Error('Only exact entries can have a seller slug');
+      }
+      
+      return {
+        name: InputValidator.sanitizeDisplayName(entry.name),
+        slug: InputValidator.sanitizeSlug(entry.slug),
+        match: 'exact',
+        ...metadata
+      };
+    }
+    
+    const name = InputValidator.sanitizeUsername(entry.name, entry.match === 'wildcard');
+    return { name, match: entry.match, ...metadata };
+  }
+  
+  // Optional bookkeeping carried by object entries; missing or empty values are left out
+  static sanitizeEntryMetadata(entry) {
+    const metadata = {};
+    
+    if (entry.addedAt !== undefined && entry.addedAt !== null) {
+      if (!Number.isFinite(entry.addedAt) || entry.addedAt <= 0) {
+        throw new Error('Invalid date added');
+      }
+      metadata.addedAt = Math.floor(entry.addedAt);
+    }
+    
+    if (entry.expiresAt !== undefined && entry.expiresAt !== null) {
+      if (!Number.isFinite(entry.expiresAt) || entry.expiresAt <= 0) {
+        throw new Error('Invalid expiry date');
+      }
+      metadata.expiresAt = Math.floor(entry.expiresAt);
+    }
+    
+    const note = InputValidator.sanitizeNote(entry.note);
+    if (note) {
+      metadata.note = note;
+    }
+    
+    const tag = InputValidator.sanitizeTag(entry.tag);
+    if (tag) {
+      metadata.tag = tag;
+    }
+    
+    return metadata;
+  }
+  
+  // Custom "hide for N days" value from the popup
+  static sanitizeExpiryDays(days) {
+    const value = Number(days);
+    const maxDays = 365;
+    
+    if (!Number.isInteger(value) || value < 1 || value > maxDays) {
+      throw new Error(`Days must be a whole number between 1 and ${maxDays}`);
+    }
+    
+    return value;
+  }
+  
+  static sanitizeTag(tag) {
+    if (tag === undefined || tag === null) {
+      return '';
+    }
+    
+    if (typeof tag !== 'string') {
+      throw new Error('Tag must be a string');
+    }
+    
+    tag = tag.trim();
+    
+    const maxLength = 30;
+    if (tag.length > maxLength) {
+      throw new Error(`Tag cannot exceed ${maxLength} characters`);
+    }
+    
+    // Short labels like "ai-generated" or "reuploads" for grouping entries
+    if (tag && !/^[a-zA-Z0-9_\- ]+$/.test(tag)) {
+      throw new Error('Tag can only contain letters, numbers, spaces, underscores and hyphens');
+    }
+    
+    return tag;
+  }
+  
+  static sanitizeNote(note) {
+    if (note === undefined || note === null) {
+      return '';
+    }
+    
+    if (typeof note !== 'string') {
+      throw new Error('Note must be a string');
+    }
+    
+    // Notes are only ever shown as text, so just drop control characters
+    note = note.replace(/[\u0000-\u001f\u007f]/g, ' ').trim();
+    
+    const maxLength = 200;
+    if (note.length > maxLength) {
+      throw new Error(`Note cannot exceed ${maxLength} characters`);
+    }
+    
+    return note;
+  }
+  
+  // Hit counts for one entry, as collected by the content script
+  static sanitizeEntryStats(stats) {
+    if (!stats || typeof stats !== 'object') {
+      throw new Error('Invalid entry stats');
+    }
+    
+    if (!Number.isInteger(stats.hits) || stats.hits < 0) {
+      throw new Error('Hit count must be a whole number');
+    }
+    
+    const sanitized = { hits: stats.hits };
+    if (stats.lastMatched !== undefined && stats.lastMatched !== null) {
+      if (!Number.isFinite(stats.lastMatched) || stats.lastMatched <= 0) {
+        throw new Error('Invalid last matched date');
+      }
+      sanitized.lastMatched = Math.floor(stats.lastMatched);
+    }
+    
+    return sanitized;
+  }
+  
+  static sanitizeTitleRule(rule) {
+    if (!rule || typeof rule !== 'object' || typeof rule.pattern !== 'string') {
+      throw new Error('Keyword must be a string');
+    }
+    
+    // Trim whitespace
+    const pattern = rule.pattern.trim();
+    
+    // Check if empty
+    if (!pattern) {
+      throw new Error('Keyword cannot be empty');
+    }
+    
+    // Check length
+    const maxLength = 200;
+    if (pattern.length > maxLength) {
+      throw new Error(`Keyword cannot exceed ${maxLength} characters`);
+    }
+    
+    const isRegex = rule.isRegex === true;
+    
+    // Make sure the content script will be able to compile it
+    if (isRegex) {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`Invalid regular expression: ${error.message}`);
+      }
+    }
+    
+    return {
+      pattern,
+      isRegex,
+      caseInsensitive: rule.caseInsensitive !== false,
+      wholeWord: rule.wholeWord === true
+    };
+  }
+  
+  static sanitizePriceFilter(priceFilter) {
+    if (!priceFilter || typeof priceFilter !== 'object') {
+      throw new Error('Invalid price filter');
+    }
+    
+    if (!['all', 'free', 'paid'].includes(priceFilter.mode)) {
+      throw new Error('Price mode must be all, free or paid');
+    }
+    
+    const sanitizeBound = (bound, label) => {
+      if (bound === null || bound === undefined || bound === '') {
+        return null;
+      }
+      
+      const value = Number(bound);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`${label} price must be a positive number`);
+      }
+      
+      return value;
+    };
+    
+    const min = sanitizeBound(priceFilter.min, 'Minimum');
+    const max = sanitizeBound(priceFilter.max, 'Maximum');
+    
+    if (min !== null && max !== null && min > max) {
+      throw new Error('Minimum price cannot be greater than maximum price');
+    }
+    
+    return { mode: priceFilter.mode, min, max };
+  }
+  
+  static sanitizeProfileName(name) {
+    if (typeof name !== 'string') {
+      throw new Error('Profile name must be a string');
+    }
+    
+    name = name.trim();
+    
+    if (!name) {
+      throw new Error('Profile name cannot be empty');
+    }
+    
+    const maxLength = 40;
+    if (name.length > maxLength) {
+      throw new Error(`Profile name cannot exceed ${maxLength} characters`);
+    }
+    
+    return name;
+  }
+  
+  // A category, format or tag as shown on Fab, e.g. "Material" or "Unreal Engine"
+  static sanitizeAttributeValue(value) {
+    if (typeof value !== 'string') {
+      throw new Error('Value must be a string');
+    }
+    
+    value = value.trim().replace(/\s+/g, ' ');
+    
+    if (!value) {
+      throw new Error('Value cannot be empty');
+    }
+    
+    const maxLength = 50;
+    if (value.length > maxLength) {
+      throw new Error(`Value cannot exceed ${maxLength} characters`);
+    }
+    
+    if (!normalizeAttribute(value)) {
+      throw new Error('Value must contain letters or numbers');
+    }
+    
+    return value;
+  }
+  
+  // A listing hidden from its card: { id, title, seller, addedAt }, where id is the part of the
+  // listing URL after /listings/. Title and seller are optional and only shown in the popup.
+  static sanitizeListingEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error('Invalid listing entry');
+    }
+    
+    const id = typeof entry.id === 'string' ? entry.id.trim() : '';
+    if (!/^[A-Za-z0-9_-]{1,100}$/.test(id)) {
+      throw new Error('Invalid listing id');
+    }
+    
+    const sanitized = { id };
+    
+    if (entry.title !== undefined && entry.title !== null) {
+      if (typeof entry.title !== 'string') {
+        throw new Error('Listing title must be a string');
+      }
+      const title = entry.title.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, 200);
+      if (title) sanitized.title = title;
+    }
+    
+    if (entry.seller !== undefined && entry.seller !== null) {
+      sanitized.seller = InputValidator.sanitizeDisplayName(entry.seller);
+    }
+    
+    if (entry.addedAt !== undefined && entry.addedAt !== null) {
+      if (!Number.isFinite(entry.addedAt) || entry.addedAt <= 0) {
+        throw new Error('Invalid date added');
+      }
+      sanitized.addedAt = Math.floor(entry.addedAt);
+    }
+    
+    return sanitized;
+  }
+  
+  // Lists kept on disk are loaded from the popup instead, since the background worker can't fetch file:// URLs
+  static sanitizeSubscriptionUrl(url) {
+    if (typeof url !== 'string' || !url.trim()) {
+      throw new Error('Enter the address of a shared list');
+    }
+    
+    let parsed;
+    try {
+      parsed = new URL(url.trim());
+    } catch (error) {
+      throw new Error('Invalid list address');
+    }
+    
+    if (!['https:', 'http:'].includes(parsed.protocol)) {
+      throw new Error('List address must start with https:// or http://');
+    }
+    
+    const maxLength = 2000;
+    if (parsed.href.length > maxLength) {
+      throw new Error(`List address cannot exceed ${maxLength} characters`);
+    }
+    
+    return parsed.href;
+  }
+}
+
+// Identify an entry by slug, or by name and match mode so "foo" exact and "foo" prefix can coexist
+function getEntryKey(entry) {
+  if (typeof entry === 'string') return `exact:${entry}`;
+  if (entry.slug) return `slug:${entry.slug.toLowerCase()}`;
+  return `${entry.match}:${entry.name}`;
+}
+
+// A typed name duplicates a slug entry last seen under that name
+function isDuplicateEntry(a, b) {
+  if (getEntryKey(a) === getEntryKey(b)) return true;
+  
+  const nameOf = entry => (typeof entry === 'string' ? entry : entry.match === 'exact' && entry.name);
+  const aName = nameOf(a);
+  return Boolean(aName) && aName === nameOf(b);
+}
+
+// Validate seller entries, skipping invalid, expired and duplicate ones
+function sanitizeSellerEntries(entries) {
+  const uniqueEntries = [];
+  
+  for (const entry of entries) {
+    try {
+      const sanitized = InputValidator.sanitizeSellerEntry(entry);
+      if (isExpiredEntry(sanitized)) continue;
+      if (!uniqueEntries.some(existing => isDuplicateEntry(existing, sanitized))) {
+        uniqueEntries.push(sanitized);
+      }
+    } catch (e) {
+      // Skip invalid usernames
+    }
+  }
+  
+  return uniqueEntries;
+}
+
+// Read a shared list, either in the export format ({ name?, usernames: [...] }) or a plain array
+// of sellers. Returns { name, entries } with invalid entries dropped.
+function parseSharedList(text) {
+  if (text.length > MAX_SHARED_LIST_BYTES) {
+    throw new Error('List is larger than 1 MB');
+  }
+  
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('List is not valid JSON');
+  }
+  
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.usernames;
+  if (!Array.isArray(list)) {
+    throw new Error('List has no usernames');
+  }
+  
+  if (list.length > MAX_SHARED_LIST_ENTRIES) {
+    throw new Error(`List has more than ${MAX_SHARED_LIST_ENTRIES} entries`);
+  }
+  
+  // Without a name the popup shows where the list came from
+  const name = !Array.isArray(parsed) && typeof parsed.name === 'string' && parsed.name.trim() ?
+    parsed.name.trim().slice(0, MAX_SHARED_LIST_NAME_LENGTH) : null;
+  
+  return { name, entries: sanitizeSellerEntries(list) };
+}
+
+// Turn plain-string entries from earlier versions into exact-match objects, leaving the rest as-is
+function upgradeSellerEntries(entries) {
+  return entries.map(entry => (typeof entry === 'string' ? { name: entry, match: 'exact' } : entry));
+}
+
+// Whether a temporary entry has run out
+function isExpiredEntry(entry, now = Date.now()) {
+  return typeof entry === 'object' && entry.expiresAt !== undefined && entry.expiresAt <= now;
+}